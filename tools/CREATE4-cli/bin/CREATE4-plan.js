@@ -1,10 +1,55 @@
 #!/usr/bin/env node
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { buildPlanFromSpec, computePlanDeployment, getChainProof, describeGapRange } = require('../src');
+const {
+  buildPlanFromSpec,
+  resolveSpecArtifacts,
+  createLinkResolver,
+  redactSpec,
+  computePlanDeployment,
+  getChainProof,
+  resolveChainDeployment,
+  getDeployCalldata,
+  buildDeployTransaction,
+  signTransaction,
+  decryptKeystore,
+  rolloutPlan,
+  getPlanStatus,
+  buildProject,
+  exportAddressBook,
+  verifyPlan,
+  auditPlan,
+  checkEvmCompatibility,
+  inspectPlan,
+  estimateDeploymentGas,
+  diffDeploymentPlans,
+  createPlanLockfile,
+  checkPlanLockfile,
+  exportProofBundles,
+  describeGapRange,
+  CANONICAL_FACTORY_ADDRESS,
+  DETERMINISTIC_DEPLOYER,
+  DETERMINISTIC_DEPLOYER_TRANSACTION,
+  deriveFactoryAddress,
+  getFactoryDeployCalldata,
+  buildFactoryDeployTransaction,
+  getFactoryStatus,
+} = require('../src');
 const { parseArgs } = require('../src/argParser');
 const { runEditCommand } = require('../src/editCommands');
+const { runProjectCommand } = require('../src/projectCommands');
+const { loadProjectManifest } = require('../src/project');
+const { EXPORT_FORMATS } = require('../src/exporters');
+const { describeConstructorArgs } = require('../src/artifacts');
+const { normalizeNetworks } = require('../src/rollout');
+const { parseVanityPattern, mineSalt } = require('../src/vanity');
+const { loadPlan, savePlan, extractBytecodeFromInput } = require('../src/wipBuilder');
+const { transactionToJson } = require('../src/transaction');
+const { DEFAULT_BASELINE } = require('../src/evmCheck');
+const { formatChainId, getChainRegistry, unknownChainWarning } = require('../src/chains');
+const { normalizeChainId, listEntryChainIds } = require('../src/utils');
 
 const DEBUG_ENV_FLAG = 'CREATE4_DEBUG';
 
@@ -12,11 +57,32 @@ function printUsage() {
   const message = `CREATE4-plan <command> [options]
 
 Commands:
-  build        Compute the root and inclusion proofs for an input spec
-  address      Compute the CREATE3 address for a plan and factory
-  proof        Return the inclusion proof for a specific chain id
-  view         Print a human readable summary of the plan
-  edit         Manage editable plan specs (see "CREATE4-plan edit --help" for subcommands)
+  build          Compute the root and inclusion proofs for an input spec
+  redact         Export a spec that keeps only the bytecode one chain needs (hashes elsewhere)
+  address        Compute the CREATE3 address for a plan and factory
+  mine           Search user salts for a vanity CREATE4 address
+  proof          Return the inclusion proof for a specific chain id
+  resolve        Resolve the variant (chain leaf or fallback) and proofs for any chain id
+  calldata       Encode the CREATE4 deploy/deployFallback call for a chain id
+  tx             Build (and optionally sign) an offline deploy transaction for a chain id
+  rollout        Deploy a plan to every network in a config, journaling progress for resumption
+  status         Compare the code on every network with the plan (and check the factory exists)
+  export         Generate TypeScript, Solidity, Foundry or hardhat-deploy address files
+  export-proofs  Write a self-contained deployment bundle per chain, a fallback bundle and index.json
+  check          Rebuild a spec and fail if it drifted from its lockfile (root, init code hashes, addresses)
+  verify         Re-check a built plan.json against its root
+  audit          Flag risky plan shapes in a spec or built plan (non-zero exit on errors)
+  check-evm      Check that each variant only uses opcodes its chains (and the fallback baseline) support
+  view           Print a human readable summary of the plan
+  inspect        Split, decode and size-check the init code of each variant (or one chain's)
+  estimate       Estimate gas (and cost, given gas prices) of each chain's deployment transaction
+  diff           Compare two specs or plans by deployment outcome (chains, variants, root, address)
+  chains         List the chain names accepted wherever a chain id is expected
+  edit           Manage editable plan specs (see "CREATE4-plan edit --help" for subcommands)
+  project        Build multi-contract projects (see "CREATE4-plan project --help" for subcommands)
+  factory        Derive, check and deploy the CREATE4 factory itself (see "CREATE4-plan factory --help")
+
+Commands that take --factory default to the canonical factory ${CANONICAL_FACTORY_ADDRESS}.
 
 Global options:
       --debug             Print stack traces on errors (or set CREATE4_DEBUG=1)
@@ -46,7 +112,7 @@ function writeOutput(data, pretty, outputPath) {
   }
 }
 
-function loadSpec(inputPath) {
+function readSpec(inputPath) {
   if (!inputPath) {
     throw new Error('Missing required --input parameter');
   }
@@ -54,26 +120,100 @@ function loadSpec(inputPath) {
   if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
     throw new Error('Input spec must be a JSON object');
   }
+  warnUnknownChains(listSpecChainIds(spec));
   return spec;
 }
 
+// Invalid ids are skipped here; building the spec reports them with context.
+function listSpecChainIds(spec) {
+  return (Array.isArray(spec.chains) ? spec.chains : []).flatMap((entry) => {
+    try {
+      return listEntryChainIds(entry || {}, spec.groups);
+    } catch (err) {
+      return [];
+    }
+  });
+}
+
+function warnUnknownChains(chainIds) {
+  const warning = unknownChainWarning(chainIds);
+  if (warning) {
+    process.stderr.write(`${warning}\n`);
+  }
+}
+
+// Artifact paths inside a spec are relative to the spec file.
+function loadSpec(inputPath) {
+  return resolveSpecArtifacts(readSpec(inputPath), { baseDir: path.dirname(path.resolve(inputPath)) });
+}
+
+function parseFactoryList(raw) {
+  return (raw || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter((item) => item.length > 0);
+}
+
+// --factory defaults to the canonical factory the README lists on every chain.
+function resolveFactory(raw) {
+  return raw || CANONICAL_FACTORY_ADDRESS;
+}
+
 function runBuild(args) {
   const { help, values } = parseArgs(args, [
     { name: 'input', alias: 'i' },
     { name: 'output', alias: 'o' },
     { name: 'pretty', type: 'boolean' },
+    { name: 'lock' },
+    { name: 'factory' },
   ]);
 
   if (help) {
-    process.stdout.write('Usage: CREATE4-plan build --input <file> [--output <file>] [--pretty]\n');
+    process.stdout.write(
+      'Usage: CREATE4-plan build --input <file> [--output <file>] [--pretty]\n' +
+        '                          [--lock <file> [--factory <address>[,<address>...]]]\n' +
+        '\n' +
+        '--lock writes a lockfile pinning the root, salt, init code hashes and the predicted address for the\n' +
+        'spec\'s "factories" and --factory (the canonical factory when neither is given); "CREATE4-plan check"\n' +
+        'compares later builds with it.\n'
+    );
     return;
   }
+  if (values.factory && !values.lock) {
+    throw new Error('--factory is only used with --lock');
+  }
 
   const spec = loadSpec(values.input);
   const plan = buildPlanFromSpec(spec);
+  if (values.lock) {
+    const lock = createPlanLockfile(spec, { factories: parseFactoryList(values.factory) });
+    fs.writeFileSync(path.resolve(values.lock), JSON.stringify(lock, null, 2) + '\n');
+  }
   writeOutput(plan, values.pretty, values.output);
 }
 
+function runRedact(args) {
+  const { help, values } = parseArgs(args, [
+    { name: 'input', alias: 'i' },
+    { name: 'chain' },
+    { name: 'output', alias: 'o' },
+    { name: 'pretty', type: 'boolean' },
+  ]);
+
+  if (help) {
+    process.stdout.write('Usage: CREATE4-plan redact --input <spec> --chain <chain id> [--output <file>] [--pretty]\n');
+    return;
+  }
+
+  if (values.chain === undefined) {
+    throw new Error('redact command requires --chain');
+  }
+
+  warnUnknownChains([normalizeChainId(values.chain)]);
+  const spec = loadSpec(values.input);
+  writeOutput(redactSpec(spec, values.chain), values.pretty, values.output);
+}
+
 function runAddress(args) {
   const { help, values } = parseArgs(args, [
     { name: 'input', alias: 'i' },
@@ -85,20 +225,109 @@ function runAddress(args) {
 
   if (help) {
     process.stdout.write(
-      'Usage: CREATE4-plan address --input <spec> --factory <address> [--salt <hex>] [--output <file>] [--pretty]\n'
+      'Usage: CREATE4-plan address --input <spec> [--factory <address>] [--salt <hex>] [--output <file>] [--pretty]\n'
     );
     return;
   }
 
-  if (!values.factory) {
-    throw new Error('Missing required --factory parameter');
+  const factory = resolveFactory(values.factory);
+
+  const spec = loadSpec(values.input);
+  const output = computePlanDeployment(spec, factory, { saltOverride: values.salt });
+  writeOutput(output, values.pretty, values.output);
+}
+
+async function runMine(args) {
+  const { help, values } = parseArgs(args, [
+    { name: 'input', alias: 'i' },
+    { name: 'factory' },
+    { name: 'prefix' },
+    { name: 'suffix' },
+    { name: 'leadingZeros', flag: 'leading-zeros' },
+    { name: 'start' },
+    { name: 'workers' },
+    { name: 'maxAttempts', flag: 'max-attempts' },
+    { name: 'write' },
+    { name: 'output', alias: 'o' },
+    { name: 'pretty', type: 'boolean' },
+  ]);
+
+  if (help) {
+    process.stdout.write(
+      'Usage: CREATE4-plan mine --input <spec> [--factory <address>] [--prefix <hex>] [--suffix <hex>]\n' +
+        '                         [--leading-zeros <n>] [--start <salt>] [--workers <n>]\n' +
+        '                         [--max-attempts <n>] [--write <edit file>] [--output <file>] [--pretty]\n'
+    );
+    return;
   }
 
+  const factory = resolveFactory(values.factory);
+
   const spec = loadSpec(values.input);
-  const output = computePlanDeployment(spec, values.factory, { saltOverride: values.salt });
+  const plan = buildPlanFromSpec(spec);
+  if (values.write) {
+    // The salt only yields the vanity address together with the root it was mined against.
+    const writeRoot = buildPlanFromSpec(loadPlan(values.write)).root;
+    if (writeRoot !== plan.root) {
+      throw new Error(
+        `--write plan ${path.resolve(values.write)} builds root ${writeRoot}, not the root ${plan.root} ` +
+          'of --input; the mined salt would not produce the vanity address there'
+      );
+    }
+  }
+  const pattern = parseVanityPattern({
+    prefix: values.prefix,
+    suffix: values.suffix,
+    leadingZeros: values.leadingZeros,
+  });
+  const workers = values.workers !== undefined ? parsePositiveInteger(values.workers, '--workers') : os.cpus().length;
+  const maxAttempts =
+    values.maxAttempts !== undefined ? parsePositiveInteger(values.maxAttempts, '--max-attempts') : undefined;
+
+  let lastReport = Date.now();
+  const result = await mineSalt({
+    factory,
+    planRoot: plan.root,
+    pattern,
+    startSalt: values.start,
+    workers,
+    maxAttempts,
+    onProgress: (progress) => {
+      if (Date.now() - lastReport >= 1000) {
+        lastReport = Date.now();
+        process.stderr.write(
+          `mined ${progress.attempts} salts (${progress.rate}/s), resume with --start ${progress.resumeSalt}\n`
+        );
+      }
+    },
+  });
+
+  if (!result.salt) {
+    writeOutput(result, values.pretty, values.output);
+    throw new Error(
+      `No matching salt found after ${result.attempts} attempts; resume with --start ${result.resumeSalt}`
+    );
+  }
+
+  const deployment = computePlanDeployment(spec, factory, { saltOverride: result.salt });
+  if (values.write) {
+    const editPlan = loadPlan(values.write);
+    editPlan.salt = result.salt;
+    savePlan(values.write, editPlan);
+    process.stderr.write(`Stored salt ${result.salt} in ${path.resolve(values.write)}\n`);
+  }
+  const output = { ...deployment, attempts: result.attempts, elapsedMs: result.elapsedMs, rate: result.rate };
   writeOutput(output, values.pretty, values.output);
 }
 
+function parsePositiveInteger(raw, flagName) {
+  const parsed = Number(raw);
+  if (!Number.isSafeInteger(parsed) || parsed <= 0) {
+    throw new Error(`${flagName} must be a positive integer`);
+  }
+  return parsed;
+}
+
 function runProof(args) {
   const { help, values } = parseArgs(args, [
     { name: 'input', alias: 'i' },
@@ -116,53 +345,1174 @@ function runProof(args) {
     throw new Error('proof command requires --chain');
   }
 
+  warnUnknownChains([normalizeChainId(values.chain)]);
   const spec = loadSpec(values.input);
   const output = getChainProof(spec, values.chain);
   writeOutput(output, values.pretty, values.output);
 }
 
-function runView(args) {
+function runResolve(args) {
   const { help, values } = parseArgs(args, [
     { name: 'input', alias: 'i' },
-    { name: 'proofs', type: 'boolean' },
+    { name: 'chain' },
+    { name: 'output', alias: 'o' },
+    { name: 'pretty', type: 'boolean' },
   ]);
 
   if (help) {
-    process.stdout.write('Usage: CREATE4-plan view --input <spec> [--proofs]\n');
+    process.stdout.write('Usage: CREATE4-plan resolve --input <spec> --chain <chain id> [--output <file>] [--pretty]\n');
     return;
   }
 
+  if (values.chain === undefined) {
+    throw new Error('resolve command requires --chain');
+  }
+
+  warnUnknownChains([normalizeChainId(values.chain)]);
   const spec = loadSpec(values.input);
-  const plan = buildPlanFromSpec(spec);
+  const output = resolveChainDeployment(spec, values.chain);
+  writeOutput(output, values.pretty, values.output);
+}
 
-  const lines = [];
-  lines.push(`Name         : ${plan.name || 'n/a'}`);
-  lines.push(`Version      : ${plan.version || 'n/a'}`);
-  lines.push(`Description  : ${plan.description || 'n/a'}`);
-  lines.push(`Salt         : ${plan.salt}`);
-  lines.push(`Tree root    : ${plan.root}`);
-  lines.push('');
-  lines.push('Chains:');
-  plan.leaves.forEach((leaf, idx) => {
-    lines.push(
-      `  [${idx}] chainId=${leaf.chainId} next=${leaf.nextChainId} label=${leaf.label || 'n/a'} proofLen=${leaf.proof.length}`
+function runCalldata(args) {
+  const { help, values } = parseArgs(args, [
+    { name: 'input', alias: 'i' },
+    { name: 'chain' },
+    { name: 'raw', type: 'boolean' },
+    { name: 'output', alias: 'o' },
+    { name: 'pretty', type: 'boolean' },
+  ]);
+
+  if (help) {
+    process.stdout.write(
+      'Usage: CREATE4-plan calldata --input <spec> --chain <chain id> [--raw] [--output <file>] [--pretty]\n'
     );
-    lines.push(`      ${describeGapRange(leaf.chainId, leaf.nextChainId)}`);
-    if (values.proofs) {
-      leaf.proof.forEach((p, proofIdx) => {
-        lines.push(`      proof[${proofIdx}] = ${p}`);
-      });
+    return;
+  }
+
+  if (values.chain === undefined) {
+    throw new Error('calldata command requires --chain');
+  }
+
+  warnUnknownChains([normalizeChainId(values.chain)]);
+  const spec = loadSpec(values.input);
+  const output = getDeployCalldata(spec, values.chain);
+  if (values.raw) {
+    if (values.output) {
+      fs.writeFileSync(path.resolve(values.output), output.calldata + '\n');
+    } else {
+      process.stdout.write(output.calldata + '\n');
     }
+    return;
+  }
+  writeOutput(output, values.pretty, values.output);
+}
+
+function runTx(args) {
+  const { help, values } = parseArgs(args, [
+    { name: 'input', alias: 'i' },
+    { name: 'chain' },
+    { name: 'factory' },
+    { name: 'nonce' },
+    { name: 'gasLimit', flag: 'gas-limit' },
+    { name: 'maxFeePerGas', flag: 'max-fee-per-gas' },
+    { name: 'maxPriorityFeePerGas', flag: 'max-priority-fee-per-gas' },
+    { name: 'gasPrice', flag: 'gas-price' },
+    { name: 'value' },
+    { name: 'privateKey', flag: 'private-key' },
+    { name: 'keystore' },
+    { name: 'passwordFile', flag: 'password-file' },
+    { name: 'output', alias: 'o' },
+    { name: 'pretty', type: 'boolean' },
+  ]);
+
+  if (help) {
+    process.stdout.write(
+      'Usage: CREATE4-plan tx --input <spec> --chain <chain id> [--factory <address>] --nonce <n> --gas-limit <n>\n' +
+        '                       (--max-fee-per-gas <fee> --max-priority-fee-per-gas <fee> | --gas-price <fee>)\n' +
+        '                       [--value <amount>] [--private-key <hex> | --keystore <file> [--password-file <file>]]\n' +
+        '                       [--output <file>] [--pretty]\n' +
+        '\n' +
+        'Fees and value accept wei integers or unit amounts such as "30gwei" or "0.01ether".\n' +
+        'Keystore passwords are read from --password-file or the CREATE4_KEYSTORE_PASSWORD variable.\n'
+    );
+    return;
+  }
+
+  if (values.chain === undefined) {
+    throw new Error('tx command requires --chain');
+  }
+  const factory = resolveFactory(values.factory);
+  if (values.nonce === undefined) {
+    throw new Error('tx command requires --nonce');
+  }
+  if (values.gasLimit === undefined) {
+    throw new Error('tx command requires --gas-limit');
+  }
+  if (values.privateKey && values.keystore) {
+    throw new Error('Provide either --private-key or --keystore (but not both)');
+  }
+
+  warnUnknownChains([normalizeChainId(values.chain)]);
+  const spec = loadSpec(values.input);
+  const built = buildDeployTransaction(spec, {
+    chainId: values.chain,
+    factory,
+    nonce: values.nonce,
+    gasLimit: values.gasLimit,
+    maxFeePerGas: values.maxFeePerGas,
+    maxPriorityFeePerGas: values.maxPriorityFeePerGas,
+    gasPrice: values.gasPrice,
+    value: values.value,
   });
-  lines.push('');
-  lines.push(`Fallback: initHash=${plan.fallback.initCodeHash} proofLen=${plan.fallback.proof.length}`);
-  if (values.proofs) {
-    plan.fallback.proof.forEach((proof, idx) => {
-      lines.push(`  fallbackProof[${idx}] = ${proof}`);
-    });
+
+  const output = {
+    variant: built.variant,
+    function: built.function,
+    transaction: transactionToJson(built.transaction),
+    unsignedTransaction: built.unsignedTransaction,
+    signingHash: built.signingHash,
+  };
+
+  const privateKey = values.keystore ? readKeystoreKey(values.keystore, values.passwordFile) : values.privateKey;
+  if (privateKey) {
+    Object.assign(output, signTransaction(built.transaction, privateKey));
   }
+  writeOutput(output, values.pretty, values.output);
+}
 
-  process.stdout.write(lines.join('\n') + '\n');
+function readKeystoreKey(keystorePath, passwordFile) {
+  let password = process.env.CREATE4_KEYSTORE_PASSWORD;
+  if (passwordFile) {
+    password = fs.readFileSync(path.resolve(passwordFile), 'utf8').replace(/\r?\n$/, '');
+  }
+  if (password === undefined) {
+    throw new Error('Keystore signing requires --password-file or CREATE4_KEYSTORE_PASSWORD');
+  }
+  return decryptKeystore(fs.readFileSync(path.resolve(keystorePath), 'utf8'), password);
+}
+
+async function runRollout(args) {
+  const { help, values } = parseArgs(args, [
+    { name: 'input', alias: 'i' },
+    { name: 'networks', alias: 'n' },
+    { name: 'factory' },
+    { name: 'journal' },
+    { name: 'gasLimit', flag: 'gas-limit' },
+    { name: 'timeout' },
+    { name: 'privateKey', flag: 'private-key' },
+    { name: 'keystore' },
+    { name: 'passwordFile', flag: 'password-file' },
+    { name: 'retryPending', flag: 'retry-pending', type: 'boolean' },
+  ]);
+
+  if (help) {
+    process.stdout.write(
+      'Usage: CREATE4-plan rollout --input <spec> --networks <networks.json> [--factory <address>]\n' +
+        '                            [--journal <file>] [--gas-limit <n>] [--timeout <seconds>]\n' +
+        '                            [--private-key <hex> | --keystore <file> [--password-file <file>]]\n' +
+        '                            [--retry-pending]\n' +
+        '\n' +
+        'networks.json lists {"name", "chainId", "rpcUrl"} entries; ${VAR} in rpcUrl is read from the environment.\n' +
+        'Progress is journaled to deployments.json (or --journal); rerunning skips deployed chains and retries\n' +
+        'failed ones, after checking the receipt of any transaction the journal recorded for them. Transactions\n' +
+        'still in the mempool are left pending unless --retry-pending is given; dropped or replaced ones are sent\n' +
+        'again. Without a key, transactions are sent with eth_sendTransaction from the node account.\n'
+    );
+    return;
+  }
+
+  if (!values.networks) {
+    throw new Error('Missing required --networks parameter');
+  }
+  const factory = resolveFactory(values.factory);
+  if (values.privateKey && values.keystore) {
+    throw new Error('Provide either --private-key or --keystore (but not both)');
+  }
+
+  const spec = loadSpec(values.input);
+  const networks = parseJsonFile(values.networks);
+  const journalPath = path.resolve(values.journal || 'deployments.json');
+  const privateKey = values.keystore ? readKeystoreKey(values.keystore, values.passwordFile) : values.privateKey;
+  const options = {
+    factory,
+    journalPath,
+    privateKey,
+    gasLimit: values.gasLimit,
+    retryPending: values.retryPending,
+    onUpdate: (update) => {
+      const detail = update.error || update.transactionHash || '';
+      process.stderr.write(`[${update.network} ${update.chainId}] ${update.status} ${detail}\n`);
+    },
+  };
+  if (values.timeout !== undefined) {
+    options.timeoutMs = parsePositiveInteger(values.timeout, '--timeout') * 1000;
+  }
+
+  const { journal, results } = await rolloutPlan(spec, networks, options);
+  const lines = results.map((result) => {
+    const status = result.skipped ? `${result.status} (journal)` : result.status;
+    const detail = result.error || result.transactionHash || '';
+    return `  ${result.network.padEnd(16)} ${result.chainId.padStart(10)}  ${status.padEnd(26)} ${detail}`.trimEnd();
+  });
+  process.stdout.write(`Rollout of ${journal.address} (journal ${journalPath}):\n${lines.join('\n')}\n`);
+
+  const failed = results.filter((result) => result.status === 'failed').length;
+  if (failed > 0) {
+    throw new Error(`rollout failed on ${failed} chain(s); rerun the command to retry them`);
+  }
+  const pending = results.filter((result) => result.status === 'pending').length;
+  if (pending > 0) {
+    throw new Error(
+      `rollout has ${pending} chain(s) with unmined transactions; rerun once they are mined, or with --retry-pending`
+    );
+  }
+}
+
+async function runStatus(args) {
+  const { help, values } = parseArgs(args, [
+    { name: 'input', alias: 'i' },
+    { name: 'networks', alias: 'n' },
+    { name: 'factory' },
+    { name: 'json', type: 'boolean' },
+  ]);
+
+  if (help) {
+    process.stdout.write(
+      'Usage: CREATE4-plan status --input <spec> --networks <networks.json> [--factory <address>] [--json]\n' +
+        '\n' +
+        'Statuses: not-deployed, deployed (expected variant), unexpected-code, unverified (no init code to\n' +
+        'compare against), error (RPC failure). Exits non-zero on unexpected code, errors or a missing factory.\n'
+    );
+    return;
+  }
+
+  if (!values.networks) {
+    throw new Error('Missing required --networks parameter');
+  }
+  const factory = resolveFactory(values.factory);
+
+  const spec = loadSpec(values.input);
+  const report = await getPlanStatus(spec, parseJsonFile(values.networks), { factory });
+  if (values.json) {
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+  } else {
+    const rows = report.chains.map((chain) => [
+      chain.network,
+      chain.chainId,
+      chain.variant || '-',
+      chain.factoryDeployed === undefined ? '-' : chain.factoryDeployed ? 'yes' : 'MISSING',
+      chain.status,
+      chain.error || chain.reason || '',
+    ]);
+    const header = ['network', 'chain', 'variant', 'factory', 'status', ''];
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map((row) => row[column].length)));
+    const formatRow = (row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+    process.stdout.write(`Status of ${report.address} (factory ${report.factory}):\n`);
+    process.stdout.write([header, ...rows].map(formatRow).join('\n') + '\n');
+  }
+
+  const problems = report.chains.filter(
+    (chain) => chain.status === 'unexpected-code' || chain.status === 'error' || chain.factoryDeployed === false
+  );
+  if (problems.length > 0) {
+    throw new Error(`status check found problems on ${problems.length} chain(s)`);
+  }
+}
+
+function runExport(args) {
+  const { help, values } = parseArgs(args, [
+    { name: 'format' },
+    { name: 'input', alias: 'i' },
+    { name: 'manifest', alias: 'm' },
+    { name: 'factory' },
+    { name: 'name' },
+    { name: 'networks', alias: 'n' },
+    { name: 'libraryName', flag: 'library-name' },
+    { name: 'output', alias: 'o' },
+  ]);
+
+  if (help) {
+    process.stdout.write(
+      `Usage: CREATE4-plan export --format <${EXPORT_FORMATS.join('|')}>\n` +
+        '                           (--input <spec> [--factory <address>] [--name <contract>] | --manifest <file> [--factory <address>])\n' +
+        '                           [--library-name <name>] [--networks <networks.json>] [--output <file|dir>]\n' +
+        '\n' +
+        'ts, sol and foundry print to stdout unless --output is given. hardhat-deploy writes a folder per network\n' +
+        '(named from --networks, otherwise chain-<id>) under --output (default: deployments).\n'
+    );
+    return;
+  }
+
+  if (!values.format) {
+    throw new Error(`export command requires --format (${EXPORT_FORMATS.join(', ')})`);
+  }
+  if (values.input && values.manifest) {
+    throw new Error('Provide either --input or --manifest (but not both)');
+  }
+
+  let project;
+  if (values.manifest) {
+    const { manifest, baseDir } = loadProjectManifest(values.manifest);
+    project = buildProject(manifest, { baseDir, factory: values.factory });
+  } else {
+    const spec = loadSpec(values.input);
+    const name = values.name || String(spec.name || '').replace(/[^A-Za-z0-9_]/g, '') || 'Contract';
+    project = buildProject({ contracts: { [name]: { spec } } }, { factory: resolveFactory(values.factory) });
+  }
+
+  const files = exportAddressBook(project.addressBook, values.format, {
+    libraryName: values.libraryName,
+    networks: values.networks ? normalizeNetworks(parseJsonFile(values.networks)) : undefined,
+  });
+
+  if (values.format === 'hardhat-deploy') {
+    const root = path.resolve(values.output || 'deployments');
+    for (const file of files) {
+      const target = path.join(root, file.path);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, file.contents);
+    }
+    process.stderr.write(`Wrote ${files.length} file(s) under ${root}\n`);
+  } else if (values.output) {
+    fs.writeFileSync(path.resolve(values.output), files[0].contents);
+  } else {
+    process.stdout.write(files[0].contents);
+  }
+}
+
+function runExportProofs(args) {
+  const { help, values } = parseArgs(args, [
+    { name: 'input', alias: 'i' },
+    { name: 'outDir', flag: 'out-dir' },
+    { name: 'factory' },
+  ]);
+
+  if (help) {
+    process.stdout.write(
+      'Usage: CREATE4-plan export-proofs --input <spec> --out-dir <dir> [--factory <address>]\n' +
+        '\n' +
+        'Writes chain-<id>.json for every listed chain and fallback.json (gap leaf data and deployFallback\n' +
+        'calldata per range of unlisted chain ids), each with root, salt, factory, predicted address, proof, init\n' +
+        'code and calldata, plus index.json listing every file with its SHA-256.\n'
+    );
+    return;
+  }
+
+  if (!values.outDir) {
+    throw new Error('Missing required --out-dir parameter');
+  }
+
+  const files = exportProofBundles(loadSpec(values.input), { factory: resolveFactory(values.factory) });
+  const outDir = path.resolve(values.outDir);
+  fs.mkdirSync(outDir, { recursive: true });
+  for (const file of files) {
+    fs.writeFileSync(path.join(outDir, file.path), file.contents);
+  }
+  process.stderr.write(`Wrote ${files.length - 1} bundle(s) and index.json under ${outDir}\n`);
+}
+
+function runCheck(args) {
+  const { help, values } = parseArgs(args, [
+    { name: 'input', alias: 'i' },
+    { name: 'lock' },
+    { name: 'json', type: 'boolean' },
+  ]);
+
+  if (help) {
+    process.stdout.write('Usage: CREATE4-plan check --input <spec> --lock <file> [--json]\n');
+    return;
+  }
+  if (!values.lock) {
+    throw new Error('Missing required --lock parameter');
+  }
+
+  const lock = parseJsonFile(values.lock);
+  const report = checkPlanLockfile(loadSpec(values.input), lock);
+  if (values.json) {
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+  } else if (report.ok) {
+    const factories = Object.keys(lock.addresses || {}).length;
+    process.stdout.write(`Lockfile OK: root ${lock.root} and ${factories} factory address(es) unchanged\n`);
+  } else {
+    const lines = report.drift.map((drift) => `  [${drift.target}] ${drift.field}: ${drift.message}`);
+    process.stdout.write(`Plan drifted from ${values.lock} in ${report.drift.length} place(s):\n${lines.join('\n')}\n`);
+  }
+
+  if (!report.ok) {
+    throw new Error('plan does not match its lockfile');
+  }
+}
+
+function runVerify(args) {
+  const { help, values } = parseArgs(args, [
+    { name: 'plan', alias: 'p' },
+    { name: 'json', type: 'boolean' },
+  ]);
+
+  if (help) {
+    process.stdout.write('Usage: CREATE4-plan verify --plan <plan.json> [--json]\n');
+    return;
+  }
+
+  if (!values.plan) {
+    throw new Error('Missing required --plan parameter');
+  }
+
+  const report = verifyPlan(parseJsonFile(values.plan));
+  if (values.json) {
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+  } else if (report.valid) {
+    process.stdout.write(`Plan OK: ${report.leafCount} chain leaves and the fallback resolve to ${report.root}\n`);
+  } else {
+    const lines = report.issues.map((issue) => `  [${issue.target}] ${issue.field}: ${issue.message}`);
+    process.stdout.write(`Plan verification found ${report.issues.length} issue(s):\n${lines.join('\n')}\n`);
+  }
+
+  if (!report.valid) {
+    throw new Error('plan verification failed');
+  }
+}
+
+function runAudit(args) {
+  const { help, values } = parseArgs(args, [
+    { name: 'input', alias: 'i' },
+    { name: 'json', type: 'boolean' },
+    { name: 'strict', type: 'boolean' },
+  ]);
+
+  if (help) {
+    process.stdout.write('Usage: CREATE4-plan audit --input <spec or plan.json> [--json] [--strict]\n');
+    return;
+  }
+
+  const report = auditPlan(loadSpec(values.input));
+  if (values.json) {
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+  } else {
+    const lines = [];
+    lines.push(
+      `Audit: ${report.counts.error} error(s), ${report.counts.warning} warning(s), ${report.counts.info} info`
+    );
+    report.findings.forEach((finding) => {
+      lines.push(`  ${finding.severity.toUpperCase().padEnd(7)} ${finding.code} [${finding.target}] ${finding.message}`);
+    });
+    process.stdout.write(lines.join('\n') + '\n');
+  }
+
+  if (!report.ok) {
+    throw new Error('plan audit found errors');
+  }
+  if (values.strict && report.counts.warning > 0) {
+    throw new Error('plan audit found warnings (--strict)');
+  }
+}
+
+function runCheckEvm(args) {
+  const { help, values } = parseArgs(args, [
+    { name: 'input', alias: 'i' },
+    { name: 'baseline' },
+    { name: 'evmVersion', flag: 'evm-version' },
+    { name: 'json', type: 'boolean' },
+    { name: 'strict', type: 'boolean' },
+  ]);
+
+  if (help) {
+    process.stdout.write(
+      'Usage: CREATE4-plan check-evm --input <spec or plan.json> [--baseline <hardfork>]\n' +
+        '                              [--evm-version <chain>=<hardfork>[,...]] [--json] [--strict]\n' +
+        '\n' +
+        'Chain leaves are checked against the evmVersion of their chain in the chain registry (override\n' +
+        'with --evm-version or CREATE4_CHAINS). The fallback deploys on every chain without its own leaf, so\n' +
+        `it is checked against --baseline (default ${DEFAULT_BASELINE}). --strict also fails on chains without a\n` +
+        'known EVM version.\n'
+    );
+    return;
+  }
+
+  const evmVersions = {};
+  if (values.evmVersion !== undefined) {
+    for (const pair of values.evmVersion.split(',').filter((item) => item.trim().length > 0)) {
+      const [chain, fork] = pair.split('=').map((part) => part.trim());
+      if (!chain || !fork) {
+        throw new Error(`--evm-version expects <chain>=<hardfork> pairs, got "${pair}"`);
+      }
+      evmVersions[chain] = fork;
+    }
+  }
+
+  const report = checkEvmCompatibility(loadSpec(values.input), { baseline: values.baseline, evmVersions });
+  if (values.json) {
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+  } else {
+    const lines = [];
+    lines.push(
+      `EVM check (fallback baseline ${report.baseline}): ${report.counts.error} error(s), ` +
+        `${report.counts.warning} warning(s), ${report.counts.info} info`
+    );
+    report.targets.forEach((target) => {
+      const name = target.chainId !== undefined ? `chain ${formatChainId(target.chainId)}` : target.target;
+      let needs = 'init code unknown (hash only)';
+      if (target.requires) {
+        const opcodes = target.opcodes.map((op) => op.name).join(', ');
+        needs = `needs ${target.requires}${opcodes ? ` (${opcodes})` : ''}`;
+      }
+      lines.push(`  ${name.padEnd(32)} ${(target.evmVersion || 'unknown').padEnd(15)} ${needs}`);
+    });
+    report.findings.forEach((finding) => {
+      lines.push(`  ${finding.severity.toUpperCase().padEnd(7)} ${finding.code} [${finding.target}] ${finding.message}`);
+    });
+    process.stdout.write(lines.join('\n') + '\n');
+  }
+
+  if (!report.ok) {
+    throw new Error('EVM check found opcodes that target chains do not support');
+  }
+  if (values.strict && report.counts.warning > 0) {
+    throw new Error('EVM check found warnings (--strict)');
+  }
+}
+
+function formatCodeRange(offset, size) {
+  const end = offset + size - 1;
+  return `0x${offset.toString(16).padStart(4, '0')}-0x${end.toString(16).padStart(4, '0')} (${size} bytes)`;
+}
+
+function formatLimit(limit, eip) {
+  return `${limit.ok ? 'within' : 'EXCEEDS'} the ${limit.limit}-byte ${eip} limit`;
+}
+
+function runInspect(args) {
+  const { help, values } = parseArgs(args, [
+    { name: 'input', alias: 'i' },
+    { name: 'chain' },
+    { name: 'fallback', type: 'boolean' },
+    { name: 'disassemble', type: 'boolean' },
+    { name: 'json', type: 'boolean' },
+  ]);
+
+  if (help) {
+    process.stdout.write(
+      'Usage: CREATE4-plan inspect --input <spec or plan.json> [--chain <id> | --fallback] [--disassemble] [--json]\n' +
+        '\n' +
+        'Without --chain or --fallback every variant is inspected. The command fails when init code or runtime\n' +
+        'code exceeds the EIP-3860 / EIP-170 size limits.\n'
+    );
+    return;
+  }
+
+  if (values.chain !== undefined) {
+    warnUnknownChains([normalizeChainId(values.chain)]);
+  }
+  const reports = inspectPlan(loadSpec(values.input), {
+    chainId: values.chain,
+    fallback: values.fallback,
+    disassemble: values.disassemble,
+  });
+  if (values.json) {
+    process.stdout.write(JSON.stringify(reports, null, 2) + '\n');
+  } else {
+    const lines = [];
+    reports.forEach((report) => {
+      const name = report.variant === 'chain' ? `chain ${formatChainId(report.chainId)}` : report.target;
+      lines.push(`${name}${report.label ? ` [${report.label}]` : ''}`);
+      if (!report.inspected) {
+        lines.push(`  only the init code hash is known (${report.initCodeHash})`);
+        lines.push('');
+        return;
+      }
+      lines.push(
+        `  Init code    : ${report.initCodeSize} bytes, ${formatLimit(report.limits.initCode, 'EIP-3860')}, ` +
+          `hash ${report.initCodeHash}`
+      );
+      lines.push(`  Constructor  : ${formatCodeRange(report.constructor.offset, report.constructor.size)}`);
+      if (report.runtime) {
+        lines.push(
+          `  Runtime      : ${formatCodeRange(report.runtime.offset, report.runtime.size)}, ` +
+            `${formatLimit(report.limits.runtime, 'EIP-170')}, hash ${report.runtime.hash}`
+        );
+      } else {
+        lines.push('  Runtime      : not identified (no CODECOPY of a metadata-terminated range)');
+      }
+      if (report.constructorArgs) {
+        lines.push(
+          `  Args         : ${formatCodeRange(report.constructorArgs.offset, report.constructorArgs.size)} ` +
+            report.constructorArgs.data
+        );
+      }
+      report.metadata.forEach((metadata) => {
+        const fields = metadata.decoded
+          ? Object.entries(metadata.decoded).map(([key, value]) => `${key} ${value}`)
+          : [`undecodable (${metadata.error})`];
+        lines.push(`  Metadata     : ${formatCodeRange(metadata.offset, metadata.size)} ${fields.join(', ')}`);
+      });
+      lines.push(`  Needs EVM    : ${report.requires}`);
+      if (report.instructions) {
+        report.instructions.forEach((instruction) => {
+          const operand = instruction.pushData ? ` ${instruction.pushData}` : '';
+          lines.push(`    0x${instruction.pc.toString(16).padStart(4, '0')}  ${instruction.name}${operand}`);
+        });
+      }
+      lines.push('');
+    });
+    process.stdout.write(lines.join('\n'));
+  }
+
+  const oversized = reports.filter(
+    (report) => report.inspected && Object.values(report.limits).some((limit) => !limit.ok)
+  );
+  if (oversized.length > 0) {
+    throw new Error(`EVM code size limits exceeded by: ${oversized.map((report) => report.target).join(', ')}`);
+  }
+}
+
+function runEstimate(args) {
+  const { help, values } = parseArgs(args, [
+    { name: 'input', alias: 'i' },
+    { name: 'chain' },
+    { name: 'gasPrices', flag: 'gas-prices' },
+    { name: 'constructorGas', flag: 'constructor-gas' },
+    { name: 'json', type: 'boolean' },
+  ]);
+
+  if (help) {
+    process.stdout.write(
+      'Usage: CREATE4-plan estimate --input <spec or plan.json> [--chain <id>[,<id>...]] [--gas-prices <file>]\n' +
+        '                             [--constructor-gas <n>] [--json]\n' +
+        '\n' +
+        'Listed chains are estimated with deploy; chains from --chain or the gas price file that are not listed\n' +
+        'use deployFallback. The gas price file maps chain ids or names to gwei, e.g.\n' +
+        '  { "ethereum": { "gasPrice": "12.5", "symbol": "ETH" }, "137": 40 }\n' +
+        'and a networks.json with gasPrice fields also works. Constructor execution is not simulated; add it\n' +
+        'with --constructor-gas.\n'
+    );
+    return;
+  }
+
+  const chainIds = (values.chain || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter((item) => item.length > 0);
+  warnUnknownChains(chainIds.map((chainId) => normalizeChainId(chainId)));
+  let constructorGas;
+  if (values.constructorGas !== undefined) {
+    constructorGas = Number(values.constructorGas);
+    if (!Number.isSafeInteger(constructorGas) || constructorGas < 0) {
+      throw new Error(`--constructor-gas must be a non-negative integer, got ${values.constructorGas}`);
+    }
+  }
+  const estimates = estimateDeploymentGas(loadSpec(values.input), {
+    chainIds,
+    gasPrices: values.gasPrices ? parseJsonFile(values.gasPrices) : undefined,
+    constructorGas,
+  });
+  if (values.json) {
+    process.stdout.write(JSON.stringify(estimates, null, 2) + '\n');
+    return;
+  }
+
+  const lines = [];
+  estimates.forEach((estimate) => {
+    const name = estimate.chainId !== undefined ? `chain ${formatChainId(estimate.chainId)}` : estimate.target;
+    if (!estimate.estimated) {
+      lines.push(`${name}: ${estimate.function}, not estimated (${estimate.reason})`);
+      return;
+    }
+    let cost = '';
+    if (estimate.cost) {
+      cost = ` = ${estimate.cost.amount} ${estimate.cost.symbol} at ${estimate.cost.gasPriceGwei} gwei`;
+    }
+    lines.push(`${name}: ${estimate.function}, ${estimate.gas} gas${cost}`);
+    const { breakdown, calldata } = estimate;
+    lines.push(
+      `  calldata ${calldata.size} bytes (${calldata.zeroBytes} zero / ${calldata.nonZeroBytes} non-zero) = ` +
+        `${breakdown.calldata} gas, intrinsic ${breakdown.intrinsic}, dispatch ${breakdown.dispatch}, ` +
+        `keccak ${breakdown.keccak}, proofs ${breakdown.proofs} (${estimate.proofSteps} steps), ` +
+        `CREATE3 ${breakdown.create3}, ` +
+        `memory ${breakdown.memory}, deposit ${breakdown.codeDeposit === null ? 'n/a' : breakdown.codeDeposit}`
+    );
+    if (estimate.notes.length > 0) {
+      lines.push(`  (${estimate.notes.join('; ')})`);
+    }
+  });
+  process.stdout.write(lines.join('\n') + '\n');
+}
+
+function describeVariant(variant) {
+  return variant.variant === 'fallback'
+    ? `fallback ${variant.initCodeHash}`
+    : `chain ${variant.chainId} leaf ${variant.initCodeHash}`;
+}
+
+function formatChange(change) {
+  const format = (value) => (value === undefined ? 'n/a' : value);
+  return `${change.field} ${format(change.old)} -> ${format(change.new)}`;
+}
+
+function runDiff(args) {
+  const { help, values } = parseArgs(args, [
+    { name: 'old' },
+    { name: 'new' },
+    { name: 'factory' },
+    { name: 'json', type: 'boolean' },
+  ]);
+
+  if (help) {
+    process.stdout.write(
+      'Usage: CREATE4-plan diff --old <spec or plan.json> --new <spec or plan.json> [--factory <address>] [--json]\n' +
+        '\n' +
+        'Coverage lists the chain id ranges that deploy a different variant (or different init code) after the\n' +
+        'change. The predicted CREATE4 address is compared for --factory (default: the canonical factory).\n'
+    );
+    return;
+  }
+  if (!values.old || !values.new) {
+    throw new Error('diff requires --old <file> and --new <file>');
+  }
+
+  const report = diffDeploymentPlans(loadSpec(values.old), loadSpec(values.new), {
+    factory: resolveFactory(values.factory),
+  });
+  if (values.json) {
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    return;
+  }
+  if (!report.changed) {
+    const address = report.address ? `, address ${report.address.new}` : '';
+    process.stdout.write(`No changes (root ${report.root.new}${address})\n`);
+    return;
+  }
+
+  const lines = [];
+  if (report.metadata.length > 0) {
+    lines.push('Metadata:');
+    report.metadata.forEach((change) => lines.push(`  ${formatChange(change)}`));
+  }
+  const { added, removed, changed } = report.chains;
+  if (added.length + removed.length + changed.length > 0) {
+    lines.push('Chains:');
+    const describeLeaf = (leaf) =>
+      `chain ${formatChainId(leaf.chainId)} initCodeHash=${leaf.initCodeHash} label=${leaf.label || 'n/a'}`;
+    added.forEach((leaf) => lines.push(`  + ${describeLeaf(leaf)}`));
+    removed.forEach((leaf) => lines.push(`  - ${describeLeaf(leaf)}`));
+    changed.forEach((entry) => {
+      lines.push(`  ~ chain ${formatChainId(entry.chainId)}: ${entry.changes.map(formatChange).join('; ')}`);
+    });
+  }
+  if (report.fallback.length > 0) {
+    lines.push('Fallback:');
+    report.fallback.forEach((change) => lines.push(`  ${formatChange(change)}`));
+  }
+  if (report.coverage.length > 0) {
+    lines.push('Coverage:');
+    report.coverage.forEach((range) => {
+      const target =
+        range.start === range.end ? `chain ${formatChainId(range.start)}` : `chains ${range.start}-${range.end}`;
+      lines.push(`  ${target}: ${describeVariant(range.old)} -> ${describeVariant(range.new)}`);
+    });
+  }
+  const { root } = report;
+  lines.push(`Root: ${root.changed ? `${root.old} -> ${root.new}` : `unchanged (${root.new})`}`);
+  if (report.address) {
+    const { address } = report;
+    lines.push(
+      `Address (factory ${address.factory}): ` +
+        (address.changed ? `${address.old} -> ${address.new}` : `unchanged (${address.new})`)
+    );
+  }
+  process.stdout.write(lines.join('\n') + '\n');
+}
+
+function runChains(args) {
+  const { help, values } = parseArgs(args, [
+    { name: 'testnets', type: 'boolean' },
+    { name: 'json', type: 'boolean' },
+  ]);
+
+  if (help) {
+    process.stdout.write(
+      'Usage: CREATE4-plan chains [--testnets] [--json]\n' +
+        '\n' +
+        'Lists mainnets (or testnets with --testnets). Add or override chains with a JSON file named by the\n' +
+        'CREATE4_CHAINS variable:\n' +
+        '  [{ "name": "my-chain", "chainId": 12345, "testnet": false, "aliases": [], "evmVersion": "cancun" }]\n'
+    );
+    return;
+  }
+
+  const chains = getChainRegistry().filter((entry) => entry.testnet === Boolean(values.testnets));
+  if (values.json) {
+    process.stdout.write(JSON.stringify(chains, null, 2) + '\n');
+    return;
+  }
+  const lines = chains.map((entry) => {
+    const aliases = entry.aliases.length > 0 ? ` (${entry.aliases.join(', ')})` : '';
+    const evm = entry.evmVersion ? ` [${entry.evmVersion}]` : '';
+    return `${entry.chainId.padStart(11)}  ${entry.name}${aliases}${evm}`;
+  });
+  process.stdout.write(lines.join('\n') + '\n');
+}
+
+function runView(args) {
+  const { help, values } = parseArgs(args, [
+    { name: 'input', alias: 'i' },
+    { name: 'proofs', type: 'boolean' },
+  ]);
+
+  if (help) {
+    process.stdout.write('Usage: CREATE4-plan view --input <spec> [--proofs]\n');
+    return;
+  }
+
+  const rawSpec = readSpec(values.input);
+  const baseDir = path.dirname(path.resolve(values.input));
+  const plan = buildPlanFromSpec(resolveSpecArtifacts(rawSpec, { baseDir }));
+  const constructorArgs = new Map(
+    describeConstructorArgs(rawSpec, { baseDir, resolveLink: createLinkResolver() }).map((description) => [
+      description.target,
+      description,
+    ])
+  );
+  const lines = [];
+  const pushConstructorArgs = (target, indent) => {
+    const description = constructorArgs.get(target);
+    if (!description) {
+      return;
+    }
+    lines.push(`${indent}constructor (${description.source}):`);
+    if (description.args.length === 0) {
+      lines.push(`${indent}  (no arguments)`);
+    }
+    description.args.forEach((arg) => {
+      lines.push(`${indent}  ${arg.name} (${arg.type}) = ${arg.value}`);
+    });
+  };
+
+  lines.push(`Name         : ${plan.name || 'n/a'}`);
+  lines.push(`Version      : ${plan.version || 'n/a'}`);
+  lines.push(`Description  : ${plan.description || 'n/a'}`);
+  lines.push(`Salt         : ${plan.salt}`);
+  lines.push(`Tree root    : ${plan.root}`);
+  lines.push(`Tree layout  : ${plan.layout || 'balanced'}`);
+  lines.push('');
+  lines.push('Chains:');
+  plan.leaves.forEach((leaf, idx) => {
+    lines.push(
+      `  [${idx}] chainId=${formatChainId(leaf.chainId)} next=${leaf.nextChainId} label=${leaf.label || 'n/a'} ` +
+        `${leaf.weight !== undefined ? `weight=${leaf.weight} ` : ''}proofLen=${leaf.proof.length}`
+    );
+    lines.push(`      ${describeGapRange(leaf.chainId, leaf.nextChainId)}`);
+    pushConstructorArgs(`chain ${leaf.chainId}`, '      ');
+    if (values.proofs) {
+      leaf.proof.forEach((p, proofIdx) => {
+        lines.push(`      proof[${proofIdx}] = ${p}`);
+      });
+    }
+  });
+  lines.push('');
+  lines.push(
+    `Fallback: initHash=${plan.fallback.initCodeHash} ` +
+      `${plan.fallback.weight !== undefined ? `weight=${plan.fallback.weight} ` : ''}` +
+      `proofLen=${plan.fallback.proof.length}`
+  );
+  pushConstructorArgs('fallback', '  ');
+  if (values.proofs) {
+    plan.fallback.proof.forEach((proof, idx) => {
+      lines.push(`  fallbackProof[${idx}] = ${proof}`);
+    });
+  }
+
+  process.stdout.write(lines.join('\n') + '\n');
+}
+
+function printFactoryUsage() {
+  process.stdout.write(`CREATE4-plan factory <subcommand> [options]
+
+Subcommands:
+  address      Derive the factory address from the deterministic deployer, a salt and the factory init code
+  calldata     Encode the deterministic deployer call (salt ++ init code) that deploys the factory
+  tx           Build (and optionally sign) an offline transaction deploying the factory
+  deployer-tx  Print the presigned transaction that deploys the deterministic deployer itself
+  status       Check every network for the deterministic deployer and the factory
+
+The canonical factory is ${CANONICAL_FACTORY_ADDRESS}, deployed through ${DETERMINISTIC_DEPLOYER}.
+Use "CREATE4-plan factory <subcommand> --help" to view flags for a specific command.
+`);
+}
+
+const FACTORY_CODE_OPTIONS = [
+  { name: 'code' },
+  { name: 'codeFile', flag: 'code-file' },
+  { name: 'contract' },
+  { name: 'salt' },
+];
+
+const FACTORY_CODE_USAGE =
+  '[--code <0x...> | --code-file <file> [--contract <name>]] [--salt <hex>]';
+const ALLOW_NON_CANONICAL = { name: 'allowNonCanonical', flag: 'allow-non-canonical', type: 'boolean' };
+
+// --code-file accepts raw hex or a Foundry, Hardhat or solc standard-JSON artifact, e.g. the
+// out/CREATE4.sol/CREATE4.json that "forge build" writes in the repository root. Omitted code or
+// salt fall back to the canonical deployment's.
+function readFactoryCode(values) {
+  if (values.code && values.codeFile) {
+    throw new Error('Provide the factory init code through only one of --code or --code-file');
+  }
+  const inputs = { salt: values.salt };
+  if (values.code) {
+    inputs.initCode = extractBytecodeFromInput(values.code, { contractName: values.contract });
+  } else if (values.codeFile) {
+    inputs.initCode = extractBytecodeFromInput(fs.readFileSync(path.resolve(values.codeFile), 'utf8'), {
+      contractName: values.contract,
+    });
+  }
+  return inputs;
+}
+
+function warnNonCanonicalFactory({ address, canonical }) {
+  if (!canonical) {
+    process.stderr.write(`Warning: this deploys the factory to ${address}, not the canonical address\n`);
+  }
+}
+
+function describeCanonical(canonical) {
+  return canonical ? 'yes' : `no (canonical factory is ${CANONICAL_FACTORY_ADDRESS})`;
+}
+
+function runFactoryAddress(args) {
+  const { help, values } = parseArgs(args, [...FACTORY_CODE_OPTIONS, { name: 'json', type: 'boolean' }]);
+
+  if (help) {
+    process.stdout.write(
+      `Usage: CREATE4-plan factory address ${FACTORY_CODE_USAGE} [--json]\n` +
+        '\n' +
+        'The address is CREATE2 from the deterministic deployer: keccak256(0xff ++ deployer ++ salt ++\n' +
+        'keccak256(initCode))[12:]. The canonical address only comes out with the exact init code and salt used\n' +
+        'for the original deployment, which --code and --salt default to once they are recorded in this tool.\n'
+    );
+    return;
+  }
+
+  const derived = deriveFactoryAddress(readFactoryCode(values));
+  if (values.json) {
+    process.stdout.write(JSON.stringify(derived, null, 2) + '\n');
+    return;
+  }
+  process.stdout.write(
+    [
+      `Deployer       : ${derived.deployer}`,
+      `Salt           : ${derived.salt}`,
+      `Init code hash : ${derived.initCodeHash}`,
+      `Address        : ${derived.address}`,
+      `Canonical      : ${describeCanonical(derived.canonical)}`,
+    ].join('\n') + '\n'
+  );
+}
+
+function runFactoryCalldata(args) {
+  const { help, values } = parseArgs(args, [
+    ...FACTORY_CODE_OPTIONS,
+    ALLOW_NON_CANONICAL,
+    { name: 'raw', type: 'boolean' },
+    { name: 'output', alias: 'o' },
+    { name: 'pretty', type: 'boolean' },
+  ]);
+
+  if (help) {
+    process.stdout.write(
+      `Usage: CREATE4-plan factory calldata ${FACTORY_CODE_USAGE}\n` +
+        '                                     [--allow-non-canonical] [--raw] [--output <file>] [--pretty]\n' +
+        '\n' +
+        `Send the calldata to the deterministic deployer (${DETERMINISTIC_DEPLOYER}) from any account.\n` +
+        'Init code and salt that do not derive the canonical factory address are refused unless\n' +
+        '--allow-non-canonical is given.\n'
+    );
+    return;
+  }
+
+  const call = getFactoryDeployCalldata({ ...readFactoryCode(values), allowNonCanonical: values.allowNonCanonical });
+  warnNonCanonicalFactory(call);
+  if (values.raw) {
+    if (values.output) {
+      fs.writeFileSync(path.resolve(values.output), call.calldata + '\n');
+    } else {
+      process.stdout.write(call.calldata + '\n');
+    }
+    return;
+  }
+  writeOutput(call, values.pretty, values.output);
+}
+
+function runFactoryTx(args) {
+  const { help, values } = parseArgs(args, [
+    ...FACTORY_CODE_OPTIONS,
+    ALLOW_NON_CANONICAL,
+    { name: 'chain' },
+    { name: 'nonce' },
+    { name: 'gasLimit', flag: 'gas-limit' },
+    { name: 'maxFeePerGas', flag: 'max-fee-per-gas' },
+    { name: 'maxPriorityFeePerGas', flag: 'max-priority-fee-per-gas' },
+    { name: 'gasPrice', flag: 'gas-price' },
+    { name: 'privateKey', flag: 'private-key' },
+    { name: 'keystore' },
+    { name: 'passwordFile', flag: 'password-file' },
+    { name: 'output', alias: 'o' },
+    { name: 'pretty', type: 'boolean' },
+  ]);
+
+  if (help) {
+    process.stdout.write(
+      `Usage: CREATE4-plan factory tx ${FACTORY_CODE_USAGE}\n` +
+        '                               --chain <chain id> --nonce <n> --gas-limit <n>\n' +
+        '                               (--max-fee-per-gas <fee> --max-priority-fee-per-gas <fee>\n' +
+        '                                | --gas-price <fee>)\n' +
+        '                               [--private-key <hex> | --keystore <file> [--password-file <file>]]\n' +
+        '                               [--allow-non-canonical] [--output <file>] [--pretty]\n' +
+        '\n' +
+        'The transaction calls the deterministic deployer; deploy it first with "factory deployer-tx" where it\n' +
+        'is missing. Fees accept wei integers or unit amounts such as "30gwei". Init code and salt that do not\n' +
+        'derive the canonical factory address are refused unless --allow-non-canonical is given.\n'
+    );
+    return;
+  }
+
+  if (values.chain === undefined) {
+    throw new Error('factory tx command requires --chain');
+  }
+  if (values.nonce === undefined) {
+    throw new Error('factory tx command requires --nonce');
+  }
+  if (values.gasLimit === undefined) {
+    throw new Error('factory tx command requires --gas-limit');
+  }
+  if (values.privateKey && values.keystore) {
+    throw new Error('Provide either --private-key or --keystore (but not both)');
+  }
+
+  warnUnknownChains([normalizeChainId(values.chain)]);
+  const built = buildFactoryDeployTransaction({
+    ...readFactoryCode(values),
+    allowNonCanonical: values.allowNonCanonical,
+    chainId: values.chain,
+    nonce: values.nonce,
+    gasLimit: values.gasLimit,
+    maxFeePerGas: values.maxFeePerGas,
+    maxPriorityFeePerGas: values.maxPriorityFeePerGas,
+    gasPrice: values.gasPrice,
+  });
+  warnNonCanonicalFactory(built);
+
+  const output = {
+    address: built.address,
+    canonical: built.canonical,
+    initCodeHash: built.initCodeHash,
+    transaction: transactionToJson(built.transaction),
+    unsignedTransaction: built.unsignedTransaction,
+    signingHash: built.signingHash,
+  };
+  const privateKey = values.keystore ? readKeystoreKey(values.keystore, values.passwordFile) : values.privateKey;
+  if (privateKey) {
+    Object.assign(output, signTransaction(built.transaction, privateKey));
+  }
+  writeOutput(output, values.pretty, values.output);
+}
+
+function runFactoryDeployerTx(args) {
+  const { help, values } = parseArgs(args, [{ name: 'json', type: 'boolean' }]);
+
+  if (help) {
+    process.stdout.write(
+      'Usage: CREATE4-plan factory deployer-tx [--json]\n' +
+        '\n' +
+        'The deterministic deployer is deployed by a presigned transaction without a chain id. Fund its signer\n' +
+        'with gasPrice * gasLimit, then broadcast the raw transaction (eth_sendRawTransaction). Chains that\n' +
+        'reject transactions without EIP-155 replay protection cannot run it.\n'
+    );
+    return;
+  }
+
+  const presigned = { deployer: DETERMINISTIC_DEPLOYER, ...DETERMINISTIC_DEPLOYER_TRANSACTION };
+  if (values.json) {
+    process.stdout.write(JSON.stringify(presigned, null, 2) + '\n');
+    return;
+  }
+  process.stdout.write(
+    [
+      `Deployer  : ${presigned.deployer}`,
+      `Signer    : ${presigned.signer} (fund with ${presigned.funding} wei)`,
+      `Gas       : ${presigned.gasLimit} at ${presigned.gasPrice} wei`,
+      `Raw tx    : ${presigned.rawTransaction}`,
+    ].join('\n') + '\n'
+  );
+}
+
+async function runFactoryStatus(args) {
+  const { help, values } = parseArgs(args, [
+    { name: 'networks', alias: 'n' },
+    { name: 'factory' },
+    { name: 'json', type: 'boolean' },
+  ]);
+
+  if (help) {
+    process.stdout.write(
+      'Usage: CREATE4-plan factory status --networks <networks.json> [--factory <address>] [--json]\n' +
+        '\n' +
+        'Statuses: deployed, missing (deploy it with "factory tx"), missing-deployer (send "factory deployer-tx"\n' +
+        'first), error (RPC failure). Exits non-zero unless the factory is deployed everywhere.\n'
+    );
+    return;
+  }
+
+  if (!values.networks) {
+    throw new Error('Missing required --networks parameter');
+  }
+
+  const report = await getFactoryStatus(parseJsonFile(values.networks), { factory: resolveFactory(values.factory) });
+  if (values.json) {
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+  } else {
+    const yesNo = (value) => (value === undefined ? '-' : value ? 'yes' : 'no');
+    const rows = report.chains.map((chain) => [
+      chain.network,
+      chain.chainId,
+      yesNo(chain.deployerDeployed),
+      yesNo(chain.factoryDeployed),
+      chain.status,
+      chain.error || '',
+    ]);
+    const header = ['network', 'chain', 'deployer', 'factory', 'status', ''];
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map((row) => row[column].length)));
+    const formatRow = (row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+    process.stdout.write(`Factory ${report.factory} (deterministic deployer ${report.deployer}):\n`);
+    process.stdout.write([header, ...rows].map(formatRow).join('\n') + '\n');
+  }
+
+  const problems = report.chains.filter((chain) => chain.status !== 'deployed');
+  if (problems.length > 0) {
+    throw new Error(`factory is not deployed on ${problems.length} chain(s)`);
+  }
+}
+
+async function runFactoryCommand(args) {
+  const [command, ...rest] = args;
+  if (!command || command === '-h' || command === '--help') {
+    printFactoryUsage();
+    return;
+  }
+
+  if (command === 'address') {
+    runFactoryAddress(rest);
+  } else if (command === 'calldata') {
+    runFactoryCalldata(rest);
+  } else if (command === 'tx') {
+    runFactoryTx(rest);
+  } else if (command === 'deployer-tx') {
+    runFactoryDeployerTx(rest);
+  } else if (command === 'status') {
+    await runFactoryStatus(rest);
+  } else {
+    throw new Error(`Unknown factory subcommand: ${command}`);
+  }
 }
 
 function wantsEnvDebug() {
@@ -187,7 +1537,7 @@ function extractDebugFlags(argv) {
   return { args: filtered, debugEnabled };
 }
 
-function main() {
+async function main() {
   const { args, debugEnabled } = extractDebugFlags(process.argv.slice(2));
   const [command, ...rest] = args;
 
@@ -199,14 +1549,52 @@ function main() {
   try {
     if (command === 'build') {
       runBuild(rest);
+    } else if (command === 'redact') {
+      runRedact(rest);
     } else if (command === 'address') {
       runAddress(rest);
+    } else if (command === 'mine') {
+      await runMine(rest);
     } else if (command === 'proof') {
       runProof(rest);
+    } else if (command === 'resolve') {
+      runResolve(rest);
+    } else if (command === 'calldata') {
+      runCalldata(rest);
+    } else if (command === 'tx') {
+      runTx(rest);
+    } else if (command === 'rollout') {
+      await runRollout(rest);
+    } else if (command === 'status') {
+      await runStatus(rest);
+    } else if (command === 'export') {
+      runExport(rest);
+    } else if (command === 'export-proofs') {
+      runExportProofs(rest);
+    } else if (command === 'check') {
+      runCheck(rest);
+    } else if (command === 'verify') {
+      runVerify(rest);
+    } else if (command === 'audit') {
+      runAudit(rest);
+    } else if (command === 'check-evm') {
+      runCheckEvm(rest);
     } else if (command === 'view') {
       runView(rest);
+    } else if (command === 'inspect') {
+      runInspect(rest);
+    } else if (command === 'estimate') {
+      runEstimate(rest);
+    } else if (command === 'diff') {
+      runDiff(rest);
+    } else if (command === 'chains') {
+      runChains(rest);
     } else if (command === 'edit') {
       runEditCommand(rest);
+    } else if (command === 'project') {
+      runProjectCommand(rest);
+    } else if (command === 'factory') {
+      await runFactoryCommand(rest);
     } else {
       throw new Error(`Unknown command: ${command}`);
     }
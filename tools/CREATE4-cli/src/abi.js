@@ -0,0 +1,462 @@
+const { keccak256 } = require('./deploymentPlan');
+const { hexToBuffer } = require('./utils');
+
+const WORD_SIZE = 32;
+
+function splitTupleComponents(body, type) {
+  const components = [];
+  let depth = 0;
+  let current = '';
+  for (const char of body) {
+    if (char === '(') {
+      depth += 1;
+    } else if (char === ')') {
+      depth -= 1;
+      if (depth < 0) {
+        throw new Error(`unbalanced parentheses in ABI type ${type}`);
+      }
+    }
+    if (char === ',' && depth === 0) {
+      components.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (depth !== 0) {
+    throw new Error(`unbalanced parentheses in ABI type ${type}`);
+  }
+  if (current.trim().length > 0 || components.length > 0) {
+    components.push(current);
+  }
+  return components;
+}
+
+function tupleType(components, names) {
+  return {
+    kind: 'tuple',
+    components,
+    names,
+    dynamic: components.some((component) => component.dynamic),
+  };
+}
+
+function applyArraySuffix(inner, suffix, type) {
+  if (suffix === '') {
+    return { kind: 'array', inner, dynamic: true };
+  }
+  const length = Number(suffix);
+  if (!Number.isSafeInteger(length) || length === 0) {
+    throw new Error(`invalid fixed array length in ABI type ${type}`);
+  }
+  return { kind: 'fixedArray', inner, length, dynamic: inner.dynamic };
+}
+
+/**
+ * Parse an ABI type. Accepts Solidity type strings, including tuples written as "(uint256,address)"
+ * or "tuple(uint256,address)", and ABI JSON parameters ({ type: 'tuple[]', components: [...] }),
+ * which also carry component names.
+ */
+function parseType(type) {
+  if (type && typeof type === 'object') {
+    return parseAbiParameter(type);
+  }
+  if (typeof type !== 'string' || type.trim().length === 0) {
+    throw new Error('ABI type must be a non-empty string');
+  }
+  const trimmed = type.trim();
+
+  const arrayMatch = trimmed.match(/^(.*)\[(\d*)\]$/);
+  if (arrayMatch) {
+    return applyArraySuffix(parseType(arrayMatch[1]), arrayMatch[2], trimmed);
+  }
+
+  const tupleMatch = trimmed.match(/^(?:tuple)?\((.*)\)$/);
+  if (tupleMatch) {
+    return tupleType(splitTupleComponents(tupleMatch[1], trimmed).map(parseType));
+  }
+
+  if (trimmed === 'address') {
+    return { kind: 'address', dynamic: false };
+  }
+  if (trimmed === 'bool') {
+    return { kind: 'bool', dynamic: false };
+  }
+  if (trimmed === 'bytes') {
+    return { kind: 'bytes', dynamic: true };
+  }
+  if (trimmed === 'string') {
+    return { kind: 'string', dynamic: true };
+  }
+
+  const intMatch = trimmed.match(/^(u?)int(\d*)$/);
+  if (intMatch) {
+    const bits = intMatch[2] === '' ? 256 : Number(intMatch[2]);
+    if (bits === 0 || bits > 256 || bits % 8 !== 0) {
+      throw new Error(`invalid integer width in ABI type ${trimmed}`);
+    }
+    return { kind: intMatch[1] ? 'uint' : 'int', bits, dynamic: false };
+  }
+
+  const fixedBytesMatch = trimmed.match(/^bytes(\d+)$/);
+  if (fixedBytesMatch) {
+    const size = Number(fixedBytesMatch[1]);
+    if (size === 0 || size > 32) {
+      throw new Error(`invalid fixed bytes size in ABI type ${trimmed}`);
+    }
+    return { kind: 'fixedBytes', size, dynamic: false };
+  }
+
+  throw new Error(`unsupported ABI type: ${trimmed}`);
+}
+
+function parseAbiParameter(param) {
+  if (typeof param.type !== 'string') {
+    throw new Error('ABI parameter is missing its type');
+  }
+  const tupleMatch = param.type.match(/^tuple((?:\[\d*\])*)$/);
+  if (!tupleMatch) {
+    return parseType(param.type);
+  }
+  if (!Array.isArray(param.components)) {
+    throw new Error(`ABI parameter ${param.name || param.type} is a tuple without components`);
+  }
+  let parsed = tupleType(
+    param.components.map(parseAbiParameter),
+    param.components.map((component) => component.name || '')
+  );
+  for (const [, suffix] of tupleMatch[1].matchAll(/\[(\d*)\]/g)) {
+    parsed = applyArraySuffix(parsed, suffix, param.type);
+  }
+  return parsed;
+}
+
+/**
+ * Canonical type string of a parsed type, e.g. "(uint256,address[])[2]".
+ */
+function formatType(parsed) {
+  switch (parsed.kind) {
+    case 'uint':
+    case 'int':
+      return `${parsed.kind}${parsed.bits}`;
+    case 'fixedBytes':
+      return `bytes${parsed.size}`;
+    case 'array':
+      return `${formatType(parsed.inner)}[]`;
+    case 'fixedArray':
+      return `${formatType(parsed.inner)}[${parsed.length}]`;
+    case 'tuple':
+      return `(${parsed.components.map(formatType).join(',')})`;
+    default:
+      return parsed.kind;
+  }
+}
+
+function headSize(parsed) {
+  if (parsed.dynamic) {
+    return WORD_SIZE;
+  }
+  if (parsed.kind === 'fixedArray') {
+    return parsed.length * headSize(parsed.inner);
+  }
+  if (parsed.kind === 'tuple') {
+    return parsed.components.reduce((sum, component) => sum + headSize(component), 0);
+  }
+  return WORD_SIZE;
+}
+
+function toBigInt(value, fieldName) {
+  if (typeof value === 'bigint') {
+    return value;
+  }
+  if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value)) {
+      throw new Error(`${fieldName} must be a safe integer (use a string for large values)`);
+    }
+    return BigInt(value);
+  }
+  if (typeof value === 'string' && value.trim().length > 0) {
+    try {
+      return BigInt(value.trim());
+    } catch (err) {
+      throw new Error(`invalid integer for ${fieldName}: ${value}`);
+    }
+  }
+  throw new Error(`${fieldName} must be a number, bigint, or numeric string`);
+}
+
+function encodeWord(value) {
+  return Buffer.from(value.toString(16).padStart(64, '0'), 'hex');
+}
+
+function padRight(buffer) {
+  const remainder = buffer.length % WORD_SIZE;
+  if (remainder === 0) {
+    return buffer;
+  }
+  return Buffer.concat([buffer, Buffer.alloc(WORD_SIZE - remainder, 0)]);
+}
+
+function toBytes(value, fieldName) {
+  if (Buffer.isBuffer(value)) {
+    return value;
+  }
+  if (typeof value === 'string' && (value === '0x' || value === '0X')) {
+    return Buffer.alloc(0);
+  }
+  return hexToBuffer(value, { fieldName });
+}
+
+function encodeSequence(parsedTypes, values, fieldName) {
+  if (!Array.isArray(values) || values.length !== parsedTypes.length) {
+    throw new Error(`${fieldName} expects ${parsedTypes.length} value(s)`);
+  }
+  const heads = [];
+  const tails = [];
+  let tailOffset = parsedTypes.reduce((sum, parsed) => sum + headSize(parsed), 0);
+
+  parsedTypes.forEach((parsed, idx) => {
+    const encoded = encodeValue(parsed, values[idx], `${fieldName}[${idx}]`);
+    if (parsed.dynamic) {
+      heads.push(encodeWord(BigInt(tailOffset)));
+      tails.push(encoded);
+      tailOffset += encoded.length;
+    } else {
+      heads.push(encoded);
+    }
+  });
+
+  return Buffer.concat([...heads, ...tails]);
+}
+
+function tupleValues(parsed, value, fieldName) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  // Tuples may also be given as objects keyed by component name (ABI JSON parameters only).
+  if (value && typeof value === 'object' && parsed.names && parsed.names.every((name) => name)) {
+    return parsed.names.map((name) => {
+      if (!Object.prototype.hasOwnProperty.call(value, name)) {
+        throw new Error(`${fieldName} is missing tuple component "${name}"`);
+      }
+      return value[name];
+    });
+  }
+  throw new Error(`${fieldName} must be an array${parsed.names ? ' or an object keyed by component name' : ''}`);
+}
+
+function encodeValue(parsed, value, fieldName) {
+  switch (parsed.kind) {
+    case 'uint': {
+      const parsedValue = toBigInt(value, fieldName);
+      if (parsedValue < 0n || parsedValue >= 1n << BigInt(parsed.bits)) {
+        throw new Error(`${fieldName} does not fit in uint${parsed.bits}`);
+      }
+      return encodeWord(parsedValue);
+    }
+    case 'int': {
+      const parsedValue = toBigInt(value, fieldName);
+      const limit = 1n << BigInt(parsed.bits - 1);
+      if (parsedValue < -limit || parsedValue >= limit) {
+        throw new Error(`${fieldName} does not fit in int${parsed.bits}`);
+      }
+      return encodeWord(BigInt.asUintN(256, parsedValue));
+    }
+    case 'address': {
+      const buffer = toBytes(value, fieldName);
+      if (buffer.length !== 20) {
+        throw new Error(`${fieldName} must be a 20-byte address`);
+      }
+      return Buffer.concat([Buffer.alloc(12, 0), buffer]);
+    }
+    case 'bool': {
+      if (typeof value !== 'boolean') {
+        throw new Error(`${fieldName} must be a boolean`);
+      }
+      return encodeWord(value ? 1n : 0n);
+    }
+    case 'fixedBytes': {
+      const buffer = toBytes(value, fieldName);
+      if (buffer.length !== parsed.size) {
+        throw new Error(`${fieldName} must be exactly ${parsed.size} bytes`);
+      }
+      return padRight(buffer);
+    }
+    case 'bytes': {
+      const buffer = toBytes(value, fieldName);
+      return Buffer.concat([encodeWord(BigInt(buffer.length)), padRight(buffer)]);
+    }
+    case 'string': {
+      if (typeof value !== 'string') {
+        throw new Error(`${fieldName} must be a string`);
+      }
+      const buffer = Buffer.from(value, 'utf8');
+      return Buffer.concat([encodeWord(BigInt(buffer.length)), padRight(buffer)]);
+    }
+    case 'array': {
+      if (!Array.isArray(value)) {
+        throw new Error(`${fieldName} must be an array`);
+      }
+      const inner = value.map(() => parsed.inner);
+      return Buffer.concat([encodeWord(BigInt(value.length)), encodeSequence(inner, value, fieldName)]);
+    }
+    case 'fixedArray': {
+      if (!Array.isArray(value) || value.length !== parsed.length) {
+        throw new Error(`${fieldName} must be an array of length ${parsed.length}`);
+      }
+      const inner = value.map(() => parsed.inner);
+      return encodeSequence(inner, value, fieldName);
+    }
+    case 'tuple':
+      return encodeSequence(parsed.components, tupleValues(parsed, value, fieldName), fieldName);
+    default:
+      throw new Error(`unsupported ABI type kind: ${parsed.kind}`);
+  }
+}
+
+function readWord(data, offset) {
+  if (offset + WORD_SIZE > data.length) {
+    throw new Error('ABI data is too short');
+  }
+  return BigInt('0x' + data.subarray(offset, offset + WORD_SIZE).toString('hex'));
+}
+
+function readOffset(data, offset) {
+  const value = readWord(data, offset);
+  if (value > BigInt(data.length)) {
+    throw new Error('ABI data contains an out-of-range offset');
+  }
+  return Number(value);
+}
+
+function readBytes(data, offset) {
+  const length = readOffset(data, offset);
+  const start = offset + WORD_SIZE;
+  if (start + length > data.length) {
+    throw new Error('ABI data is too short');
+  }
+  return data.subarray(start, start + length);
+}
+
+function decodeSequence(parsedTypes, data, base) {
+  let head = base;
+  return parsedTypes.map((parsed) => {
+    const position = parsed.dynamic ? base + readOffset(data, head) : head;
+    head += headSize(parsed);
+    return decodeValue(parsed, data, position);
+  });
+}
+
+function decodeValue(parsed, data, offset) {
+  switch (parsed.kind) {
+    case 'uint':
+      return readWord(data, offset);
+    case 'int':
+      return BigInt.asIntN(256, readWord(data, offset));
+    case 'address':
+      return '0x' + data.subarray(offset + 12, offset + WORD_SIZE).toString('hex');
+    case 'bool': {
+      const word = readWord(data, offset);
+      if (word > 1n) {
+        throw new Error('ABI data contains an invalid boolean');
+      }
+      return word === 1n;
+    }
+    case 'fixedBytes':
+      readWord(data, offset);
+      return '0x' + data.subarray(offset, offset + parsed.size).toString('hex');
+    case 'bytes':
+      return '0x' + readBytes(data, offset).toString('hex');
+    case 'string':
+      return readBytes(data, offset).toString('utf8');
+    case 'array': {
+      const length = readOffset(data, offset);
+      return decodeSequence(new Array(length).fill(parsed.inner), data, offset + WORD_SIZE);
+    }
+    case 'fixedArray':
+      return decodeSequence(new Array(parsed.length).fill(parsed.inner), data, offset);
+    case 'tuple':
+      return decodeSequence(parsed.components, data, offset);
+    default:
+      throw new Error(`unsupported ABI type kind: ${parsed.kind}`);
+  }
+}
+
+/**
+ * Decode ABI-encoded parameters. Integers decode to bigints, addresses and bytes to lowercase hex,
+ * tuples and arrays to arrays.
+ *
+ * @param {Array<string|object>} types Solidity type strings or ABI JSON parameters.
+ * @param {Buffer|string} data Encoded parameters (no selector).
+ * @returns {Array<any>}
+ */
+function decodeParameters(types, data) {
+  const buffer = Buffer.isBuffer(data) ? data : hexToBuffer(data, { fieldName: 'ABI data' });
+  return decodeSequence(types.map(parseType), buffer, 0);
+}
+
+/**
+ * Render a decoded value for display: integers in decimal, strings quoted, arrays in [] and
+ * tuples in ().
+ */
+function formatValue(type, value) {
+  const parsed = typeof type === 'string' || !type.kind ? parseType(type) : type;
+  switch (parsed.kind) {
+    case 'array':
+    case 'fixedArray':
+      return `[${value.map((item) => formatValue(parsed.inner, item)).join(', ')}]`;
+    case 'tuple':
+      return `(${value.map((item, idx) => formatValue(parsed.components[idx], item)).join(', ')})`;
+    case 'string':
+      return JSON.stringify(value);
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * ABI-encode a list of values according to their Solidity types.
+ *
+ * @param {Array<string|object>} types Solidity type strings (e.g. "bytes32[]", "(uint64,address)")
+ *   or ABI JSON parameters (tuple values may then be objects keyed by component name).
+ * @param {Array<any>} values Values matching the provided types.
+ * @returns {Buffer} Encoded parameters without a function selector.
+ */
+function encodeParameters(types, values) {
+  return encodeSequence(types.map(parseType), values, 'parameters');
+}
+
+function parseSignatureTypes(signature) {
+  const match = typeof signature === 'string' ? signature.match(/^([A-Za-z_$][\w$]*)\((.*)\)$/) : null;
+  if (!match) {
+    throw new Error(`invalid function signature: ${signature}`);
+  }
+  return splitTupleComponents(match[2], signature);
+}
+
+function functionSelector(signature) {
+  parseSignatureTypes(signature);
+  return keccak256(Buffer.from(signature, 'utf8')).subarray(0, 4);
+}
+
+/**
+ * Build the calldata (selector + encoded arguments) for a function call.
+ *
+ * @param {string} signature Canonical function signature, e.g. "deploy(bytes32[],bytes,uint64,bytes32)".
+ * @param {Array<any>} values Arguments in declaration order.
+ * @returns {Buffer} Selector followed by the ABI-encoded arguments.
+ */
+function encodeFunctionCall(signature, values) {
+  const types = parseSignatureTypes(signature);
+  return Buffer.concat([functionSelector(signature), encodeParameters(types, values)]);
+}
+
+module.exports = {
+  parseType,
+  formatType,
+  formatValue,
+  encodeParameters,
+  decodeParameters,
+  encodeFunctionCall,
+  functionSelector,
+};
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function contractLabel(candidate) {
+  return candidate.sourceName ? `${candidate.sourceName}:${candidate.name}` : candidate.name;
+}
+
+function hasCreationBytecode(candidate) {
+  return candidate.bytecode.trim().replace(/^0x/i, '').length > 0;
+}
+
+// Foundry records the compilation target in the metadata (an object, or a JSON string in older
+// versions); otherwise fall back to the `out/<Source>.sol/<Name>.json` layout.
+function foundryContractName(json, filePath) {
+  let metadata = json.metadata;
+  if (typeof metadata === 'string') {
+    try {
+      metadata = JSON.parse(metadata);
+    } catch (err) {
+      metadata = null;
+    }
+  }
+  const target = isObject(metadata) && metadata.settings && metadata.settings.compilationTarget;
+  if (isObject(target) && Object.keys(target).length === 1) {
+    const [sourceName] = Object.keys(target);
+    return { name: String(target[sourceName]), sourceName };
+  }
+  if (!filePath) {
+    return { name: 'Contract' };
+  }
+  return { name: path.basename(filePath, '.json'), sourceName: path.basename(path.dirname(filePath)) };
+}
+
+function standardJsonCandidates(contracts, format) {
+  const candidates = [];
+  for (const [sourceName, byName] of Object.entries(contracts)) {
+    if (!isObject(byName)) {
+      continue;
+    }
+    for (const [name, output] of Object.entries(byName)) {
+      const bytecode = output && output.evm && output.evm.bytecode;
+      if (!bytecode || typeof bytecode.object !== 'string') {
+        continue;
+      }
+      candidates.push({
+        format,
+        name,
+        sourceName,
+        bytecode: bytecode.object,
+        linkReferences: bytecode.linkReferences,
+        abi: output.abi,
+      });
+    }
+  }
+  return candidates;
+}
+
+/**
+ * List the contracts in a compiler output, always with their creation (not deployed) bytecode:
+ *   hardhat       Hardhat `artifacts/**.json` (`contractName`, `sourceName`, `bytecode`)
+ *   foundry       Foundry `out/<Source>.sol/<Name>.json` (`bytecode.object`)
+ *   solc          solc standard-JSON output (`contracts[source][name].evm.bytecode`), also inside
+ *                 Hardhat / Foundry build-info files (`output.contracts`)
+ *   solc-contract a single contract from standard-JSON output (`evm.bytecode`)
+ * Returns null when the JSON is none of these.
+ *
+ * @param {object} json Parsed compiler output.
+ * @param {string} [filePath] Used to name Foundry artifacts without metadata.
+ * @returns {Array<{format: string, name: string, sourceName?: string, bytecode: string, linkReferences?: object, abi?: Array<object>}>|null}
+ */
+function listArtifactContracts(json, filePath) {
+  if (!isObject(json)) {
+    return null;
+  }
+  const abi = Array.isArray(json.abi) ? json.abi : undefined;
+  if (typeof json.bytecode === 'string') {
+    const name = typeof json.contractName === 'string' ? json.contractName : foundryContractName(json, filePath).name;
+    const sourceName = typeof json.sourceName === 'string' ? json.sourceName : undefined;
+    return [{ format: 'hardhat', name, sourceName, bytecode: json.bytecode, linkReferences: json.linkReferences, abi }];
+  }
+  if (isObject(json.bytecode) && typeof json.bytecode.object === 'string') {
+    return [
+      {
+        format: 'foundry',
+        ...foundryContractName(json, filePath),
+        bytecode: json.bytecode.object,
+        linkReferences: json.bytecode.linkReferences,
+        abi,
+      },
+    ];
+  }
+  if (isObject(json.contracts)) {
+    return standardJsonCandidates(json.contracts, 'solc');
+  }
+  if (isObject(json.output) && isObject(json.output.contracts)) {
+    return standardJsonCandidates(json.output.contracts, 'solc');
+  }
+  if (isObject(json.evm) && isObject(json.evm.bytecode) && typeof json.evm.bytecode.object === 'string') {
+    const name = filePath ? path.basename(filePath, '.json') : 'Contract';
+    return [
+      {
+        format: 'solc-contract',
+        name,
+        bytecode: json.evm.bytecode.object,
+        linkReferences: json.evm.bytecode.linkReferences,
+        abi,
+      },
+    ];
+  }
+  return null;
+}
+
+/**
+ * Pick one contract from {@link listArtifactContracts}. `contractName` matches a plain name or a
+ * fully qualified `path/File.sol:Name`; without it the output must hold exactly one contract with
+ * creation bytecode. Ambiguous input is refused with the list of candidates.
+ *
+ * @param {Array<object>} candidates
+ * @param {{contractName?: string, context: string, selector?: string}} options `selector` names the
+ *   option used to choose a contract in error messages.
+ * @returns {object}
+ */
+function selectArtifactContract(candidates, { contractName, context, selector = '--contract' }) {
+  const available = candidates.map(contractLabel).join(', ') || '(none)';
+  if (contractName) {
+    const matches = candidates.filter(
+      (candidate) => contractLabel(candidate) === contractName || candidate.name === contractName
+    );
+    if (matches.length === 0) {
+      throw new Error(`${context} does not contain contract ${contractName} (available: ${available})`);
+    }
+    if (matches.length > 1) {
+      throw new Error(
+        `${context} contains several contracts named ${contractName}; use one of: ${matches.map(contractLabel).join(', ')}`
+      );
+    }
+    return matches[0];
+  }
+
+  const deployable = candidates.filter(hasCreationBytecode);
+  if (deployable.length === 1) {
+    return deployable[0];
+  }
+  if (deployable.length === 0) {
+    throw new Error(`${context} does not contain a contract with creation bytecode (available: ${available})`);
+  }
+  throw new Error(
+    `${context} contains ${deployable.length} deployable contracts; choose one with ${selector}: ` +
+      deployable.map(contractLabel).join(', ')
+  );
+}
+
+/**
+ * Read a compiler output file and return the selected contract.
+ *
+ * @param {string} filePath
+ * @param {{contractName?: string, context?: string, selector?: string}} [options]
+ * @returns {{format: string, name: string, sourceName?: string, bytecode: string, linkReferences?: object, abi?: Array<object>}}
+ */
+function importArtifactContract(filePath, { contractName, context = filePath, selector } = {}) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Artifact for ${context} not found at ${filePath}`);
+  }
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Unable to parse artifact ${filePath}: ${err.message}`);
+  }
+  const candidates = listArtifactContracts(json, filePath);
+  if (candidates === null) {
+    throw new Error(
+      `Artifact ${filePath} is not a Foundry, Hardhat or solc standard-JSON output (no creation bytecode found)`
+    );
+  }
+  return selectArtifactContract(candidates, { contractName, context: `Artifact ${filePath}`, selector });
+}
+
+module.exports = {
+  contractLabel,
+  listArtifactContracts,
+  selectArtifactContract,
+  importArtifactContract,
+};
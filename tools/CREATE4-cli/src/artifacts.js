@@ -0,0 +1,297 @@
+const fs = require('fs');
+const path = require('path');
+const { encodeParameters, decodeParameters, formatType, formatValue, parseType } = require('./abi');
+const { keccak256 } = require('./deploymentPlan');
+const { normalizeAddress } = require('./create3');
+const { normalizeBytecode, listEntryChainIds, describeChainEntry } = require('./utils');
+const { importArtifactContract } = require('./artifactImport');
+
+// Spec entry fields that describe init code as creation bytecode (linked against `libraries`) plus
+// ABI-encoded constructor args.
+const CONSTRUCTOR_SOURCE_FIELDS = ['artifact', 'contract', 'bytecode', 'libraries', 'abi', 'constructorArgs'];
+
+// solc >= 0.5 emits `__$<first 17 bytes of keccak(path:Name)>$__`; older compilers emit `__<path:Name>`
+// truncated or padded with underscores to 36 characters. Both are 40 characters, the size of an address.
+const PLACEHOLDER_REGEX = /__\$[0-9a-fA-F]{34}\$__|__[A-Za-z0-9_.:/$-]{36}__/g;
+
+function hasConstructorSource(entry) {
+  return Boolean(entry && typeof entry === 'object' && (entry.artifact || entry.bytecode));
+}
+
+function placeholderHash(fullyQualifiedName) {
+  return keccak256(Buffer.from(fullyQualifiedName, 'utf8')).toString('hex').slice(0, 34);
+}
+
+function libraryKeyForPlaceholder(placeholder, keys) {
+  if (placeholder.startsWith('__$')) {
+    const hash = placeholder.slice(3, 37).toLowerCase();
+    return keys.find((key) => key.includes(':') && placeholderHash(key) === hash);
+  }
+  const legacyName = placeholder.slice(2, 38);
+  return keys.find((key) => key.slice(0, 36).padEnd(36, '_') === legacyName);
+}
+
+function resolveLibraryAddress(value, { context, name, baseDir, resolveLink }) {
+  const linkContext = `${context} library ${name}`;
+  if (typeof value === 'string') {
+    return normalizeAddress(value);
+  }
+  if (value && typeof value === 'object' && resolveLink) {
+    return normalizeAddress(resolveLink(value, { baseDir, context: linkContext }));
+  }
+  throw new Error(`${linkContext} must be an address or a reference to another CREATE4 plan`);
+}
+
+/**
+ * Substitute library addresses into creation bytecode. Positions come from the artifact's
+ * `linkReferences` when available; otherwise `__$hash$__` and legacy `__Name___` placeholders are
+ * matched against the `libraries` keys ("path/File.sol:Name", or "Name" for legacy placeholders).
+ * Library values are addresses, or objects handed to `resolveLink` (e.g. another CREATE4 plan).
+ */
+function linkBytecode(raw, { libraries = {}, linkReferences, context, baseDir, resolveLink }) {
+  if (!libraries || typeof libraries !== 'object' || Array.isArray(libraries)) {
+    throw new Error(`${context} libraries must be an object keyed by library name`);
+  }
+  let body = String(raw).trim().replace(/^0x/i, '');
+  const keys = Object.keys(libraries);
+  const used = new Set();
+  const addresses = new Map();
+  const addressFor = (key) => {
+    if (!addresses.has(key)) {
+      addresses.set(key, resolveLibraryAddress(libraries[key], { context, name: key, baseDir, resolveLink }).slice(2));
+    }
+    used.add(key);
+    return addresses.get(key);
+  };
+
+  for (const [file, names] of Object.entries(linkReferences || {})) {
+    for (const [name, positions] of Object.entries(names)) {
+      const fullyQualifiedName = `${file}:${name}`;
+      const key = [fullyQualifiedName, name].find((candidate) =>
+        Object.prototype.hasOwnProperty.call(libraries, candidate)
+      );
+      if (!key) {
+        throw new Error(`${context} bytecode needs library ${fullyQualifiedName}; add it to "libraries"`);
+      }
+      const address = addressFor(key);
+      for (const { start } of positions) {
+        body = body.slice(0, start * 2) + address + body.slice(start * 2 + 40);
+      }
+    }
+  }
+
+  body = body.replace(PLACEHOLDER_REGEX, (placeholder) => {
+    const key = libraryKeyForPlaceholder(placeholder, keys);
+    return key ? addressFor(key) : placeholder;
+  });
+
+  const unresolved = [...new Set(body.match(PLACEHOLDER_REGEX) || [])];
+  if (unresolved.length > 0) {
+    throw new Error(`${context} bytecode contains unlinked library placeholders: ${unresolved.join(', ')}`);
+  }
+  const unused = keys.filter((key) => !used.has(key));
+  if (unused.length > 0) {
+    throw new Error(`${context} links ${unused.join(', ')}, which the bytecode does not reference`);
+  }
+  return body;
+}
+
+function normalizeCreationBytecode(raw, context, linking) {
+  const body = linkBytecode(raw, { ...linking, context });
+  if (body.length === 0) {
+    throw new Error(`${context} has no creation bytecode (abstract contract or interface?)`);
+  }
+  return normalizeBytecode('0x' + body, `${context} bytecode`);
+}
+
+/**
+ * Read a compiler artifact (Foundry `out/*.json`, Hardhat `artifacts/**.json`, or solc
+ * standard-JSON output where `contractName` selects the contract) and return its unlinked creation
+ * bytecode, link references and ABI.
+ *
+ * @param {string} artifactPath
+ * @param {{context?: string, contractName?: string}} [options]
+ * @returns {{bytecode: string, linkReferences?: object, abi?: Array<object>}}
+ */
+function readArtifact(artifactPath, { context = artifactPath, contractName } = {}) {
+  const contract = importArtifactContract(artifactPath, { context, contractName, selector: '"contract"' });
+  return { bytecode: contract.bytecode, linkReferences: contract.linkReferences, abi: contract.abi };
+}
+
+function constructorInputs(abi, argCount, context) {
+  if (abi === undefined) {
+    if (argCount === 0) {
+      return [];
+    }
+    throw new Error(`${context} needs an abi (inline or from its artifact) to encode constructorArgs`);
+  }
+  if (!Array.isArray(abi)) {
+    throw new Error(`${context} abi must be an array`);
+  }
+  const constructor = abi.find((item) => item && item.type === 'constructor');
+  const inputs = constructor && Array.isArray(constructor.inputs) ? constructor.inputs : [];
+  if (inputs.length !== argCount) {
+    throw new Error(`${context} constructor takes ${inputs.length} argument(s) but ${argCount} were given`);
+  }
+  return inputs;
+}
+
+/**
+ * Build the init code for an entry given as `artifact` (path relative to `baseDir`) or inline
+ * `bytecode`, with an optional `abi` and `constructorArgs` array that is ABI-encoded and appended.
+ *
+ * @returns {{bytecode: string, inputs: Array<object>, encodedArgs: string, initCode: string}}
+ */
+function resolveConstructorSource(entry, { baseDir = process.cwd(), context, resolveLink }) {
+  if (entry.initCode) {
+    throw new Error(`${context} cannot combine initCode with artifact/bytecode`);
+  }
+  if (entry.artifact && entry.bytecode) {
+    throw new Error(`${context} cannot combine artifact with bytecode`);
+  }
+  if (entry.contract !== undefined && !entry.artifact) {
+    throw new Error(`${context} contract selects a contract inside an artifact and requires "artifact"`);
+  }
+
+  const linking = { libraries: entry.libraries, baseDir, resolveLink };
+  let bytecode;
+  let abi = entry.abi;
+  if (entry.artifact) {
+    const artifact = readArtifact(path.resolve(baseDir, String(entry.artifact)), {
+      context,
+      contractName: entry.contract === undefined ? undefined : String(entry.contract),
+    });
+    bytecode = normalizeCreationBytecode(artifact.bytecode, context, {
+      ...linking,
+      linkReferences: artifact.linkReferences,
+    });
+    abi = abi || artifact.abi;
+  } else {
+    bytecode = normalizeCreationBytecode(entry.bytecode, context, linking);
+  }
+
+  const args = entry.constructorArgs === undefined ? [] : entry.constructorArgs;
+  if (!Array.isArray(args)) {
+    throw new Error(`${context} constructorArgs must be an array`);
+  }
+  const inputs = constructorInputs(abi, args.length, context);
+  let encoded;
+  try {
+    encoded = encodeParameters(inputs, args).toString('hex');
+  } catch (err) {
+    throw new Error(`${context} constructorArgs: ${err.message}`);
+  }
+  return { bytecode, inputs, encodedArgs: '0x' + encoded, initCode: bytecode + encoded };
+}
+
+function stripConstructorSource(entry) {
+  const rest = { ...entry };
+  CONSTRUCTOR_SOURCE_FIELDS.forEach((field) => delete rest[field]);
+  return rest;
+}
+
+/**
+ * Replace artifact/bytecode + constructorArgs entries (and a `fallback` object of the same shape)
+ * with plain `initCode` / `fallbackInitCode`. Specs without such entries are returned unchanged.
+ *
+ * @param {object} spec
+ * @param {{baseDir?: string, resolveLink?: Function}} [options] `baseDir` is the directory artifact
+ *   paths are relative to; `resolveLink(reference, {baseDir, context})` returns the address of a
+ *   non-address library reference.
+ * @returns {object}
+ */
+function resolveSpecArtifacts(spec, { baseDir = process.cwd(), resolveLink } = {}) {
+  const chains = Array.isArray(spec.chains) ? spec.chains : [];
+  if (!chains.some(hasConstructorSource) && !hasConstructorSource(spec.fallback)) {
+    return spec;
+  }
+
+  const resolved = { ...spec };
+  resolved.chains = chains.map((entry) => {
+    if (!hasConstructorSource(entry)) {
+      return entry;
+    }
+    const { initCode } = resolveConstructorSource(entry, { baseDir, resolveLink, context: describeChainEntry(entry) });
+    return { ...stripConstructorSource(entry), initCode };
+  });
+  if (hasConstructorSource(spec.fallback)) {
+    if (spec.fallbackInitCode) {
+      throw new Error('Spec cannot combine fallbackInitCode with a fallback artifact/bytecode');
+    }
+    resolved.fallbackInitCode = resolveConstructorSource(spec.fallback, { baseDir, resolveLink, context: 'fallback' })
+      .initCode;
+    delete resolved.fallback;
+  }
+  return resolved;
+}
+
+/**
+ * Load the spec behind a `{ "spec": "<path>" | {...} }` library reference. Paths resolve against
+ * `baseDir`; the returned `baseDir` is the one the linked spec's own artifacts resolve against.
+ *
+ * @returns {{spec: object, baseDir: string, specPath?: string}}
+ */
+function loadLinkedSpec(reference, { baseDir = process.cwd(), context }) {
+  if (typeof reference.spec === 'string') {
+    const specPath = path.resolve(baseDir, reference.spec);
+    if (!fs.existsSync(specPath)) {
+      throw new Error(`${context} links spec ${specPath}, which does not exist`);
+    }
+    let spec;
+    try {
+      spec = JSON.parse(fs.readFileSync(specPath, 'utf8'));
+    } catch (err) {
+      throw new Error(`Unable to parse linked spec ${specPath}: ${err.message}`);
+    }
+    return { spec, baseDir: path.dirname(specPath), specPath };
+  }
+  if (reference.spec && typeof reference.spec === 'object' && !Array.isArray(reference.spec)) {
+    return { spec: reference.spec, baseDir };
+  }
+  throw new Error(`${context} must be an address, { "spec": ... } or, in a project, { "contract": ... }`);
+}
+
+function describeSource(entry) {
+  if (!entry.artifact) {
+    return 'inline bytecode';
+  }
+  return entry.contract === undefined ? String(entry.artifact) : `${entry.artifact}, ${entry.contract}`;
+}
+
+/**
+ * Decode the constructor arguments appended to every artifact/bytecode entry of a spec, for display.
+ *
+ * @returns {Array<{target: string, source: string, args: Array<{name: string, type: string, value: string}>}>}
+ */
+function describeConstructorArgs(spec, { baseDir = process.cwd(), resolveLink } = {}) {
+  // Grouped entries are described once per chain so callers can look targets up by `chain <id>`.
+  const targets = (Array.isArray(spec.chains) ? spec.chains : []).map((entry) => [
+    listEntryChainIds(entry, spec.groups).map((chainId) => `chain ${chainId}`),
+    entry,
+  ]);
+  targets.push([['fallback'], spec.fallback]);
+
+  return targets
+    .filter(([, entry]) => hasConstructorSource(entry))
+    .flatMap(([names, entry]) => {
+      const context = names.length === 1 ? names[0] : describeChainEntry(entry);
+      const resolved = resolveConstructorSource(entry, { baseDir, resolveLink, context });
+      const values = decodeParameters(resolved.inputs, Buffer.from(resolved.encodedArgs.slice(2), 'hex'));
+      const args = resolved.inputs.map((input, idx) => {
+        const parsed = parseType(input);
+        return { name: input.name || `arg${idx}`, type: formatType(parsed), value: formatValue(parsed, values[idx]) };
+      });
+      return names.map((target) => ({ target, source: describeSource(entry), args }));
+    });
+}
+
+module.exports = {
+  CONSTRUCTOR_SOURCE_FIELDS,
+  hasConstructorSource,
+  readArtifact,
+  linkBytecode,
+  resolveConstructorSource,
+  resolveSpecArtifacts,
+  loadLinkedSpec,
+  describeConstructorArgs,
+};
@@ -0,0 +1,244 @@
+const { commutativeKeccak } = require('./deploymentPlan');
+const { hexToBuffer, normalizeChainId, UINT64_MAX } = require('./utils');
+const { bufferToHex } = require('./create3');
+
+const SEVERITY_RANK = { error: 0, warning: 1, info: 2 };
+
+function isBuiltPlan(input) {
+  return Boolean(input && typeof input.root === 'string' && Array.isArray(input.leaves) && input.fallback);
+}
+
+function gapSegments(chainId, nextChainId) {
+  if (chainId === nextChainId) {
+    const segments = [];
+    if (chainId > 0n) {
+      segments.push([0n, chainId - 1n]);
+    }
+    if (chainId < UINT64_MAX) {
+      segments.push([chainId + 1n, UINT64_MAX]);
+    }
+    return segments;
+  }
+  if (chainId < nextChainId) {
+    return nextChainId - chainId > 1n ? [[chainId + 1n, nextChainId - 1n]] : [];
+  }
+  const segments = [];
+  if (chainId < UINT64_MAX) {
+    segments.push([chainId + 1n, UINT64_MAX]);
+  }
+  if (nextChainId > 0n) {
+    segments.push([0n, nextChainId - 1n]);
+  }
+  return segments;
+}
+
+function segmentsOverlap(a, b) {
+  return a.some(([aStart, aEnd]) => b.some(([bStart, bEnd]) => aStart <= bEnd && bStart <= aEnd));
+}
+
+function segmentsContain(segments, value) {
+  return segments.some(([start, end]) => value >= start && value <= end);
+}
+
+function looksLikeLeafPrefix(buffer) {
+  // A leaf preimage is prefix ++ initCodeHash where the prefix only uses the fallback byte and the
+  // two low uint64 slots. Any 64-byte internal preimage whose first word has the same shape could
+  // be replayed as a leaf, because the contract hashes leaves and nodes identically.
+  if (buffer[0] > 1) {
+    return false;
+  }
+  for (let i = 1; i < 16; i++) {
+    if (buffer[i] !== 0) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function toLeafRecord(leaf, target, isFallback) {
+  return {
+    target,
+    isFallback,
+    chainId: normalizeChainId(leaf.chainId, `${target} chainId`),
+    nextChainId: normalizeChainId(leaf.nextChainId, `${target} nextChainId`),
+    prefix: hexToBuffer(leaf.prefix, { expectedLength: 32, fieldName: `${target} prefix` }),
+    initCodeHash: hexToBuffer(leaf.initCodeHash, { expectedLength: 32, fieldName: `${target} initCodeHash` }),
+    leafHash: hexToBuffer(leaf.leafHash, { expectedLength: 32, fieldName: `${target} leafHash` }),
+    proof: (leaf.proof || []).map((entry, idx) =>
+      hexToBuffer(entry, { expectedLength: 32, fieldName: `${target} proof[${idx}]` })
+    ),
+  };
+}
+
+function auditGaps(findings, chainLeaves) {
+  const withSegments = chainLeaves.map((leaf) => ({
+    ...leaf,
+    segments: gapSegments(leaf.chainId, leaf.nextChainId),
+  }));
+
+  for (const leaf of withSegments) {
+    if (leaf.segments.length === 0) {
+      findings.push({
+        severity: 'info',
+        code: 'adjacent-chain-ids',
+        target: leaf.target,
+        message: `no gap between chain ${leaf.chainId} and chain ${leaf.nextChainId}; this leaf can never authorize the fallback`,
+      });
+    }
+  }
+  if (withSegments.length > 0 && withSegments.every((leaf) => leaf.segments.length === 0)) {
+    findings.push({
+      severity: 'error',
+      code: 'fallback-unreachable',
+      target: 'fallback',
+      message: 'no chain leaf has a non-empty gap, so the fallback can never be deployed',
+    });
+  }
+
+  for (let i = 0; i < withSegments.length; i++) {
+    for (let j = i + 1; j < withSegments.length; j++) {
+      if (segmentsOverlap(withSegments[i].segments, withSegments[j].segments)) {
+        findings.push({
+          severity: 'error',
+          code: 'overlapping-gaps',
+          target: `${withSegments[i].target}, ${withSegments[j].target}`,
+          message: 'gap ranges overlap; more than one gap leaf can authorize the fallback for the same chain',
+        });
+      }
+    }
+    for (const other of withSegments) {
+      if (other !== withSegments[i] && segmentsContain(withSegments[i].segments, other.chainId)) {
+        findings.push({
+          severity: 'error',
+          code: 'gap-covers-listed-chain',
+          target: withSegments[i].target,
+          message: `gap range includes listed ${other.target}, which could deploy the fallback instead of its own variant`,
+        });
+      }
+    }
+  }
+}
+
+function auditTreeShape(findings, records) {
+  const leafHashes = new Map();
+  for (const record of records) {
+    const key = bufferToHex(record.leafHash);
+    if (leafHashes.has(key)) {
+      findings.push({
+        severity: 'error',
+        code: 'duplicate-leaf',
+        target: `${leafHashes.get(key)}, ${record.target}`,
+        message: `leaf hash ${key} appears more than once`,
+      });
+    } else {
+      leafHashes.set(key, record.target);
+    }
+  }
+
+  // Rebuild the internal nodes reachable from each proof so the leaf/node domain can be compared.
+  const internalNodes = new Map();
+  for (const record of records) {
+    let node = record.leafHash;
+    record.proof.forEach((sibling, level) => {
+      if (sibling.equals(node)) {
+        findings.push({
+          severity: 'warning',
+          code: 'odd-layer-self-pairing',
+          target: record.target,
+          message: `proof[${level}] pairs the node with itself (last node of an odd layer); the tree is malleable because a plan duplicating this subtree yields the same root`,
+        });
+      }
+      const [left, right] = Buffer.compare(node, sibling) < 0 ? [node, sibling] : [sibling, node];
+      const parent = commutativeKeccak(node, sibling);
+      internalNodes.set(bufferToHex(parent), { left, right });
+      node = parent;
+    });
+  }
+
+  for (const [hash, target] of leafHashes) {
+    if (internalNodes.has(hash)) {
+      findings.push({
+        severity: 'error',
+        code: 'leaf-node-collision',
+        target,
+        message: `leaf hash ${hash} is also an internal node of the tree`,
+      });
+    }
+  }
+
+  const reported = new Set();
+  for (const [hash, { left }] of internalNodes) {
+    if (looksLikeLeafPrefix(left) && !reported.has(hash)) {
+      reported.add(hash);
+      findings.push({
+        severity: 'warning',
+        code: 'node-resembles-leaf',
+        target: `node ${hash}`,
+        message: `internal node preimage starts with a well-formed leaf prefix (${bufferToHex(left)}) and could be presented as a leaf`,
+      });
+    }
+  }
+}
+
+/**
+ * Inspect a built plan for shapes the CREATE4 contract does not reject on its own. The contract
+ * only checks proofs and gap ranges, so malformed or malleable trees must be caught by tooling
+ * before a plan root is committed to.
+ *
+ * @param {object} plan Built plan (output of `buildPlanFromSpec` or `CREATE4-plan build`).
+ * @returns {{ok: boolean, counts: {error: number, warning: number, info: number}, findings: Array<{severity: string, code: string, target: string, message: string}>}}
+ */
+function auditPlan(plan) {
+  const findings = [];
+
+  const chainLeaves = plan.leaves.map((leaf) => toLeafRecord(leaf, `chain ${leaf.chainId}`, false));
+  const fallback = toLeafRecord(plan.fallback, 'fallback', true);
+
+  for (const leaf of chainLeaves) {
+    if (leaf.prefix[0] !== 0) {
+      findings.push({
+        severity: 'error',
+        code: 'duplicate-fallback',
+        target: leaf.target,
+        message: 'chain leaf prefix has the fallback flag set; the plan commits to more than one fallback leaf',
+      });
+    }
+    if (leaf.initCodeHash.equals(fallback.initCodeHash)) {
+      findings.push({
+        severity: 'warning',
+        code: 'fallback-identical-init-code',
+        target: leaf.target,
+        message: 'init code is identical to the fallback; the explicit leaf is redundant',
+      });
+    }
+  }
+  if (fallback.prefix[0] !== 1 || fallback.chainId !== 0n || fallback.nextChainId !== 0n) {
+    findings.push({
+      severity: 'error',
+      code: 'malformed-fallback',
+      target: 'fallback',
+      message: 'fallback leaf must use prefix pack(0, 0, 1)',
+    });
+  }
+
+  auditGaps(findings, chainLeaves);
+  auditTreeShape(findings, [...chainLeaves, fallback]);
+
+  findings.sort((a, b) => SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity]);
+  const counts = { error: 0, warning: 0, info: 0 };
+  findings.forEach((finding) => {
+    counts[finding.severity] += 1;
+  });
+
+  return {
+    ok: counts.error === 0,
+    counts,
+    findings,
+  };
+}
+
+module.exports = {
+  auditPlan,
+  isBuiltPlan,
+  gapSegments,
+};
@@ -0,0 +1,50 @@
+const { encodeFunctionCall, functionSelector } = require('./abi');
+const { bufferToHex } = require('./create3');
+
+const DEPLOY_SIGNATURE = 'deploy(bytes32[],bytes,uint64,bytes32)';
+const DEPLOY_FALLBACK_SIGNATURE = 'deployFallback(bytes32,bytes32,bytes32[],bytes32[],bytes,bytes32)';
+
+function requireInitCode(initCode, context) {
+  if (!initCode) {
+    throw new Error(`init code for ${context} is required to encode calldata (the spec only carries its hash)`);
+  }
+  return initCode;
+}
+
+/**
+ * Encode a call to CREATE4.deploy for an explicit chain leaf.
+ */
+function encodeDeployCall({ proof, initCode, nextChainId, salt }) {
+  const data = encodeFunctionCall(DEPLOY_SIGNATURE, [
+    proof,
+    requireInitCode(initCode, 'chain leaf'),
+    String(nextChainId),
+    salt,
+  ]);
+  return bufferToHex(data);
+}
+
+/**
+ * Encode a call to CREATE4.deployFallback. `gapLeafHash` is the init code hash stored in the
+ * gap leaf (the contract re-hashes it with the prefix), not the gap leaf hash itself.
+ */
+function encodeDeployFallbackCall({ gapLeafPrefix, gapLeafHash, gapProof, proof, initCode, salt }) {
+  const data = encodeFunctionCall(DEPLOY_FALLBACK_SIGNATURE, [
+    gapLeafPrefix,
+    gapLeafHash,
+    gapProof,
+    proof,
+    requireInitCode(initCode, 'fallback leaf'),
+    salt,
+  ]);
+  return bufferToHex(data);
+}
+
+module.exports = {
+  DEPLOY_SIGNATURE,
+  DEPLOY_FALLBACK_SIGNATURE,
+  DEPLOY_SELECTOR: bufferToHex(functionSelector(DEPLOY_SIGNATURE)),
+  DEPLOY_FALLBACK_SELECTOR: bufferToHex(functionSelector(DEPLOY_FALLBACK_SIGNATURE)),
+  encodeDeployCall,
+  encodeDeployFallbackCall,
+};
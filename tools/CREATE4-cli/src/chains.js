@@ -0,0 +1,336 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeHardfork } = require('./hardforks');
+
+const CHAIN_REGISTRY_ENV = 'CREATE4_CHAINS';
+
+// Built-in registry. Names are canonical lowercase slugs; aliases are accepted anywhere a name is.
+// `evmVersion` is the newest hardfork whose opcodes the chain is known to support; it errs on the
+// old side and is absent where the chain is not EVM-equivalent (zkSync) so `check-evm` cannot pass.
+const BUILTIN_CHAINS = [
+  { chainId: 1, name: 'ethereum', aliases: ['mainnet', 'eth'], evmVersion: 'osaka' },
+  { chainId: 10, name: 'optimism', aliases: ['op', 'op-mainnet'], evmVersion: 'prague' },
+  { chainId: 25, name: 'cronos', evmVersion: 'shanghai' },
+  { chainId: 56, name: 'bsc', aliases: ['bnb', 'binance'], evmVersion: 'cancun' },
+  { chainId: 100, name: 'gnosis', aliases: ['xdai'], evmVersion: 'prague' },
+  { chainId: 130, name: 'unichain', evmVersion: 'prague' },
+  { chainId: 137, name: 'polygon', aliases: ['matic', 'polygon-pos'], evmVersion: 'cancun' },
+  { chainId: 143, name: 'monad', evmVersion: 'cancun' },
+  { chainId: 146, name: 'sonic', evmVersion: 'cancun' },
+  { chainId: 204, name: 'opbnb', evmVersion: 'cancun' },
+  { chainId: 250, name: 'fantom', evmVersion: 'london' },
+  { chainId: 324, name: 'zksync', aliases: ['zksync-era'] },
+  { chainId: 480, name: 'worldchain', evmVersion: 'cancun' },
+  { chainId: 1088, name: 'metis', evmVersion: 'london' },
+  { chainId: 1101, name: 'polygon-zkevm', evmVersion: 'shanghai' },
+  { chainId: 1284, name: 'moonbeam', evmVersion: 'shanghai' },
+  { chainId: 1329, name: 'sei', aliases: ['sei-evm'], evmVersion: 'cancun' },
+  { chainId: 1868, name: 'soneium', evmVersion: 'cancun' },
+  { chainId: 5000, name: 'mantle', evmVersion: 'shanghai' },
+  { chainId: 5031, name: 'somnia', evmVersion: 'shanghai' },
+  { chainId: 8333, name: 'b3', evmVersion: 'cancun' },
+  { chainId: 8453, name: 'base', evmVersion: 'prague' },
+  { chainId: 13371, name: 'immutable-zkevm', aliases: ['immutable'], evmVersion: 'shanghai' },
+  { chainId: 19011, name: 'homeverse', evmVersion: 'london' },
+  { chainId: 33139, name: 'apechain', aliases: ['ape'], evmVersion: 'cancun' },
+  { chainId: 34443, name: 'mode', evmVersion: 'cancun' },
+  { chainId: 42161, name: 'arbitrum-one', aliases: ['arbitrum', 'arb1'], evmVersion: 'cancun' },
+  { chainId: 42170, name: 'arbitrum-nova', evmVersion: 'cancun' },
+  { chainId: 42220, name: 'celo', evmVersion: 'cancun' },
+  { chainId: 42793, name: 'etherlink', evmVersion: 'shanghai' },
+  { chainId: 43114, name: 'avalanche', aliases: ['avax', 'avalanche-c'], evmVersion: 'cancun' },
+  { chainId: 59144, name: 'linea', evmVersion: 'london' },
+  { chainId: 81457, name: 'blast', evmVersion: 'cancun' },
+  { chainId: 534352, name: 'scroll', evmVersion: 'cancun' },
+  { chainId: 660279, name: 'xai', evmVersion: 'cancun' },
+  { chainId: 747474, name: 'katana', evmVersion: 'cancun' },
+  { chainId: 7777777, name: 'zora', evmVersion: 'cancun' },
+  { chainId: 97, name: 'bsc-testnet', testnet: true, evmVersion: 'cancun' },
+  { chainId: 300, name: 'zksync-sepolia', testnet: true },
+  { chainId: 1301, name: 'unichain-sepolia', testnet: true, evmVersion: 'prague' },
+  { chainId: 1328, name: 'sei-testnet', testnet: true, evmVersion: 'cancun' },
+  { chainId: 1993, name: 'b3-sepolia', testnet: true, evmVersion: 'cancun' },
+  { chainId: 10143, name: 'monad-testnet', testnet: true, evmVersion: 'cancun' },
+  { chainId: 10200, name: 'gnosis-chiado', aliases: ['chiado'], testnet: true, evmVersion: 'prague' },
+  { chainId: 13473, name: 'immutable-zkevm-testnet', testnet: true, evmVersion: 'shanghai' },
+  { chainId: 17000, name: 'holesky', testnet: true, evmVersion: 'osaka' },
+  { chainId: 28802, name: 'incentiv-testnet', aliases: ['incentiv-testnet-v2'], testnet: true, evmVersion: 'shanghai' },
+  { chainId: 31337, name: 'anvil', aliases: ['hardhat'], testnet: true, evmVersion: 'prague' },
+  { chainId: 40875, name: 'homeverse-testnet', testnet: true, evmVersion: 'london' },
+  { chainId: 43113, name: 'avalanche-fuji', aliases: ['fuji'], testnet: true, evmVersion: 'cancun' },
+  { chainId: 50312, name: 'somnia-testnet', aliases: ['somnia-shannon'], testnet: true, evmVersion: 'shanghai' },
+  { chainId: 59141, name: 'linea-sepolia', testnet: true, evmVersion: 'london' },
+  { chainId: 80002, name: 'polygon-amoy', aliases: ['amoy'], testnet: true, evmVersion: 'cancun' },
+  { chainId: 84532, name: 'base-sepolia', testnet: true, evmVersion: 'prague' },
+  { chainId: 128123, name: 'etherlink-testnet', testnet: true, evmVersion: 'shanghai' },
+  { chainId: 421614, name: 'arbitrum-sepolia', testnet: true, evmVersion: 'cancun' },
+  { chainId: 534351, name: 'scroll-sepolia', testnet: true, evmVersion: 'cancun' },
+  { chainId: 560048, name: 'hoodi', testnet: true, evmVersion: 'osaka' },
+  { chainId: 5042002, name: 'arc-testnet', testnet: true, evmVersion: 'cancun' },
+  { chainId: 11155111, name: 'sepolia', testnet: true, evmVersion: 'osaka' },
+  { chainId: 11155420, name: 'optimism-sepolia', aliases: ['op-sepolia'], testnet: true, evmVersion: 'prague' },
+  { chainId: 21000000, name: 'toy-testnet', testnet: true, evmVersion: 'cancun' },
+  { chainId: 168587773, name: 'blast-sepolia', testnet: true, evmVersion: 'cancun' },
+  { chainId: 37714555429, name: 'xai-sepolia', aliases: ['xai-testnet'], testnet: true, evmVersion: 'cancun' },
+];
+
+let customChains = [];
+// Merged registry plus lookup indexes, rebuilt after registerChains/resetChainRegistry or when
+// CREATE4_CHAINS points somewhere else.
+let registryCache = null;
+
+function normalizeChainName(name) {
+  return String(name)
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, '-');
+}
+
+function isNumeric(value) {
+  try {
+    BigInt(value);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function normalizeRegistryEntry(entry, context) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error(`${context} must be an object with a name and chainId`);
+  }
+  const name = normalizeChainName(entry.name || '');
+  if (!name || isNumeric(name)) {
+    throw new Error(`${context} needs a name that is not a number`);
+  }
+  let chainId;
+  try {
+    chainId = BigInt(entry.chainId);
+  } catch (err) {
+    throw new Error(`${context} has an invalid chainId: ${entry.chainId}`);
+  }
+  const aliases = Array.isArray(entry.aliases) ? entry.aliases.map(normalizeChainName) : [];
+  const normalized = { chainId: chainId.toString(), name, aliases, testnet: Boolean(entry.testnet) };
+  if (entry.evmVersion !== undefined) {
+    normalized.evmVersion = normalizeHardfork(entry.evmVersion, `${context} evmVersion`);
+  }
+  return normalized;
+}
+
+// Registry files are an array of entries or an object keyed by name (value: chain id or entry).
+function parseRegistryConfig(config, source) {
+  const entries = Array.isArray(config)
+    ? config
+    : Object.entries(config || {}).map(([name, value]) =>
+        value && typeof value === 'object' ? { name, ...value } : { name, chainId: value }
+      );
+  return entries.map((entry, index) => normalizeRegistryEntry(entry, `${source} entry ${entry.name || index}`));
+}
+
+let builtinChains = null;
+
+function getBuiltinChains() {
+  if (builtinChains === null) {
+    builtinChains = BUILTIN_CHAINS.map((entry, index) => normalizeRegistryEntry(entry, `built-in chain ${index}`));
+  }
+  return builtinChains;
+}
+
+// Built-in names and aliases always mean the same chain, so a spec that names a chain builds the
+// same root whatever CREATE4_CHAINS or registerChains add.
+function assertNoBuiltinRebinding(entries, source) {
+  const builtinIds = new Map(
+    getBuiltinChains().flatMap((entry) => [entry.name, ...entry.aliases].map((name) => [name, entry.chainId]))
+  );
+  for (const entry of entries) {
+    for (const name of [entry.name, ...entry.aliases]) {
+      if (builtinIds.has(name) && builtinIds.get(name) !== entry.chainId) {
+        throw new Error(
+          `${source} entry ${entry.name} binds built-in chain name ${name} (chain ${builtinIds.get(name)}) ` +
+            `to chain ${entry.chainId}; built-in names and aliases cannot be remapped`
+        );
+      }
+    }
+  }
+  return entries;
+}
+
+function loadEnvChains(filePath) {
+  if (!filePath) {
+    return [];
+  }
+  const resolved = path.resolve(filePath);
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (err) {
+    throw new Error(`Unable to read chain registry ${resolved} (${CHAIN_REGISTRY_ENV}): ${err.message}`);
+  }
+  const source = `chain registry ${resolved}`;
+  return assertNoBuiltinRebinding(parseRegistryConfig(config, source), source);
+}
+
+function loadRegistry() {
+  const envPath = process.env[CHAIN_REGISTRY_ENV] || '';
+  if (registryCache !== null && registryCache.envPath === envPath) {
+    return registryCache;
+  }
+  const byId = new Map();
+  const idByName = new Map();
+  for (const override of [...getBuiltinChains(), ...loadEnvChains(envPath), ...customChains]) {
+    const sameId = byId.get(override.chainId);
+    // Renaming a chain keeps its earlier names as aliases.
+    const entry = sameId
+      ? {
+          ...override,
+          aliases: [...new Set([...override.aliases, sameId.name, ...sameId.aliases])].filter(
+            (alias) => alias !== override.name
+          ),
+        }
+      : override;
+    [sameId, byId.get(idByName.get(entry.name))].forEach((replaced) => {
+      if (replaced) {
+        byId.delete(replaced.chainId);
+        idByName.delete(replaced.name);
+      }
+    });
+    byId.set(entry.chainId, entry);
+    idByName.set(entry.name, entry.chainId);
+  }
+  const entries = [...byId.values()].sort((a, b) => (BigInt(a.chainId) < BigInt(b.chainId) ? -1 : 1));
+  // Names win over aliases, then lower chain ids over higher ones.
+  const byName = new Map(entries.map((entry) => [entry.name, entry]));
+  entries.forEach((entry) => {
+    entry.aliases.filter((alias) => !byName.has(alias)).forEach((alias) => byName.set(alias, entry));
+  });
+  registryCache = { envPath, entries, byId, byName };
+  return registryCache;
+}
+
+/**
+ * Return the effective chain registry: built-in chains, overridden by the file named in
+ * `CREATE4_CHAINS`, overridden by {@link registerChains}. A later entry replaces earlier ones with
+ * the same chain id or name; replaced names of the same chain id stay as aliases, and built-in
+ * names and aliases cannot be bound to another chain id.
+ *
+ * @returns {Array<{chainId: string, name: string, aliases: Array<string>, testnet: boolean, evmVersion?: string}>}
+ */
+function getChainRegistry() {
+  return [...loadRegistry().entries];
+}
+
+/**
+ * Add or override chains for this process, e.g. private networks or renamed chains.
+ *
+ * @param {Array<object>|object} chains Entries `{name, chainId, aliases?, testnet?, evmVersion?}`, or an object
+ *   mapping names to a chain id or such an entry.
+ */
+function registerChains(chains) {
+  const added = assertNoBuiltinRebinding(parseRegistryConfig(chains, 'registered chains'), 'registered chains');
+  customChains = [...customChains, ...added];
+  registryCache = null;
+}
+
+/** Drop chains added through {@link registerChains} and re-read `CREATE4_CHAINS` on next use. */
+function resetChainRegistry() {
+  customChains = [];
+  registryCache = null;
+}
+
+function findChainById(chainId) {
+  return loadRegistry().byId.get(BigInt(chainId).toString()) || null;
+}
+
+function findChainByName(name) {
+  return loadRegistry().byName.get(normalizeChainName(name)) || null;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, idx) => idx);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Resolve a chain name or alias to its id, throwing with close matches when it is unknown.
+ *
+ * @param {string} name
+ * @param {string} [fieldName]
+ * @returns {bigint}
+ */
+function resolveChainName(name, fieldName = 'chain id') {
+  const found = findChainByName(name);
+  if (found) {
+    return BigInt(found.chainId);
+  }
+  const wanted = normalizeChainName(name);
+  const suggestions = getChainRegistry()
+    .flatMap((entry) => [entry.name, ...entry.aliases])
+    .filter((candidate) => editDistance(candidate, wanted) <= 2);
+  const hint = suggestions.length > 0 ? `; did you mean ${suggestions.join(' or ')}?` : '';
+  throw new Error(`invalid ${fieldName}: ${name} is not a number or a known chain name${hint}`);
+}
+
+/** Format a chain id for display, e.g. `137 (polygon)`; unknown ids are printed alone. */
+function formatChainId(chainId) {
+  const entry = findChainById(chainId);
+  if (!entry) {
+    return BigInt(chainId).toString();
+  }
+  return `${entry.chainId} (${entry.name}${entry.testnet ? ', testnet' : ''})`;
+}
+
+/**
+ * Return the chain ids (as decimal strings, deduplicated) that are not in the registry, so callers
+ * can warn about likely typos.
+ *
+ * @param {Array<string|number|bigint>} chainIds
+ * @returns {Array<string>}
+ */
+function findUnknownChainIds(chainIds) {
+  const unknown = new Set();
+  for (const chainId of chainIds) {
+    if (!findChainById(chainId)) {
+      unknown.add(BigInt(chainId).toString());
+    }
+  }
+  return [...unknown];
+}
+
+/**
+ * Warning text for chain ids missing from the registry, or null when every id is known.
+ *
+ * @param {Array<string|number|bigint>} chainIds
+ * @returns {string|null}
+ */
+function unknownChainWarning(chainIds) {
+  const unknown = findUnknownChainIds(chainIds);
+  if (unknown.length === 0) {
+    return null;
+  }
+  const [subject, pronoun] =
+    unknown.length === 1 ? [`chain id ${unknown[0]} is`, 'it'] : [`chain ids ${unknown.join(', ')} are`, 'them'];
+  return (
+    `Warning: ${subject} not in the chain registry; ` +
+    `check for typos or register ${pronoun} through ${CHAIN_REGISTRY_ENV}`
+  );
+}
+
+module.exports = {
+  CHAIN_REGISTRY_ENV,
+  getChainRegistry,
+  registerChains,
+  resetChainRegistry,
+  findChainById,
+  findChainByName,
+  resolveChainName,
+  formatChainId,
+  findUnknownChainIds,
+  unknownChainWarning,
+};
@@ -21,7 +21,18 @@ function normalizeAddress(value) {
   return hex;
 }
 
-function computeCreate3Address(factoryAddress, deploymentSalt) {
+function toChecksumAddress(value) {
+  const lower = normalizeAddress(value).slice(2);
+  const hash = keccak256(Buffer.from(lower, 'ascii')).toString('hex');
+  let result = '0x';
+  for (let i = 0; i < lower.length; i++) {
+    result += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+  }
+  return result;
+}
+
+// The CREATE2 proxy the factory deploys for a salt; the proxy then CREATEs the child with nonce 1.
+function computeCreate3ProxyAddress(factoryAddress, deploymentSalt) {
   const factoryBytes = hexToBuffer(normalizeAddress(factoryAddress), {
     expectedLength: 20,
     fieldName: 'factory address',
@@ -40,15 +51,21 @@ function computeCreate3Address(factoryAddress, deploymentSalt) {
     saltBytes,
     KECCAK256_PROXY_CHILD_BYTECODE,
   ]);
-  const proxyHash = keccak256(data);
-  const proxyBytes = proxyHash.slice(12);
+  return bufferToHex(keccak256(data).slice(12));
+}
+
+function computeCreate3Address(factoryAddress, deploymentSalt) {
+  const proxyBytes = Buffer.from(computeCreate3ProxyAddress(factoryAddress, deploymentSalt).slice(2), 'hex');
   const encoded = Buffer.concat([Buffer.from('d694', 'hex'), proxyBytes, Buffer.from('01', 'hex')]);
   const finalHash = keccak256(encoded);
   return bufferToHex(finalHash.slice(12));
 }
 
 module.exports = {
+  KECCAK256_PROXY_CHILD_BYTECODE,
   computeCreate3Address,
+  computeCreate3ProxyAddress,
   normalizeAddress,
+  toChecksumAddress,
   bufferToHex,
 };
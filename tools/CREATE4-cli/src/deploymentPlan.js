@@ -1,5 +1,13 @@
 const { keccak256: keccak256Hasher } = require('js-sha3');
-const { bytecodeToBuffer, normalizeChainId, sortChainsById, UINT64_MAX } = require('./utils');
+const {
+  bytecodeToBuffer,
+  hexToBuffer,
+  normalizeChainId,
+  sortChainsById,
+  listEntryChainIds,
+  describeChainEntry,
+  UINT64_MAX,
+} = require('./utils');
 
 function keccak256(buffer) {
   const hash = keccak256Hasher.create();
@@ -93,86 +101,192 @@ function buildMerkleTree(leafHashes) {
   };
 }
 
-function buildDeploymentPlan(chainEntries, fallbackInitCode) {
+function buildWeightedMerkleTree(leafHashes, weights) {
+  // Huffman construction: the two lightest subtrees are paired until one root is left, so heavy
+  // leaves end up close to the root and sum(weight * proof length) is minimal. Ties go to the
+  // subtree created first, which makes the shape a function of the leaf order and weights alone.
+  if (leafHashes.length === 0) {
+    throw new Error('cannot build a tree with zero leaves');
+  }
+  if (weights.length !== leafHashes.length) {
+    throw new Error('every leaf needs a weight');
+  }
+
+  const proofs = leafHashes.map(() => []);
+  let nodes = leafHashes.map((hash, index) => ({ hash, weight: weights[index], order: index, leaves: [index] }));
+  let order = nodes.length;
+  while (nodes.length > 1) {
+    nodes.sort((a, b) => a.weight - b.weight || a.order - b.order);
+    const [left, right] = nodes;
+    left.leaves.forEach((index) => proofs[index].push(right.hash));
+    right.leaves.forEach((index) => proofs[index].push(left.hash));
+    nodes = [
+      ...nodes.slice(2),
+      {
+        hash: commutativeKeccak(left.hash, right.hash),
+        weight: left.weight + right.weight,
+        order: order++,
+        leaves: [...left.leaves, ...right.leaves],
+      },
+    ];
+  }
+
+  function getProof(index) {
+    if (index < 0 || index >= leafHashes.length) {
+      throw new Error('leaf index out of bounds');
+    }
+    return proofs[index].slice();
+  }
+
+  return {
+    root: nodes[0].hash,
+    getProof,
+  };
+}
+
+const TREE_LAYOUTS = ['balanced', 'weighted'];
+
+function normalizeLayout(value) {
+  if (value === undefined || value === null) {
+    return 'balanced';
+  }
+  if (!TREE_LAYOUTS.includes(value)) {
+    throw new Error(`layout must be one of ${TREE_LAYOUTS.join(', ')}, got ${value}`);
+  }
+  return value;
+}
+
+// Weights are relative: a deploy frequency, an expected deploy cost or anything else worth
+// minimizing proof length for. Leaves without one weigh 1.
+function normalizeWeight(value, context) {
+  if (value === undefined || value === null) {
+    return 1;
+  }
+  const weight = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof weight !== 'number' || !Number.isFinite(weight) || weight <= 0) {
+    throw new Error(`weight for ${context} must be a positive number, got ${value}`);
+  }
+  return weight;
+}
+
+function resolveLeafCode(entry, context) {
+  // Leaves only commit to keccak256(initCode), so an entry may carry just the hash when the
+  // bytecode is not needed locally. When both are present they must agree.
+  const initCode = entry.initCode ? bytecodeToBuffer(entry.initCode, `init code for ${context}`) : null;
+  const declaredHash = entry.initCodeHash
+    ? hexToBuffer(entry.initCodeHash, { expectedLength: 32, fieldName: `init code hash for ${context}` })
+    : null;
+  if (initCode && declaredHash && !keccak256(initCode).equals(declaredHash)) {
+    throw new Error(`init code hash for ${context} does not match keccak256 of its init code`);
+  }
+  return {
+    initCode,
+    initCodeHash: initCode ? keccak256(initCode) : declaredHash,
+  };
+}
+
+// Entries covering several chains (`chainIds` or a `group`) expand into one leaf per chain that
+// shares the entry's init code, label and weight. The `weighted` layout replaces the balanced tree
+// with a Huffman tree over the leaf weights and records each weight on its leaf.
+function buildDeploymentPlan(chainEntries, fallback, { groups, layout } = {}) {
+  const treeLayout = normalizeLayout(layout);
   if (!Array.isArray(chainEntries) || chainEntries.length === 0) {
     throw new Error('at least one chain entry is required');
   }
-  if (!fallbackInitCode) {
+  const fallbackEntry = typeof fallback === 'string' ? { initCode: fallback } : fallback;
+  if (!fallbackEntry || (!fallbackEntry.initCode && !fallbackEntry.initCodeHash)) {
     throw new Error('fallback init code is required');
   }
 
-  const normalized = chainEntries.map((entry, index) => {
-    if (entry.chainId === undefined) {
-      throw new Error(`chain entry at index ${index} is missing a chainId`);
-    }
-    if (!entry.initCode) {
+  const normalized = chainEntries.flatMap((entry, index) => {
+    const chainIds = listEntryChainIds(entry, groups, `chain entry at index ${index}`);
+    if (!entry.initCode && !entry.initCodeHash) {
       throw new Error(`chain entry at index ${index} is missing init code`);
     }
-    const chainId = normalizeChainId(entry.chainId, `chain id for entry ${index}`);
-    return {
+    const context = chainIds.length === 1 ? `chain ${chainIds[0]}` : describeChainEntry(entry);
+    const code = resolveLeafCode(entry, context);
+    const weight = normalizeWeight(entry.weight, context);
+    return chainIds.map((chainId) => ({
       chainId,
-      initCode: bytecodeToBuffer(entry.initCode, `init code for chain ${chainId}`),
+      ...code,
       label: entry.label || `chain-${chainId}`,
-    };
+      weight,
+    }));
   });
 
   const sorted = sortChainsById(normalized);
 
   for (let i = 1; i < sorted.length; i++) {
     if (sorted[i].chainId === sorted[i - 1].chainId) {
-      throw new Error('duplicate chain ids are not allowed');
+      throw new Error(`duplicate chain ids are not allowed (chain ${sorted[i].chainId} is listed twice)`);
     }
   }
 
   const leaves = sorted.map((entry, idx) => {
     const nextEntry = sorted[(idx + 1) % sorted.length];
-    const initCodeHash = keccak256(entry.initCode);
     const prefix = packLeafPrefix(entry.chainId, nextEntry.chainId, 0);
-    const leafHash = scratchPackedKeccak(prefix, initCodeHash);
+    const leafHash = scratchPackedKeccak(prefix, entry.initCodeHash);
     return {
       type: 'chain',
       chainId: entry.chainId,
       nextChainId: nextEntry.chainId,
       initCode: entry.initCode,
-      initCodeHash,
+      initCodeHash: entry.initCodeHash,
       prefix,
       leafHash,
       label: entry.label,
+      weight: entry.weight,
     };
   });
 
-  const fallbackBuffer = bytecodeToBuffer(fallbackInitCode, 'fallback init code');
   const fallbackLeaf = {
     type: 'fallback',
     chainId: 0n,
     nextChainId: 0n,
-    initCode: fallbackBuffer,
-    initCodeHash: keccak256(fallbackBuffer),
+    ...resolveLeafCode(fallbackEntry, 'fallback'),
     prefix: packLeafPrefix(0n, 0n, 1),
+    weight: normalizeWeight(fallbackEntry.weight, 'fallback'),
   };
   fallbackLeaf.leafHash = scratchPackedKeccak(fallbackLeaf.prefix, fallbackLeaf.initCodeHash);
 
   const merkleLeaves = [...leaves, fallbackLeaf];
-  const tree = buildMerkleTree(merkleLeaves.map((leaf) => leaf.leafHash));
+  const leafHashes = merkleLeaves.map((leaf) => leaf.leafHash);
+  const weighted = treeLayout === 'weighted';
+  const tree = weighted
+    ? buildWeightedMerkleTree(leafHashes, merkleLeaves.map((leaf) => leaf.weight))
+    : buildMerkleTree(leafHashes);
 
   const serializedLeaves = merkleLeaves.map((leaf, idx) => ({
     ...leaf,
+    weight: weighted ? leaf.weight : undefined,
     proof: tree.getProof(idx),
   }));
 
-  return {
+  const plan = {
     root: toHex(tree.root),
     leaves: serializedLeaves.filter((leaf) => leaf.type === 'chain').map(serializeLeaf),
     fallback: serializeLeaf(serializedLeaves.find((leaf) => leaf.type === 'fallback')),
   };
+  if (weighted) {
+    plan.layout = treeLayout;
+  }
+  return plan;
 }
 
 function serializeLeaf(leaf) {
-  return {
+  const serialized = {
     chainId: leaf.chainId.toString(),
     nextChainId: leaf.nextChainId.toString(),
     label: leaf.label,
-    initCode: toHex(leaf.initCode),
+  };
+  if (leaf.weight !== undefined) {
+    serialized.weight = leaf.weight;
+  }
+  if (leaf.initCode) {
+    serialized.initCode = toHex(leaf.initCode);
+  }
+  return {
+    ...serialized,
     initCodeHash: toHex(leaf.initCodeHash),
     prefix: toHex(leaf.prefix),
     leafHash: toHex(leaf.leafHash),
@@ -234,9 +348,14 @@ function describeGapRange(chainId, nextChainId) {
 }
 
 module.exports = {
+  TREE_LAYOUTS,
   buildDeploymentPlan,
+  buildWeightedMerkleTree,
+  normalizeLayout,
+  normalizeWeight,
   packLeafPrefix,
   scratchPackedKeccak,
+  commutativeKeccak,
   keccak256,
   isChainIdInGap,
   describeGapRange,
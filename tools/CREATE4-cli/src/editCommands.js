@@ -5,22 +5,26 @@ const {
   resolvePlanPath,
   loadPlan,
   savePlan,
-  chainIdToBigInt,
   parseChainIdInput,
   chainIdToJsonValue,
   normalizeBytecode,
   extractBytecodeFromInput,
+  firstChainId,
 } = require('./wipBuilder');
 const { parseArgs } = require('./argParser');
 const { normalizeSaltHex } = require('./salt');
-const { sortChainsById } = require('./utils');
+const { normalizeLayout, normalizeWeight } = require('./deploymentPlan');
+const { sortChainsById, listEntryChainIds } = require('./utils');
+const { hasConstructorSource } = require('./artifacts');
+const { contractLabel, importArtifactContract } = require('./artifactImport');
+const { formatChainId, unknownChainWarning } = require('./chains');
 
 function printEditUsage() {
   const lines = `CREATE4-plan edit <subcommand> [options]
 
 Subcommands:
   create      Initialize a new editable plan file (default: ${DEFAULT_WIP_FILENAME})
-  meta        Update plan metadata (name, description, version, salt)
+  meta        Update plan metadata (name, description, version, salt, tree layout)
   add         Add or replace a chain entry or fallback init code
   remove      Remove a chain entry or clear the fallback init code
   view        Show a summary of the editable plan file
@@ -107,6 +111,7 @@ function runEditMeta(args) {
     { name: 'description' },
     { name: 'version' },
     { name: 'salt' },
+    { name: 'layout' },
     { name: 'clearName', flag: 'clear-name', type: 'boolean' },
     { name: 'clearDescription', flag: 'clear-description', type: 'boolean' },
     { name: 'clearVersion', flag: 'clear-version', type: 'boolean' },
@@ -116,8 +121,8 @@ function runEditMeta(args) {
   if (help) {
     process.stdout.write(
       'Usage: CREATE4-plan edit meta [--file <path>] [--name <value>] [--description <value>]\n' +
-        '                             [--version <value>] [--salt <0x...>] [--clear-name]\n' +
-        '                             [--clear-description] [--clear-version] [--clear-salt]\n'
+        '                             [--version <value>] [--salt <0x...>] [--layout <balanced|weighted>]\n' +
+        '                             [--clear-name] [--clear-description] [--clear-version] [--clear-salt]\n'
     );
     return;
   }
@@ -127,6 +132,7 @@ function runEditMeta(args) {
     values.description !== undefined ||
     values.version !== undefined ||
     values.salt !== undefined ||
+    values.layout !== undefined ||
     values.clearName ||
     values.clearDescription ||
     values.clearVersion ||
@@ -163,6 +169,16 @@ function runEditMeta(args) {
     plan.salt = normalizeSaltHex(values.salt);
   }
 
+  // The balanced layout is the default, so it is not written out.
+  if (values.layout !== undefined) {
+    const layout = normalizeLayout(values.layout);
+    if (layout === 'balanced') {
+      delete plan.layout;
+    } else {
+      plan.layout = layout;
+    }
+  }
+
   savePlan(targetPath, plan);
   process.stdout.write(`Updated metadata for ${targetPath}\n`);
 }
@@ -171,19 +187,30 @@ function runEditAdd(args) {
   const { help, values } = parseArgs(args, [
     { name: 'file', alias: 'f' },
     { name: 'chain' },
+    { name: 'chains' },
     { name: 'label' },
+    { name: 'weight' },
     { name: 'code' },
     { name: 'codeFile', flag: 'code-file' },
     { name: 'stdin', type: 'boolean' },
+    { name: 'artifact' },
+    { name: 'contract' },
     { name: 'fallback', type: 'boolean' },
     { name: 'replace', type: 'boolean' },
   ]);
 
   if (help) {
     process.stdout.write(
-      'Usage: CREATE4-plan edit add [--file <path>] (--chain <id> | --fallback) [--label <value>]\n' +
-        '                             [--code <0x...> | --code-file <path> | --stdin]\n' +
-        '                             [--replace]\n'
+      'Usage: CREATE4-plan edit add [--file <path>] (--chain <id> | --chains <id,id,...> | --fallback)\n' +
+        '                             [--label <value>] [--weight <n>]\n' +
+        '                             [--code <0x...> | --code-file <path> | --stdin | --artifact <file>]\n' +
+        '                             [--contract <Name | path/File.sol:Name>] [--replace]\n' +
+        '\n' +
+        '--artifact stores a reference to a Foundry, Hardhat or solc standard-JSON output; the creation bytecode\n' +
+        'is read from it whenever the plan is built. --contract selects the contract when the output (or JSON\n' +
+        'passed through --code-file / --stdin) holds several. --chains stores one entry (and one copy of the\n' +
+        'bytecode) shared by every listed chain. --weight sets the leaf weight used by the weighted tree layout\n' +
+        '(edit meta --layout weighted).\n'
     );
     return;
   }
@@ -191,58 +218,163 @@ function runEditAdd(args) {
   if (values.code && values.codeFile) {
     throw new Error('Provide bytecode through only one source (inline or file)');
   }
-  if (values.fallback && values.chain !== undefined) {
-    throw new Error('Cannot combine --chain with --fallback');
+  if (values.artifact && (values.code || values.codeFile || values.stdin)) {
+    throw new Error('Cannot combine --artifact with --code, --code-file or --stdin');
+  }
+  if (values.contract !== undefined && values.code) {
+    throw new Error('--contract selects a contract from an artifact and cannot be combined with --code');
+  }
+  if (values.chain !== undefined && values.chains !== undefined) {
+    throw new Error('Provide either --chain <id> or --chains <id,id,...> (but not both)');
   }
-  if (!values.fallback && values.chain === undefined) {
-    throw new Error('add command requires --chain <id> unless --fallback is specified');
+  const chainOption = values.chain !== undefined ? values.chain : values.chains;
+  if (values.fallback && chainOption !== undefined) {
+    throw new Error(`Cannot combine ${values.chain !== undefined ? '--chain' : '--chains'} with --fallback`);
+  }
+  if (!values.fallback && chainOption === undefined) {
+    throw new Error('add command requires --chain <id> or --chains <id,id,...> unless --fallback is specified');
   }
 
   const targetPath = resolvePlanPath(values.file);
   const plan = loadPlan(targetPath);
-  const initCode = gatherBytecodeInput({
-    literal: values.code,
-    filePath: values.codeFile,
-    forceStdin: values.stdin,
-    context: values.fallback ? 'fallback init code' : `chain ${values.chain}`,
-  });
+  let context = 'fallback init code';
+  if (!values.fallback) {
+    context = `${values.chains !== undefined ? 'chains' : 'chain'} ${chainOption}`;
+  }
+  const weight = values.weight !== undefined ? normalizeWeight(values.weight, context) : undefined;
+  let source;
+  if (values.artifact) {
+    source = importArtifactSource(values.artifact, { contractName: values.contract, targetPath });
+  } else {
+    const initCode = gatherBytecodeInput({
+      literal: values.code,
+      filePath: values.codeFile,
+      forceStdin: values.stdin,
+      contractName: values.contract,
+      context,
+    });
+    source = { entry: { initCode }, description: formatByteLength(initCode) };
+  }
 
   if (values.fallback) {
-    if (plan.fallbackInitCode && !values.replace) {
+    if ((plan.fallbackInitCode || plan.fallback) && !values.replace) {
       throw new Error('fallback init code already exists. Use --replace to overwrite it.');
     }
-    plan.fallbackInitCode = initCode;
+    delete plan.fallbackInitCodeHash;
+    delete plan.fallbackInitCode;
+    delete plan.fallback;
+    if (source.entry.initCode) {
+      plan.fallbackInitCode = source.entry.initCode;
+    } else {
+      plan.fallback = source.entry;
+    }
+    if (weight !== undefined) {
+      plan.fallbackWeight = weight;
+    }
     savePlan(targetPath, plan);
-    process.stdout.write(`Stored fallback init code (${formatByteLength(initCode)}) in ${targetPath}\n`);
+    process.stdout.write(`Stored fallback init code (${source.description}) in ${targetPath}\n`);
     return;
   }
 
-  const chainId = parseChainIdInput(values.chain);
-  const existingIdx = plan.chains.findIndex((entry) => chainIdToBigInt(entry.chainId) === chainId);
-  if (existingIdx !== -1 && !values.replace) {
-    throw new Error(`Chain ${values.chain} already exists. Use --replace to overwrite it.`);
+  const chainIds =
+    values.chains !== undefined ? parseChainListInput(values.chains) : [parseChainIdInput(values.chain)];
+  const warning = unknownChainWarning(chainIds);
+  if (warning) {
+    process.stderr.write(`${warning}\n`);
   }
+  const taken = chainIds.filter((chainId) => findChainEntryIndex(plan, chainId) !== -1);
+  if (taken.length > 0 && !values.replace) {
+    const subject =
+      taken.length === 1 ? `Chain ${taken[0]} already exists` : `Chains ${taken.join(', ')} already exist`;
+    throw new Error(`${subject}. Use --replace to overwrite.`);
+  }
+  taken.forEach((chainId) => detachChain(plan, chainId));
 
-  const normalizedEntry = {
-    chainId: chainIdToJsonValue(chainId),
-    initCode,
-  };
+  const normalizedEntry =
+    chainIds.length === 1
+      ? { chainId: chainIdToJsonValue(chainIds[0]), ...source.entry }
+      : { chainIds: chainIds.map(chainIdToJsonValue), ...source.entry };
   if (values.label !== undefined) {
     normalizedEntry.label = values.label;
   }
-
-  if (existingIdx === -1) {
-    plan.chains.push(normalizedEntry);
-  } else {
-    plan.chains[existingIdx] = normalizedEntry;
+  if (weight !== undefined) {
+    normalizedEntry.weight = weight;
   }
+  plan.chains.push(normalizedEntry);
 
   savePlan(targetPath, plan);
+  const stored = chainIds.length === 1 ? `chain ${chainOption}` : `chains ${chainIds.join(', ')}`;
   process.stdout.write(
-    `Stored chain ${values.chain} (${formatByteLength(initCode)})${values.label ? ` [${values.label}]` : ''} in ${targetPath}\n`
+    `Stored ${stored} (${source.description})${values.label ? ` [${values.label}]` : ''} in ${targetPath}\n`
   );
 }
 
+// Comma-separated ids or names, e.g. "1,optimism,8453".
+function parseChainListInput(raw) {
+  const chainIds = String(raw)
+    .split(',')
+    .map((item) => item.trim())
+    .filter((item) => item.length > 0)
+    .map(parseChainIdInput);
+  if (chainIds.length === 0) {
+    throw new Error('--chains requires at least one chain id');
+  }
+  const duplicate = chainIds.find((chainId, idx) => chainIds.indexOf(chainId) !== idx);
+  if (duplicate !== undefined) {
+    throw new Error(`--chains lists chain ${duplicate} more than once`);
+  }
+  return chainIds;
+}
+
+function findChainEntryIndex(plan, chainId) {
+  return plan.chains.findIndex((entry) => listEntryChainIds(entry, plan.groups).includes(chainId));
+}
+
+// Take one chain out of the entry covering it. Shared entries keep the remaining chains (a group
+// reference becomes an explicit list) and are dropped once empty. Returns the remaining chain ids.
+function detachChain(plan, chainId) {
+  const idx = findChainEntryIndex(plan, chainId);
+  const entry = plan.chains[idx];
+  const remaining = listEntryChainIds(entry, plan.groups).filter((id) => id !== chainId);
+  if (remaining.length === 0) {
+    plan.chains.splice(idx, 1);
+  } else {
+    delete entry.group;
+    delete entry.chainIds;
+    if (remaining.length === 1) {
+      entry.chainId = chainIdToJsonValue(remaining[0]);
+    } else {
+      entry.chainIds = remaining.map(chainIdToJsonValue);
+    }
+  }
+  return remaining;
+}
+
+// Validate the artifact now, but store a reference relative to the plan file so constructor args
+// and libraries can be added to the entry and rebuilds pick up recompiled bytecode.
+function importArtifactSource(artifactPath, { contractName, targetPath }) {
+  const resolved = path.resolve(artifactPath);
+  const contract = importArtifactContract(resolved, { contractName });
+  if (!contract.bytecode.trim().replace(/^0x/i, '')) {
+    throw new Error(`${contractLabel(contract)} has no creation bytecode (abstract contract or interface?)`);
+  }
+  let relative = path.relative(path.dirname(targetPath), resolved).split(path.sep).join('/');
+  if (!relative.startsWith('.')) {
+    relative = `./${relative}`;
+  }
+  const entry = { artifact: relative };
+  // Outputs with several contracts keep the selection, so later compiler output cannot make it ambiguous.
+  if (contractName !== undefined || contract.format === 'solc') {
+    entry.contract = contractName !== undefined ? contractName : contractLabel(contract);
+  }
+  const bytes = contract.bytecode.trim().replace(/^0x/i, '').length / 2;
+  const linking = contract.bytecode.includes('__') ? ', needs "libraries"' : '';
+  return {
+    entry,
+    description: `${contractLabel(contract)} from ${relative}, ${bytes} byte${bytes === 1 ? '' : 's'}${linking}`,
+  };
+}
+
 function runEditRemove(args) {
   const { help, values } = parseArgs(args, [
     { name: 'file', alias: 'f' },
@@ -268,23 +400,25 @@ function runEditRemove(args) {
   const plan = loadPlan(targetPath);
 
   if (values.fallback) {
-    if (!plan.fallbackInitCode) {
+    if (!plan.fallbackInitCode && !plan.fallbackInitCodeHash && !plan.fallback) {
       throw new Error('fallback init code is not set');
     }
     plan.fallbackInitCode = null;
+    delete plan.fallbackInitCodeHash;
+    delete plan.fallback;
     savePlan(targetPath, plan);
     process.stdout.write(`Cleared fallback init code from ${targetPath}\n`);
     return;
   }
 
   const chainId = parseChainIdInput(values.chain);
-  const idx = plan.chains.findIndex((entry) => chainIdToBigInt(entry.chainId) === chainId);
-  if (idx === -1) {
+  if (findChainEntryIndex(plan, chainId) === -1) {
     throw new Error(`Chain ${values.chain} does not exist`);
   }
-  plan.chains.splice(idx, 1);
+  const remaining = detachChain(plan, chainId);
   savePlan(targetPath, plan);
-  process.stdout.write(`Removed chain ${values.chain} from ${targetPath}\n`);
+  const kept = remaining.length > 0 ? ` (its code stays on chains ${remaining.join(', ')})` : '';
+  process.stdout.write(`Removed chain ${values.chain} from ${targetPath}${kept}\n`);
 }
 
 function runEditView(args) {
@@ -303,21 +437,33 @@ function runEditView(args) {
   lines.push(`Version     : ${plan.version || 'n/a'}`);
   lines.push(`Description : ${plan.description || 'n/a'}`);
   lines.push(`Salt        : ${plan.salt || 'n/a'}`);
-  const fallbackStatus = plan.fallbackInitCode
-    ? `set (${formatByteLength(plan.fallbackInitCode)})`
-    : 'not set';
-  lines.push(`Fallback    : ${fallbackStatus}`);
-
-  const sortedChains = sortChainsById(plan.chains || []);
+  lines.push(`Layout      : ${plan.layout || 'balanced'}`);
+  let fallbackStatus = 'not set';
+  if (plan.fallbackInitCode) {
+    fallbackStatus = `set (${formatByteLength(plan.fallbackInitCode)})`;
+  } else if (plan.fallbackInitCodeHash) {
+    fallbackStatus = `hash only (${plan.fallbackInitCodeHash})`;
+  } else if (plan.fallback) {
+    fallbackStatus = describeConstructorSource(plan.fallback);
+  }
+  const fallbackWeight = plan.fallbackWeight !== undefined ? ` weight=${plan.fallbackWeight}` : '';
+  lines.push(`Fallback    : ${fallbackStatus}${fallbackWeight}`);
+
+  const sortedChains = sortChainsById(plan.chains || [], (entry) => firstChainId(entry, plan.groups));
   lines.push(`Chains (${sortedChains.length}):`);
   if (sortedChains.length === 0) {
     lines.push('  (none)');
   } else {
     sortedChains.forEach((chain, idx) => {
       const labelInfo = chain.label ? ` label="${chain.label}"` : '';
-      lines.push(
-        `  [${idx}] chainId=${chain.chainId}${labelInfo} size=${formatByteLength(chain.initCode)}`
-      );
+      const weightInfo = chain.weight !== undefined ? ` weight=${chain.weight}` : '';
+      let codeInfo = `initCodeHash=${chain.initCodeHash} (hash only)`;
+      if (chain.initCode) {
+        codeInfo = `size=${formatByteLength(chain.initCode)}`;
+      } else if (hasConstructorSource(chain)) {
+        codeInfo = describeConstructorSource(chain);
+      }
+      lines.push(`  [${idx}] ${describeChainSelector(chain, plan.groups)}${labelInfo}${weightInfo} ${codeInfo}`);
     });
   }
 
@@ -340,7 +486,7 @@ function runEditDelete(args) {
   process.stdout.write(`Deleted editable plan at ${targetPath}\n`);
 }
 
-function gatherBytecodeInput({ literal, filePath, forceStdin, context }) {
+function gatherBytecodeInput({ literal, filePath, forceStdin, contractName, context }) {
   if (literal && filePath) {
     throw new Error('Provide bytecode from only one source (inline via --code or from --code-file)');
   }
@@ -361,7 +507,7 @@ function gatherBytecodeInput({ literal, filePath, forceStdin, context }) {
     throw new Error(`No bytecode input provided${suffix}. Use --code, --code-file, or pipe build output via stdin.`);
   }
 
-  return extractBytecodeFromInput(payload);
+  return extractBytecodeFromInput(payload, { contractName });
 }
 
 function readStdinIfAvailable(force) {
@@ -379,6 +525,24 @@ function readStdinIfAvailable(force) {
   }
 }
 
+function describeChainSelector(entry, groups) {
+  if (entry.chainId !== undefined) {
+    return `chainId=${formatChainId(entry.chainId)}`;
+  }
+  const chainIds = listEntryChainIds(entry, groups).map(formatChainId).join(', ');
+  return entry.group !== undefined ? `group=${entry.group} chainIds=${chainIds}` : `chainIds=${chainIds}`;
+}
+
+function describeConstructorSource(entry) {
+  let source = entry.artifact ? `artifact=${entry.artifact}` : `bytecode=${formatByteLength(entry.bytecode)}`;
+  if (entry.contract !== undefined) {
+    source += ` contract=${entry.contract}`;
+  }
+  const argCount = Array.isArray(entry.constructorArgs) ? entry.constructorArgs.length : 0;
+  const libraries = entry.libraries ? ` libraries=${Object.keys(entry.libraries).join(',')}` : '';
+  return `${source}${libraries} constructorArgs=${argCount}`;
+}
+
 function formatByteLength(hexValue) {
   if (!hexValue || typeof hexValue !== 'string') {
     return '0 bytes';
@@ -0,0 +1,272 @@
+const { normalizeChainId } = require('./utils');
+const { isChainIdInGap } = require('./deploymentPlan');
+const { encodeDeployCall, encodeDeployFallbackCall } = require('./calldata');
+const { inspectInitCode } = require('./inspect');
+const { findChainById } = require('./chains');
+const { compareHardforks } = require('./hardforks');
+
+// Gas schedule (Berlin+ with EIP-2028 calldata, EIP-3860 init code metering and the Prague EIP-7623
+// calldata floor). Loop and ABI-decoding overheads are approximations of the solc output.
+const GAS = {
+  transaction: 21000,
+  calldataZeroByte: 4,
+  calldataNonZeroByte: 16,
+  calldataFloorPerToken: 10,
+  keccakBase: 30,
+  keccakWord: 6,
+  copyWord: 3,
+  memoryWord: 3,
+  coldAccountAccess: 2600,
+  warmAccountAccess: 100,
+  create: 32000,
+  initCodeWord: 2,
+  codeDepositByte: 200,
+  proofStepOverhead: 40,
+  dispatchOverhead: 1000,
+};
+
+// CREATE3 proxy: 16-byte init code returning the 8-byte `CALLDATACOPY ... CREATE` runtime.
+const PROXY_INIT_CODE_SIZE = 16;
+const PROXY_RUNTIME_SIZE = 8;
+const PROXY_EXECUTION = 20;
+
+const words = (size) => Math.ceil(size / 32);
+const keccakGas = (size) => GAS.keccakBase + GAS.keccakWord * words(size);
+const memoryGas = (size) => GAS.memoryWord * words(size) + Math.floor((words(size) * words(size)) / 512);
+
+function calldataCost(calldata) {
+  const bytes = Buffer.from(calldata.replace(/^0x/, ''), 'hex');
+  const zero = bytes.filter((byte) => byte === 0).length;
+  const nonZero = bytes.length - zero;
+  return {
+    size: bytes.length,
+    zeroBytes: zero,
+    nonZeroBytes: nonZero,
+    gas: zero * GAS.calldataZeroByte + nonZero * GAS.calldataNonZeroByte,
+    // EIP-7623 counts a non-zero byte as four tokens.
+    floorGas: GAS.transaction + (zero + nonZero * 4) * GAS.calldataFloorPerToken,
+  };
+}
+
+// Hashing and proof walking in CREATE4 itself, then CREATE3: the target EXTCODESIZE check, the
+// proxy CREATE2, the call that forwards the init code and the proxy's CREATE of the contract.
+function executionCost({ initCodeSize, leafHashes, proofSteps, runtimeSize }) {
+  const keccak = keccakGas(initCodeSize) + (leafHashes + 1) * keccakGas(64);
+  const proofs = proofSteps * (keccakGas(64) + GAS.proofStepOverhead);
+  const create3 =
+    GAS.coldAccountAccess +
+    keccakGas(85) +
+    keccakGas(23) +
+    GAS.create +
+    GAS.keccakWord * words(PROXY_INIT_CODE_SIZE) +
+    GAS.initCodeWord * words(PROXY_INIT_CODE_SIZE) +
+    PROXY_EXECUTION +
+    PROXY_RUNTIME_SIZE * GAS.codeDepositByte +
+    GAS.warmAccountAccess +
+    GAS.create +
+    GAS.initCodeWord * words(initCodeSize) +
+    GAS.warmAccountAccess;
+  // CREATE4 copies the init code into memory for the call, the proxy copies it again for CREATE.
+  const memory = 2 * (GAS.copyWord * words(initCodeSize) + memoryGas(initCodeSize));
+  return {
+    dispatch: GAS.dispatchOverhead,
+    keccak,
+    proofs,
+    create3,
+    memory,
+    codeDeposit: runtimeSize === null ? null : runtimeSize * GAS.codeDepositByte,
+  };
+}
+
+function usesCalldataFloor(chainId) {
+  const entry = chainId === undefined ? null : findChainById(chainId);
+  // Unknown chains get the floor so the estimate errs high.
+  return !entry || !entry.evmVersion || compareHardforks(entry.evmVersion, 'prague') >= 0;
+}
+
+function estimateTarget(target, { constructorGas }) {
+  const initCodeSize = (target.initCode.length - 2) / 2;
+  const runtime = inspectInitCode(target.initCode).runtime;
+  const calldata = calldataCost(target.calldata);
+  const execution = executionCost({
+    initCodeSize,
+    leafHashes: target.leafHashes,
+    proofSteps: target.proofSteps,
+    runtimeSize: runtime ? runtime.size : null,
+  });
+  const executionGas =
+    Object.values(execution).reduce((sum, gas) => sum + (gas || 0), 0) + (constructorGas || 0);
+  const standardGas = GAS.transaction + calldata.gas + executionGas;
+  const floorApplies = usesCalldataFloor(target.chainId);
+  const gas = floorApplies ? Math.max(standardGas, calldata.floorGas) : standardGas;
+  const notes = [];
+  if (!constructorGas) {
+    notes.push('excludes constructor execution');
+  }
+  if (!runtime) {
+    notes.push('runtime size unknown, code deposit excluded');
+  }
+  if (floorApplies && calldata.floorGas > standardGas) {
+    notes.push('EIP-7623 calldata floor applies');
+  }
+  return {
+    gas,
+    breakdown: {
+      intrinsic: GAS.transaction,
+      calldata: calldata.gas,
+      ...execution,
+      constructor: constructorGas || 0,
+    },
+    calldata,
+    notes,
+  };
+}
+
+function parseGwei(value, context) {
+  const text = String(value).trim();
+  const wei = /^(\d+)\s*wei$/i.exec(text);
+  if (wei) {
+    return BigInt(wei[1]);
+  }
+  const gwei = /^(\d+)(?:\.(\d{1,9}))?(?:\s*gwei)?$/i.exec(text);
+  if (!gwei) {
+    throw new Error(`${context} must be a gwei amount such as 12.5 or "3 gwei" (or "<n> wei"), got ${value}`);
+  }
+  return BigInt(gwei[1]) * 10n ** 9n + BigInt((gwei[2] || '').padEnd(9, '0'));
+}
+
+/**
+ * Normalize a gas price config: an array, `{ networks: [...] }` or an object keyed by chain name or
+ * id. Entries are a gwei amount or `{ chainId?, gasPrice, symbol? }`, so a rollout networks.json
+ * with `gasPrice` fields works as is.
+ *
+ * @param {Array<object>|object} config
+ * @returns {Map<string, {gasPriceWei: bigint, symbol: string}>} Keyed by decimal chain id.
+ */
+function normalizeGasPrices(config) {
+  let entries;
+  if (Array.isArray(config)) {
+    entries = config;
+  } else if (config && Array.isArray(config.networks)) {
+    entries = config.networks;
+  } else if (config && typeof config === 'object') {
+    entries = Object.entries(config).map(([key, entry]) =>
+      entry && typeof entry === 'object' ? { chainId: key, ...entry } : { chainId: key, gasPrice: entry }
+    );
+  } else {
+    throw new Error('Gas price config must be an array or an object');
+  }
+  const prices = new Map();
+  entries.forEach((entry, index) => {
+    if (!entry || typeof entry !== 'object' || entry.gasPrice === undefined) {
+      throw new Error(`Gas price entry ${entry && entry.name ? entry.name : index} is missing gasPrice`);
+    }
+    const chainId = normalizeChainId(entry.chainId, `gas price entry ${entry.name || index} chain id`).toString();
+    prices.set(chainId, {
+      gasPriceWei: parseGwei(entry.gasPrice, `gasPrice for chain ${chainId}`),
+      symbol: entry.symbol ? String(entry.symbol) : 'native',
+    });
+  });
+  return prices;
+}
+
+function formatUnits(value, decimals) {
+  const base = 10n ** BigInt(decimals);
+  const fraction = (value % base).toString().padStart(decimals, '0').replace(/0+$/, '');
+  return fraction ? `${value / base}.${fraction}` : `${value / base}`;
+}
+
+function leafTarget(plan, leaf) {
+  return {
+    target: `chain ${leaf.chainId}`,
+    variant: 'chain',
+    chainId: leaf.chainId,
+    initCode: leaf.initCode,
+    leafHashes: 1,
+    proofSteps: leaf.proof.length,
+    calldata: () => encodeDeployCall({ ...leaf, salt: plan.salt }),
+  };
+}
+
+function fallbackTarget(plan, gapLeaf, chainId) {
+  return {
+    target: chainId === undefined ? `fallback (gap after chain ${gapLeaf.chainId})` : `chain ${chainId}`,
+    variant: 'fallback',
+    chainId,
+    initCode: plan.fallback.initCode,
+    leafHashes: 2,
+    proofSteps: gapLeaf.proof.length + plan.fallback.proof.length,
+    calldata: () =>
+      encodeDeployFallbackCall({
+        gapLeafPrefix: gapLeaf.prefix,
+        gapLeafHash: gapLeaf.initCodeHash,
+        gapProof: gapLeaf.proof,
+        proof: plan.fallback.proof,
+        initCode: plan.fallback.initCode,
+        salt: plan.salt,
+      }),
+  };
+}
+
+/**
+ * Estimate the gas of each chain's CREATE4 deployment transaction: intrinsic and calldata gas, the
+ * keccak and proof-loop work, the CREATE3 proxy overhead and the code deposit. Every listed chain is
+ * estimated, plus `chainIds` and the chains in `gasPrices`; unlisted chains use `deployFallback`
+ * with the gap leaf that covers them. Without any unlisted chain the fallback is estimated through
+ * the gap leaf with the longest proof. Constructor execution cannot be derived statically; pass
+ * `constructorGas` to include it.
+ *
+ * @param {object} plan Built plan (output of `buildPlanFromSpec`).
+ * @param {{chainIds?: Array<string|number|bigint>, gasPrices?: Map<string, {gasPriceWei: bigint, symbol: string}>, constructorGas?: number}} [options]
+ * @returns {Array<object>}
+ */
+function estimatePlanGas(plan, { chainIds = [], gasPrices = new Map(), constructorGas = 0 } = {}) {
+  const targets = plan.leaves.map((leaf) => leafTarget(plan, leaf));
+  const listed = new Set(plan.leaves.map((leaf) => leaf.chainId));
+  const extra = [...chainIds.map((chainId) => normalizeChainId(chainId).toString()), ...gasPrices.keys()];
+  for (const chainId of new Set(extra)) {
+    if (listed.has(chainId)) {
+      continue;
+    }
+    const gapLeaf = plan.leaves.find((leaf) => isChainIdInGap(leaf.chainId, leaf.nextChainId, chainId));
+    if (!gapLeaf) {
+      throw new Error(`No gap leaf covers chain id ${chainId}`);
+    }
+    targets.push(fallbackTarget(plan, gapLeaf, chainId));
+  }
+  if (!targets.some((target) => target.variant === 'fallback')) {
+    const longest = plan.leaves.reduce((best, leaf) => (leaf.proof.length > best.proof.length ? leaf : best));
+    targets.push(fallbackTarget(plan, longest));
+  }
+
+  return targets.map(({ calldata, initCode, ...target }) => {
+    const record = { target: target.target };
+    if (target.chainId !== undefined) {
+      record.chainId = target.chainId;
+    }
+    record.variant = target.variant;
+    record.function = target.variant === 'chain' ? 'deploy' : 'deployFallback';
+    record.proofSteps = target.proofSteps;
+    if (!initCode) {
+      return { ...record, estimated: false, reason: 'only the init code hash is known' };
+    }
+    const estimate = estimateTarget({ ...target, initCode, calldata: calldata() }, { constructorGas });
+    const price = target.chainId !== undefined ? gasPrices.get(target.chainId) : undefined;
+    if (price) {
+      const cost = BigInt(estimate.gas) * price.gasPriceWei;
+      estimate.cost = {
+        gasPriceGwei: formatUnits(price.gasPriceWei, 9),
+        wei: cost.toString(),
+        amount: formatUnits(cost, 18),
+        symbol: price.symbol,
+      };
+    }
+    return { ...record, estimated: true, ...estimate };
+  });
+}
+
+module.exports = {
+  GAS,
+  normalizeGasPrices,
+  estimatePlanGas,
+};
@@ -0,0 +1,281 @@
+const { bytecodeToBuffer } = require('./utils');
+const { compareHardforks } = require('./hardforks');
+
+const BASE_OPCODES = {
+  0x00: 'STOP',
+  0x01: 'ADD',
+  0x02: 'MUL',
+  0x03: 'SUB',
+  0x04: 'DIV',
+  0x05: 'SDIV',
+  0x06: 'MOD',
+  0x07: 'SMOD',
+  0x08: 'ADDMOD',
+  0x09: 'MULMOD',
+  0x0a: 'EXP',
+  0x0b: 'SIGNEXTEND',
+  0x10: 'LT',
+  0x11: 'GT',
+  0x12: 'SLT',
+  0x13: 'SGT',
+  0x14: 'EQ',
+  0x15: 'ISZERO',
+  0x16: 'AND',
+  0x17: 'OR',
+  0x18: 'XOR',
+  0x19: 'NOT',
+  0x1a: 'BYTE',
+  0x20: 'KECCAK256',
+  0x30: 'ADDRESS',
+  0x31: 'BALANCE',
+  0x32: 'ORIGIN',
+  0x33: 'CALLER',
+  0x34: 'CALLVALUE',
+  0x35: 'CALLDATALOAD',
+  0x36: 'CALLDATASIZE',
+  0x37: 'CALLDATACOPY',
+  0x38: 'CODESIZE',
+  0x39: 'CODECOPY',
+  0x3a: 'GASPRICE',
+  0x3b: 'EXTCODESIZE',
+  0x3c: 'EXTCODECOPY',
+  0x40: 'BLOCKHASH',
+  0x41: 'COINBASE',
+  0x42: 'TIMESTAMP',
+  0x43: 'NUMBER',
+  0x44: 'PREVRANDAO',
+  0x45: 'GASLIMIT',
+  0x50: 'POP',
+  0x51: 'MLOAD',
+  0x52: 'MSTORE',
+  0x53: 'MSTORE8',
+  0x54: 'SLOAD',
+  0x55: 'SSTORE',
+  0x56: 'JUMP',
+  0x57: 'JUMPI',
+  0x58: 'PC',
+  0x59: 'MSIZE',
+  0x5a: 'GAS',
+  0x5b: 'JUMPDEST',
+  0xf0: 'CREATE',
+  0xf1: 'CALL',
+  0xf2: 'CALLCODE',
+  0xf3: 'RETURN',
+  0xfe: 'INVALID',
+  0xff: 'SELFDESTRUCT',
+};
+
+// Opcodes added after frontier, keyed by the hardfork that introduced them.
+const FORK_OPCODES = {
+  homestead: { 0xf4: 'DELEGATECALL' },
+  byzantium: { 0x3d: 'RETURNDATASIZE', 0x3e: 'RETURNDATACOPY', 0xfa: 'STATICCALL', 0xfd: 'REVERT' },
+  constantinople: { 0x1b: 'SHL', 0x1c: 'SHR', 0x1d: 'SAR', 0x3f: 'EXTCODEHASH', 0xf5: 'CREATE2' },
+  istanbul: { 0x46: 'CHAINID', 0x47: 'SELFBALANCE' },
+  london: { 0x48: 'BASEFEE' },
+  shanghai: { 0x5f: 'PUSH0' },
+  cancun: { 0x49: 'BLOBHASH', 0x4a: 'BLOBBASEFEE', 0x5c: 'TLOAD', 0x5d: 'TSTORE', 0x5e: 'MCOPY' },
+  osaka: { 0x1e: 'CLZ' },
+};
+
+const OPCODES = new Map();
+for (const [opcode, name] of Object.entries(BASE_OPCODES)) {
+  OPCODES.set(Number(opcode), { name, since: 'frontier' });
+}
+for (let i = 0; i < 32; i += 1) {
+  OPCODES.set(0x60 + i, { name: `PUSH${i + 1}`, since: 'frontier' });
+}
+for (let i = 0; i < 16; i += 1) {
+  OPCODES.set(0x80 + i, { name: `DUP${i + 1}`, since: 'frontier' });
+  OPCODES.set(0x90 + i, { name: `SWAP${i + 1}`, since: 'frontier' });
+}
+for (let i = 0; i < 5; i += 1) {
+  OPCODES.set(0xa0 + i, { name: `LOG${i}`, since: 'frontier' });
+}
+for (const [fork, opcodes] of Object.entries(FORK_OPCODES)) {
+  for (const [opcode, name] of Object.entries(opcodes)) {
+    OPCODES.set(Number(opcode), { name, since: fork });
+  }
+}
+
+// CBOR map keys solc writes into its metadata trailer.
+const METADATA_KEYS = ['ipfs', 'bzzr0', 'bzzr1', 'solc', 'experimental'].map((key) => Buffer.from(key));
+
+function startsWithMetadataKey(bytes, offset) {
+  return METADATA_KEYS.some(
+    (key) => bytes[offset] === 0x60 + key.length && bytes.subarray(offset + 1, offset + 1 + key.length).equals(key)
+  );
+}
+
+/**
+ * Locate solc CBOR metadata trailers: a CBOR map whose first key is a known metadata key,
+ * followed by its big-endian 2-byte length. Init code holds one at the end of the runtime code
+ * (and of every contract it creates with `new`); constructor arguments follow the last.
+ *
+ * @param {Buffer} bytes
+ * @returns {Array<{start: number, end: number}>} Byte ranges, `end` exclusive and including the length.
+ */
+function findMetadataRanges(bytes) {
+  const ranges = [];
+  for (let start = 0; start < bytes.length - 3; start += 1) {
+    if (bytes[start] < 0xa1 || bytes[start] > 0xa5 || !startsWithMetadataKey(bytes, start + 1)) {
+      continue;
+    }
+    for (let end = start + 8; end + 2 <= bytes.length && end - start <= 0x200; end += 1) {
+      if (bytes.readUInt16BE(end) === end - start) {
+        ranges.push({ start, end: end + 2 });
+        start = end + 1;
+        break;
+      }
+    }
+  }
+  return ranges;
+}
+
+function readCborHead(bytes, offset) {
+  const initial = bytes[offset];
+  const info = initial & 0x1f;
+  if (info < 24) {
+    return { major: initial >> 5, value: info, next: offset + 1 };
+  }
+  if (info === 24) {
+    return { major: initial >> 5, value: bytes[offset + 1], next: offset + 2 };
+  }
+  if (info === 25) {
+    return { major: initial >> 5, value: bytes.readUInt16BE(offset + 1), next: offset + 3 };
+  }
+  throw new Error(`unsupported CBOR length encoding 0x${initial.toString(16)}`);
+}
+
+// Just enough CBOR for solc metadata: a map of text keys to byte strings, text or booleans.
+function readCborItem(bytes, offset) {
+  const head = readCborHead(bytes, offset);
+  if (head.major === 0) {
+    return { value: head.value, next: head.next };
+  }
+  if (head.major === 2 || head.major === 3) {
+    const data = bytes.subarray(head.next, head.next + head.value);
+    return { value: head.major === 2 ? data : data.toString('utf8'), next: head.next + head.value };
+  }
+  if (head.major === 5) {
+    const map = {};
+    let next = head.next;
+    for (let i = 0; i < head.value; i += 1) {
+      const key = readCborItem(bytes, next);
+      const value = readCborItem(bytes, key.next);
+      map[String(key.value)] = value.value;
+      next = value.next;
+    }
+    return { value: map, next };
+  }
+  if (head.major === 7 && (head.value === 20 || head.value === 21)) {
+    return { value: head.value === 21, next: head.next };
+  }
+  throw new Error(`unsupported CBOR item 0x${bytes[offset].toString(16)}`);
+}
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function toBase58(buffer) {
+  let value = BigInt(`0x${buffer.toString('hex') || '0'}`);
+  let encoded = '';
+  while (value > 0n) {
+    encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+    value /= 58n;
+  }
+  for (let i = 0; i < buffer.length && buffer[i] === 0; i += 1) {
+    encoded = `1${encoded}`;
+  }
+  return encoded;
+}
+
+/**
+ * Decode a solc CBOR metadata trailer found by {@link findMetadataRanges}. The IPFS hash is
+ * returned as a base58 CID, Swarm hashes as hex and the compiler version as `0.8.24` (or the
+ * full string for prerelease builds).
+ *
+ * @param {Buffer} bytes
+ * @param {{start: number, end: number}} range
+ * @returns {{ipfs?: string, bzzr0?: string, bzzr1?: string, solc?: string, experimental?: boolean}}
+ */
+function decodeMetadata(bytes, range) {
+  const { value } = readCborItem(bytes.subarray(range.start, range.end - 2), 0);
+  const decoded = {};
+  for (const [key, entry] of Object.entries(value)) {
+    if (key === 'ipfs' && Buffer.isBuffer(entry)) {
+      decoded.ipfs = toBase58(entry);
+    } else if (key === 'solc' && Buffer.isBuffer(entry) && entry.length === 3) {
+      decoded.solc = `${entry[0]}.${entry[1]}.${entry[2]}`;
+    } else {
+      decoded[key] = Buffer.isBuffer(entry) ? `0x${entry.toString('hex')}` : entry;
+    }
+  }
+  return decoded;
+}
+
+/**
+ * Linear-sweep disassembly. PUSH data is skipped, and solc metadata trailers (plus anything after
+ * the last one, i.e. constructor arguments) are reported as data rather than decoded. Bytes that
+ * are not opcodes in any hardfork decode as `UNKNOWN_0x..`.
+ *
+ * @param {string|Buffer} bytecode
+ * @returns {Array<{pc: number, opcode: number, name: string, since?: string, pushData?: string}>}
+ */
+function disassemble(bytecode) {
+  const bytes = Buffer.isBuffer(bytecode) ? bytecode : bytecodeToBuffer(bytecode, 'bytecode');
+  const metadata = findMetadataRanges(bytes);
+  const codeEnd = metadata.length > 0 ? metadata[metadata.length - 1].start : bytes.length;
+  const instructions = [];
+  for (let pc = 0; pc < codeEnd; pc += 1) {
+    const skipped = metadata.find((range) => pc === range.start);
+    if (skipped) {
+      pc = skipped.end - 1;
+      continue;
+    }
+    const opcode = bytes[pc];
+    const known = OPCODES.get(opcode);
+    const instruction = known
+      ? { pc, opcode, name: known.name, since: known.since }
+      : { pc, opcode, name: `UNKNOWN_0x${opcode.toString(16).padStart(2, '0')}` };
+    if (opcode >= 0x60 && opcode <= 0x7f) {
+      const size = opcode - 0x5f;
+      instruction.pushData = `0x${bytes.subarray(pc + 1, pc + 1 + size).toString('hex')}`;
+      pc += size;
+    }
+    instructions.push(instruction);
+  }
+  return instructions;
+}
+
+/**
+ * List the post-frontier opcodes a piece of bytecode uses (first occurrence and count of each) and
+ * the oldest hardfork that supports all of them.
+ *
+ * @param {string|Buffer} bytecode
+ * @returns {{requires: string, opcodes: Array<{name: string, since: string, pc: number, count: number}>}}
+ */
+function scanHardforkOpcodes(bytecode) {
+  const byName = new Map();
+  for (const instruction of disassemble(bytecode)) {
+    if (!instruction.since || instruction.since === 'frontier') {
+      continue;
+    }
+    const seen = byName.get(instruction.name);
+    if (seen) {
+      seen.count += 1;
+    } else {
+      byName.set(instruction.name, { name: instruction.name, since: instruction.since, pc: instruction.pc, count: 1 });
+    }
+  }
+  const opcodes = [...byName.values()].sort((a, b) => compareHardforks(a.since, b.since) || a.pc - b.pc);
+  return {
+    requires: opcodes.length > 0 ? opcodes[opcodes.length - 1].since : 'frontier',
+    opcodes,
+  };
+}
+
+module.exports = {
+  findMetadataRanges,
+  decodeMetadata,
+  disassemble,
+  scanHardforkOpcodes,
+};
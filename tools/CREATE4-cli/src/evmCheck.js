@@ -0,0 +1,149 @@
+const { scanHardforkOpcodes } = require('./evm');
+const { compareHardforks, normalizeHardfork } = require('./hardforks');
+const { formatChainId, findChainById, getChainRegistry } = require('./chains');
+const { normalizeChainId } = require('./utils');
+
+const DEFAULT_BASELINE = 'paris';
+const SEVERITY_RANK = { error: 0, warning: 1, info: 2 };
+
+function describeOpcodes(opcodes) {
+  return opcodes.map((op) => `${op.name} (${op.since}, pc 0x${op.pc.toString(16)})`).join(', ');
+}
+
+function newerThan(opcodes, fork) {
+  return opcodes.filter((op) => compareHardforks(op.since, fork) > 0);
+}
+
+// Keys may be chain ids or names; values are hardfork names.
+function normalizeEvmVersions(evmVersions) {
+  const normalized = {};
+  for (const [chain, fork] of Object.entries(evmVersions || {})) {
+    normalized[normalizeChainId(chain).toString()] = normalizeHardfork(fork, `EVM version for chain ${chain}`);
+  }
+  return normalized;
+}
+
+function chainEvmVersion(chainId, evmVersions) {
+  if (evmVersions[chainId]) {
+    return evmVersions[chainId];
+  }
+  const entry = findChainById(chainId);
+  return entry && entry.evmVersion ? entry.evmVersion : null;
+}
+
+function checkTarget(findings, target, initCode, supported, unsupportedMessage) {
+  const record = { target: target.name, evmVersion: supported, requires: null, opcodes: [] };
+  if (target.chainId !== undefined) {
+    record.chainId = target.chainId;
+  }
+  if (!initCode) {
+    findings.push({
+      severity: 'info',
+      code: 'hash-only',
+      target: target.name,
+      message: 'only the init code hash is known; opcodes cannot be checked',
+    });
+    return record;
+  }
+  const scan = scanHardforkOpcodes(initCode);
+  record.requires = scan.requires;
+  record.opcodes = scan.opcodes;
+  if (supported === null) {
+    if (scan.opcodes.length > 0) {
+      findings.push({
+        severity: 'warning',
+        code: 'unknown-evm-version',
+        target: target.name,
+        message:
+          `no EVM version is known for this chain and the code needs ${scan.requires}; ` +
+          'set "evmVersion" for it in CREATE4_CHAINS or pass --evm-version',
+      });
+    }
+    return record;
+  }
+  const unsupported = newerThan(scan.opcodes, supported);
+  if (unsupported.length > 0) {
+    findings.push({
+      severity: 'error',
+      code: target.chainId === undefined ? 'fallback-unsupported-opcode' : 'unsupported-opcode',
+      target: target.name,
+      message: `uses ${describeOpcodes(unsupported)} ${unsupportedMessage}`,
+    });
+  }
+  return record;
+}
+
+/**
+ * Check that every variant only uses opcodes its chains support. Chain leaves are compared with
+ * the chain's `evmVersion` (overrides, then the chain registry); the fallback, which any chain
+ * without its own leaf deploys, is compared with `baseline`. The scan is a linear disassembly of
+ * the init code (constructor and runtime code), skipping PUSH data and solc metadata.
+ *
+ * @param {object} plan Built plan (output of `buildPlanFromSpec`).
+ * @param {{baseline?: string, evmVersions?: object}} [options] `evmVersions` maps chain ids or names to
+ *   hardforks.
+ * @returns {{ok: boolean, baseline: string, counts: {error: number, warning: number, info: number}, targets: Array<object>, findings: Array<{severity: string, code: string, target: string, message: string}>}}
+ */
+function checkPlanEvm(plan, { baseline = DEFAULT_BASELINE, evmVersions = {} } = {}) {
+  const baselineFork = normalizeHardfork(baseline, 'baseline EVM version');
+  const overrides = normalizeEvmVersions(evmVersions);
+  const findings = [];
+  const targets = plan.leaves.map((leaf) => {
+    const supported = chainEvmVersion(leaf.chainId, overrides);
+    return checkTarget(
+      findings,
+      { name: `chain ${leaf.chainId}`, chainId: leaf.chainId },
+      leaf.initCode,
+      supported,
+      `but chain ${formatChainId(leaf.chainId)} supports up to ${supported}`
+    );
+  });
+
+  const listed = new Set(plan.leaves.map((leaf) => leaf.chainId));
+  const fallbackRecord = checkTarget(
+    findings,
+    { name: 'fallback' },
+    plan.fallback.initCode,
+    baselineFork,
+    `but chains without their own leaf are only assumed to support ${baselineFork} (--baseline)`
+  );
+  // Name registry chains that would actually receive the fallback and lack its opcodes, even when
+  // the baseline has been raised past them.
+  const affected = getChainRegistry()
+    .filter((entry) => !entry.testnet && !listed.has(entry.chainId) && entry.evmVersion)
+    .filter((entry) => newerThan(fallbackRecord.opcodes, entry.evmVersion).length > 0)
+    .map((entry) => `${entry.name} (${entry.evmVersion})`);
+  const fallbackError = findings.find((candidate) => candidate.code === 'fallback-unsupported-opcode');
+  if (fallbackError && affected.length > 0) {
+    fallbackError.message += `; known chains that would deploy it: ${affected.join(', ')}`;
+  } else if (affected.length > 0) {
+    findings.push({
+      severity: 'warning',
+      code: 'fallback-known-chains',
+      target: 'fallback',
+      message:
+        `needs ${fallbackRecord.requires}, which known chains without their own leaf do not support: ` +
+        `${affected.join(', ')}; give them a leaf or raise their evmVersion if outdated`,
+    });
+  }
+  targets.push(fallbackRecord);
+
+  findings.sort((a, b) => SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity]);
+  const counts = { error: 0, warning: 0, info: 0 };
+  findings.forEach((finding) => {
+    counts[finding.severity] += 1;
+  });
+
+  return {
+    ok: counts.error === 0,
+    baseline: baselineFork,
+    counts,
+    targets,
+    findings,
+  };
+}
+
+module.exports = {
+  DEFAULT_BASELINE,
+  checkPlanEvm,
+};
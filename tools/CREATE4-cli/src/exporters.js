@@ -0,0 +1,173 @@
+const { toChecksumAddress } = require('./create3');
+
+const EXPORT_FORMATS = ['ts', 'sol', 'foundry', 'hardhat-deploy'];
+const DEFAULT_LIBRARY_NAME = 'Create4Addresses';
+const GENERATED_NOTICE = 'Generated by CREATE4-plan export. Do not edit by hand.';
+
+function constantName(contractName) {
+  return contractName
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .toUpperCase();
+}
+
+function assertIdentifier(value, description) {
+  if (!/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(value)) {
+    throw new Error(`${description} "${value}" is not a valid identifier`);
+  }
+  return value;
+}
+
+function contractNames(book) {
+  return Object.keys(book.contracts);
+}
+
+/**
+ * Describe where each contract's bytecode comes from, per chain listed in the address book, e.g.
+ * `chain 1: own leaf "mainnet-build"` or `chain 10: fallback`.
+ */
+function describeChains(book, name) {
+  const lines = Object.entries(book.chains).map(([chainId, contracts]) => {
+    const entry = contracts[name];
+    if (entry.variant === 'fallback') {
+      return `chain ${chainId}: fallback`;
+    }
+    return entry.label ? `chain ${chainId}: own leaf "${entry.label}"` : `chain ${chainId}: own leaf`;
+  });
+  lines.push('other chains: fallback');
+  return lines;
+}
+
+function toTypeScript(book) {
+  const names = contractNames(book);
+  const lines = [`// ${GENERATED_NOTICE}`, ''];
+  lines.push('export const addresses = {');
+  for (const name of names) {
+    lines.push(`  '${name}': '${toChecksumAddress(book.contracts[name].address)}',`);
+  }
+  lines.push('} as const;', '');
+  lines.push('export type ContractName = keyof typeof addresses;', '');
+  lines.push('/** Variant deployed on each chain listed in a plan; every other chain deploys the fallback. */');
+  lines.push('export const chainVariants = {');
+  for (const [chainId, contracts] of Object.entries(book.chains)) {
+    const variants = names.map((name) => `'${name}': '${contracts[name].variant}'`).join(', ');
+    lines.push(`  '${chainId}': { ${variants} },`);
+  }
+  lines.push('} as const;', '');
+  lines.push('export const plans = {');
+  for (const name of names) {
+    const { factory, planRoot, salt } = book.contracts[name];
+    lines.push(`  '${name}': {`);
+    lines.push(`    factory: '${toChecksumAddress(factory)}',`);
+    lines.push(`    planRoot: '${planRoot}',`);
+    lines.push(`    salt: '${salt}',`);
+    lines.push('  },');
+  }
+  lines.push('} as const;', '');
+  return lines.join('\n');
+}
+
+function toSolidity(book, { libraryName = DEFAULT_LIBRARY_NAME } = {}) {
+  assertIdentifier(libraryName, 'Library name');
+  const lines = [
+    '// SPDX-License-Identifier: MIT',
+    `// ${GENERATED_NOTICE}`,
+    'pragma solidity ^0.8.0;',
+    '',
+    `library ${libraryName} {`,
+  ];
+  const seen = new Set();
+  contractNames(book).forEach((name, index) => {
+    const constant = constantName(name);
+    if (seen.has(constant)) {
+      throw new Error(`Contracts map to the same Solidity constant ${constant}; rename one of them`);
+    }
+    seen.add(constant);
+    if (index > 0) {
+      lines.push('');
+    }
+    lines.push(`    // ${name} (plan root ${book.contracts[name].planRoot})`);
+    for (const description of describeChains(book, name)) {
+      lines.push(`    //   ${description}`);
+    }
+    lines.push(`    address internal constant ${constant} = ${toChecksumAddress(book.contracts[name].address)};`);
+  });
+  lines.push('}', '');
+  return lines.join('\n');
+}
+
+function toFoundryJson(book) {
+  const output = {};
+  for (const name of contractNames(book)) {
+    output[name] = toChecksumAddress(book.contracts[name].address);
+  }
+  return JSON.stringify(output, null, 2) + '\n';
+}
+
+function hardhatNetworkFolders(book, networks) {
+  if (networks && networks.length > 0) {
+    return networks.map((network) => ({ folder: network.name, chainId: network.chainId }));
+  }
+  return Object.keys(book.chains).map((chainId) => ({ folder: `chain-${chainId}`, chainId }));
+}
+
+/**
+ * hardhat-deploy layout: `<network>/.chainId` plus one `<Contract>.json` deployment per contract.
+ * Folder names come from the networks config when given, otherwise `chain-<id>` for each chain
+ * listed in the address book.
+ */
+function toHardhatDeployFiles(book, { networks } = {}) {
+  const files = [];
+  for (const { folder, chainId } of hardhatNetworkFolders(book, networks)) {
+    files.push({ path: `${folder}/.chainId`, contents: `${chainId}` });
+    for (const name of contractNames(book)) {
+      const contract = book.contracts[name];
+      const chainEntry = book.chains[chainId] && book.chains[chainId][name];
+      const deployment = {
+        address: toChecksumAddress(contract.address),
+        abi: [],
+        linkedData: {
+          create4: {
+            factory: toChecksumAddress(contract.factory),
+            planRoot: contract.planRoot,
+            salt: contract.salt,
+            variant: chainEntry ? chainEntry.variant : 'fallback',
+          },
+        },
+      };
+      files.push({ path: `${folder}/${name}.json`, contents: JSON.stringify(deployment, null, 2) + '\n' });
+    }
+  }
+  return files;
+}
+
+/**
+ * Render an address book in one of the export formats. Single-file formats return one entry with
+ * a default file name; `hardhat-deploy` returns a folder tree relative to the deployments root.
+ *
+ * @param {object} book Address book from createAddressBook.
+ * @param {'ts'|'sol'|'foundry'|'hardhat-deploy'} format
+ * @param {{libraryName?: string, networks?: Array<{name: string, chainId: string}>}} [options]
+ * @returns {Array<{path: string, contents: string}>}
+ */
+function exportAddressBook(book, format, options = {}) {
+  if (format === 'ts') {
+    return [{ path: 'addresses.ts', contents: toTypeScript(book) }];
+  }
+  if (format === 'sol') {
+    const libraryName = options.libraryName || DEFAULT_LIBRARY_NAME;
+    return [{ path: `${libraryName}.sol`, contents: toSolidity(book, { libraryName }) }];
+  }
+  if (format === 'foundry') {
+    return [{ path: 'addresses.json', contents: toFoundryJson(book) }];
+  }
+  if (format === 'hardhat-deploy') {
+    return toHardhatDeployFiles(book, options);
+  }
+  throw new Error(`Unknown export format "${format}" (expected one of: ${EXPORT_FORMATS.join(', ')})`);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportAddressBook,
+};
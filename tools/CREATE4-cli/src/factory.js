@@ -0,0 +1,155 @@
+const { keccak256 } = require('./deploymentPlan');
+const { bytecodeToBuffer, hexToBuffer } = require('./utils');
+const { normalizeAddress, bufferToHex } = require('./create3');
+const { normalizeTransaction, serializeUnsignedTransaction } = require('./transaction');
+const { getProviderChainId, getCode, hasCode } = require('./provider');
+
+// Address the CREATE4 factory is deployed at on every chain listed in the README.
+const CANONICAL_FACTORY_ADDRESS = '0xC4C4C4Ae7EA494fdb246991b70c8E40f471c9166';
+
+// Inputs of the canonical deployment: CREATE2 salt and factory init code. They have not been
+// published with this release, so nothing here reproduces CANONICAL_FACTORY_ADDRESS yet; once
+// recorded they become the defaults of deriveFactoryAddress, getFactoryDeployCalldata and the
+// `factory` commands.
+const CANONICAL_FACTORY_SALT = null;
+const CANONICAL_FACTORY_INIT_CODE = null;
+
+// Arachnid's deterministic deployment proxy: called with `salt ++ initCode` it CREATE2s the init
+// code and returns the new address. It exists at the same address wherever its presigned
+// transaction below was sent.
+const DETERMINISTIC_DEPLOYER = '0x4e59b44847b379578588920cA78FbF26c0B4956C';
+
+// Pre-EIP-155 (no chain id) so the same transaction works on every chain that still accepts
+// unprotected transactions. The signer has to hold gasPrice * gasLimit = 0.01 ether first.
+const DETERMINISTIC_DEPLOYER_TRANSACTION = {
+  signer: '0x3fab184622dc19b6109349b94811493bf2a45362',
+  gasPrice: '100000000000',
+  gasLimit: '100000',
+  funding: '10000000000000000',
+  rawTransaction:
+    '0xf8a58085174876e800830186a08080b853604580600e600039806000f350fe7fffffffffffffffffffffffffffffffffffffff' +
+    'ffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf31ba0' +
+    '2222222222222222222222222222222222222222222222222222222222222222a0222222222222222222222222222222222222' +
+    '2222222222222222222222222222',
+};
+
+function computeCreate2Address(deployer, salt, initCodeHash) {
+  const data = Buffer.concat([
+    Buffer.from('ff', 'hex'),
+    hexToBuffer(normalizeAddress(deployer), { expectedLength: 20, fieldName: 'deployer address' }),
+    salt,
+    initCodeHash,
+  ]);
+  return bufferToHex(keccak256(data).subarray(12));
+}
+
+function factoryInputs({ initCode = CANONICAL_FACTORY_INIT_CODE, salt = CANONICAL_FACTORY_SALT }) {
+  if (initCode === null) {
+    throw new Error('Factory init code is required; the canonical factory init code is not recorded in this release');
+  }
+  if (salt === null) {
+    throw new Error('Factory salt is required; the canonical factory salt is not recorded in this release');
+  }
+  return {
+    code: Buffer.isBuffer(initCode) ? initCode : bytecodeToBuffer(initCode, 'factory init code'),
+    saltBytes: hexToBuffer(salt, { expectedLength: 32, fieldName: 'factory salt' }),
+  };
+}
+
+/**
+ * Reproduce the factory address: CREATE2 from the deterministic deployer with the given salt and
+ * factory init code (the canonical ones when omitted), compared with the canonical address.
+ *
+ * @param {{initCode?: string|Buffer, salt?: string, deployer?: string}} options
+ * @returns {{deployer: string, salt: string, initCodeHash: string, address: string, canonical: boolean}}
+ */
+function deriveFactoryAddress({ initCode, salt, deployer = DETERMINISTIC_DEPLOYER } = {}) {
+  const { code, saltBytes } = factoryInputs({ initCode, salt });
+  const initCodeHash = keccak256(code);
+  const address = computeCreate2Address(deployer, saltBytes, initCodeHash);
+  return {
+    deployer: normalizeAddress(deployer),
+    salt: bufferToHex(saltBytes),
+    initCodeHash: bufferToHex(initCodeHash),
+    address,
+    canonical: address === normalizeAddress(CANONICAL_FACTORY_ADDRESS),
+  };
+}
+
+/**
+ * Build the call to the deterministic deployer that deploys the factory (`salt ++ initCode`), from
+ * the canonical salt and init code unless others are given. Inputs that derive a different address
+ * are refused unless `allowNonCanonical` is set: a factory at another address would not serve
+ * plans computed for the canonical one.
+ *
+ * @param {{initCode?: string|Buffer, salt?: string, deployer?: string, allowNonCanonical?: boolean}} options
+ * @returns {{deployer: string, salt: string, initCodeHash: string, address: string, canonical: boolean, calldata: string}}
+ */
+function getFactoryDeployCalldata({ allowNonCanonical = false, ...options } = {}) {
+  const { code, saltBytes } = factoryInputs(options);
+  const derived = deriveFactoryAddress(options);
+  if (!derived.canonical && !allowNonCanonical) {
+    throw new Error(
+      `Factory init code and salt derive ${derived.address}, not the canonical factory ` +
+        `${CANONICAL_FACTORY_ADDRESS}; set allowNonCanonical (--allow-non-canonical) to deploy it anyway`
+    );
+  }
+  return { ...derived, calldata: bufferToHex(Buffer.concat([saltBytes, code])) };
+}
+
+/**
+ * Build an offline transaction deploying the factory through the deterministic deployer. Refuses
+ * non-canonical addresses like {@link getFactoryDeployCalldata}. Remaining fields are passed to
+ * `normalizeTransaction` (chainId, nonce, gasLimit and fees are required).
+ *
+ * @param {{initCode?: string|Buffer, salt?: string, deployer?: string, allowNonCanonical?: boolean, chainId: string|number|bigint}} options
+ * @returns {{address: string, canonical: boolean, initCodeHash: string, transaction: object, unsignedTransaction: string, signingHash: string}}
+ */
+function buildFactoryDeployTransaction({ initCode, salt, deployer, allowNonCanonical, ...fields }) {
+  const call = getFactoryDeployCalldata({ initCode, salt, deployer, allowNonCanonical });
+  const transaction = normalizeTransaction({ ...fields, to: call.deployer, data: call.calldata });
+  const unsigned = serializeUnsignedTransaction(transaction);
+  return {
+    address: call.address,
+    canonical: call.canonical,
+    initCodeHash: call.initCodeHash,
+    transaction,
+    unsignedTransaction: bufferToHex(unsigned),
+    signingHash: bufferToHex(keccak256(unsigned)),
+  };
+}
+
+/**
+ * Check whether the deterministic deployer and the factory have code on the provider's chain.
+ *
+ * @param {object} provider EIP-1193 provider.
+ * @param {{factory?: string, deployer?: string}} [options]
+ * @returns {Promise<{chainId: string, deployerDeployed: boolean, factoryDeployed: boolean, factoryCodeHash?: string}>}
+ */
+async function checkFactoryDeployment(provider, options = {}) {
+  const { factory = CANONICAL_FACTORY_ADDRESS, deployer = DETERMINISTIC_DEPLOYER } = options;
+  const chainId = await getProviderChainId(provider);
+  const [deployerCode, factoryCode] = await Promise.all([getCode(provider, deployer), getCode(provider, factory)]);
+  const report = {
+    chainId: chainId.toString(),
+    deployerDeployed: hasCode(deployerCode),
+    factoryDeployed: hasCode(factoryCode),
+  };
+  if (report.factoryDeployed) {
+    report.factoryCodeHash = bufferToHex(keccak256(hexToBuffer(factoryCode, { fieldName: 'code' })));
+  }
+  return report;
+}
+
+module.exports = {
+  CANONICAL_FACTORY_ADDRESS,
+  CANONICAL_FACTORY_SALT,
+  CANONICAL_FACTORY_INIT_CODE,
+  DETERMINISTIC_DEPLOYER,
+  DETERMINISTIC_DEPLOYER_TRANSACTION,
+  computeCreate2Address,
+  deriveFactoryAddress,
+  getFactoryDeployCalldata,
+  buildFactoryDeployTransaction,
+  checkFactoryDeployment,
+};
@@ -0,0 +1,42 @@
+// Hardforks that changed the opcode set (or that solc accepts as an evmVersion), oldest first.
+const HARDFORKS = [
+  'frontier',
+  'homestead',
+  'byzantium',
+  'constantinople',
+  'petersburg',
+  'istanbul',
+  'berlin',
+  'london',
+  'paris',
+  'shanghai',
+  'cancun',
+  'prague',
+  'osaka',
+];
+
+/**
+ * Validate a hardfork name (case-insensitive) and return it in canonical lowercase form.
+ *
+ * @param {string} value
+ * @param {string} [fieldName]
+ * @returns {string}
+ */
+function normalizeHardfork(value, fieldName = 'EVM version') {
+  const fork = String(value).trim().toLowerCase();
+  if (!HARDFORKS.includes(fork)) {
+    throw new Error(`invalid ${fieldName}: ${value} (expected one of ${HARDFORKS.join(', ')})`);
+  }
+  return fork;
+}
+
+/** Compare hardforks by activation order; negative when `a` predates `b`. */
+function compareHardforks(a, b) {
+  return HARDFORKS.indexOf(normalizeHardfork(a)) - HARDFORKS.indexOf(normalizeHardfork(b));
+}
+
+module.exports = {
+  HARDFORKS,
+  normalizeHardfork,
+  compareHardforks,
+};
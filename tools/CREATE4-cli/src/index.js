@@ -1,8 +1,39 @@
 const deploymentPlan = require('./deploymentPlan');
 const { parseChainIdInput } = require('./wipBuilder');
 const { getSaltHex, normalizeSaltHex, ZERO_SALT } = require('./salt');
-const { hexToBuffer } = require('./utils');
+const { hexToBuffer, listEntryChainIds } = require('./utils');
 const { computeCreate3Address: computeCreate3, normalizeAddress, bufferToHex } = require('./create3');
+const {
+  DEPLOY_SIGNATURE,
+  DEPLOY_FALLBACK_SIGNATURE,
+  DEPLOY_SELECTOR,
+  DEPLOY_FALLBACK_SELECTOR,
+  encodeDeployCall,
+  encodeDeployFallbackCall,
+} = require('./calldata');
+const { verifyPlan } = require('./verifyPlan');
+const audit = require('./audit');
+const { checkPlanEvm } = require('./evmCheck');
+const { inspectInitCode } = require('./inspect');
+const { normalizeGasPrices, estimatePlanGas } = require('./estimate');
+const { diffPlans } = require('./planDiff');
+const { createLockfile, checkLockfile, expectedAddressFor } = require('./lockfile');
+const { createProofBundles } = require('./proofBundles');
+const {
+  normalizeTransaction,
+  serializeUnsignedTransaction,
+  signTransaction,
+  decryptKeystore,
+  privateKeyToAddress,
+} = require('./transaction');
+const { createJsonRpcProvider, getProviderChainId, executeDeployment } = require('./provider');
+const rollout = require('./rollout');
+const { checkNetworksStatus } = require('./status');
+const factoryDeployment = require('./factory');
+const { resolveProjectContracts, createAddressBook } = require('./project');
+const { exportAddressBook } = require('./exporters');
+const artifacts = require('./artifacts');
+const { getChainRegistry, registerChains, resetChainRegistry } = require('./chains');
 
 const { packLeafPrefix, scratchPackedKeccak } = deploymentPlan;
 
@@ -26,35 +57,149 @@ function copyPlanMetadata(source, target) {
 }
 
 /**
- * Build a deterministic CREATE4 deployment plan from the provided entries.
+ * Build a deterministic CREATE4 deployment plan from the provided entries. Entries (and the
+ * fallback) may carry only an `initCodeHash`; such leaves are emitted without `initCode`. An entry
+ * with `chainIds` (or a `group` from `options.groups`) becomes one leaf per chain. With
+ * `layout: 'weighted'` the tree is a Huffman tree over the entries' `weight` (default 1), so heavy
+ * chains get shorter proofs; the plan then records `layout` and each leaf's `weight`.
  *
- * @param {Array<{chainId: number|string|bigint, initCode: string, label?: string}>} chainEntries
- * @param {string} fallbackInitCode Hex encoded fallback init code.
- * @returns {{root: string, leaves: Array<{chainId: string, nextChainId: string, label?: string, initCode: string, initCodeHash: string, prefix: string, leafHash: string, proof: Array<string>}>, fallback: {chainId: string, nextChainId: string, initCode: string, initCodeHash: string, prefix: string, leafHash: string, proof: Array<string>}}}
+ * @param {Array<{chainId?: number|string|bigint, chainIds?: Array<number|string|bigint>, group?: string, initCode?: string, initCodeHash?: string, label?: string, weight?: number}>} chainEntries
+ * @param {string|{initCode?: string, initCodeHash?: string, weight?: number}} fallback Hex encoded fallback init code, or an object carrying its hash.
+ * @param {{groups?: Object<string, Array<number|string|bigint>>, layout?: 'balanced'|'weighted'}} [options] Named chain groups and the tree layout.
+ * @returns {{root: string, layout?: string, leaves: Array<{chainId: string, nextChainId: string, label?: string, weight?: number, initCode?: string, initCodeHash: string, prefix: string, leafHash: string, proof: Array<string>}>, fallback: {chainId: string, nextChainId: string, weight?: number, initCode?: string, initCodeHash: string, prefix: string, leafHash: string, proof: Array<string>}}}
  */
-function buildDeploymentPlan(chainEntries, fallbackInitCode) {
-  return deploymentPlan.buildDeploymentPlan(chainEntries, fallbackInitCode);
+function buildDeploymentPlan(chainEntries, fallback, options) {
+  return deploymentPlan.buildDeploymentPlan(chainEntries, fallback, options);
 }
 
 /**
- * Build a deployment plan directly from a JSON spec and include metadata.
+ * Create the resolver for library references that are not plain addresses:
+ * `{ "spec": "<path>" | {...}, "factory"?, "salt"? }` links the CREATE4 address of another spec
+ * (deployed through `factory`, defaulting to `options.factory`), and `{ "contract": "<name>" }`
+ * links another contract of the same project through `resolveContract`.
  *
- * @param {{chains: Array, fallbackInitCode: string, salt?: string, name?: string, description?: string, version?: string}} spec
- * @returns {{root: string, leaves: Array<{chainId: string, nextChainId: string, label?: string, initCode: string, initCodeHash: string, prefix: string, leafHash: string, proof: Array<string>}>, fallback: {chainId: string, nextChainId: string, initCode: string, initCodeHash: string, prefix: string, leafHash: string, proof: Array<string>}, salt: string, name?: string, description?: string, version?: string}}
+ * @param {{factory?: string, resolveContract?: (name: string, context: string) => string}} [options]
+ * @returns {(reference: object, context: {baseDir: string, context: string}) => string}
+ */
+function createLinkResolver({ factory, resolveContract, linkedSpecPaths = [] } = {}) {
+  return (reference, { baseDir, context }) => {
+    if (reference.contract !== undefined) {
+      if (!resolveContract) {
+        throw new Error(`${context} links project contract ${reference.contract} outside of a project build`);
+      }
+      return resolveContract(String(reference.contract), context);
+    }
+
+    const linked = artifacts.loadLinkedSpec(reference, { baseDir, context });
+    if (linked.specPath && linkedSpecPaths.includes(linked.specPath)) {
+      throw new Error(`${context} links ${linked.specPath}, which links back to itself`);
+    }
+    const linkFactory = reference.factory || factory;
+    if (!linkFactory) {
+      throw new Error(`${context} needs a "factory" to compute the linked plan's address`);
+    }
+    const spec = artifacts.resolveSpecArtifacts(assertSpecObject(linked.spec), {
+      baseDir: linked.baseDir,
+      resolveLink: createLinkResolver({
+        factory: linkFactory,
+        resolveContract,
+        linkedSpecPaths: linked.specPath ? [...linkedSpecPaths, linked.specPath] : linkedSpecPaths,
+      }),
+    });
+    return computePlanDeployment(spec, linkFactory, { saltOverride: reference.salt }).address;
+  };
+}
+
+/**
+ * Replace artifact/bytecode entries of a spec with plain init code, linking libraries on the way.
+ * Artifact and linked spec paths resolve against `baseDir`.
+ *
+ * @param {object} spec JSON spec.
+ * @param {{baseDir?: string, factory?: string, resolveLink?: Function}} [options] `factory` is the
+ *   default for `{ "spec": ... }` library links; `resolveLink` replaces the default resolver.
+ * @returns {object} Spec with `initCode` / `fallbackInitCode` only.
+ */
+function resolveSpecArtifacts(spec, { baseDir, factory, resolveLink } = {}) {
+  return artifacts.resolveSpecArtifacts(assertSpecObject(spec), {
+    baseDir,
+    resolveLink: resolveLink || createLinkResolver({ factory }),
+  });
+}
+
+/**
+ * Build a deployment plan directly from a JSON spec and include metadata. Chain entries and a
+ * `fallback` object may give `artifact` (path) or `bytecode` with `libraries`, an `abi` and
+ * `constructorArgs` instead of `initCode`; libraries are linked and the arguments ABI-encoded and
+ * appended before hashing. Artifact paths resolve against the working directory unless the spec
+ * went through {@link resolveSpecArtifacts}. `layout: "weighted"` with per-entry `weight` (and
+ * `fallbackWeight`) builds the weighted tree described in {@link buildDeploymentPlan}.
+ *
+ * @param {{chains: Array, groups?: object, layout?: string, fallbackInitCode?: string, fallbackInitCodeHash?: string, fallbackWeight?: number, salt?: string, name?: string, description?: string, version?: string}} spec
+ * @returns {{root: string, leaves: Array<{chainId: string, nextChainId: string, label?: string, weight?: number, initCode?: string, initCodeHash: string, prefix: string, leafHash: string, proof: Array<string>}>, fallback: {chainId: string, nextChainId: string, weight?: number, initCode?: string, initCodeHash: string, prefix: string, leafHash: string, proof: Array<string>}, salt: string, layout?: string, name?: string, description?: string, version?: string}}
  */
 function buildPlanFromSpec(spec) {
-  const normalized = assertSpecObject(spec);
-  const basePlan = deploymentPlan.buildDeploymentPlan(normalized.chains, normalized.fallbackInitCode);
+  const normalized = resolveSpecArtifacts(spec);
+  const basePlan = deploymentPlan.buildDeploymentPlan(
+    normalized.chains,
+    {
+      initCode: normalized.fallbackInitCode,
+      initCodeHash: normalized.fallbackInitCodeHash,
+      weight: normalized.fallbackWeight,
+    },
+    { groups: normalized.groups, layout: normalized.layout }
+  );
   const result = {
     root: basePlan.root,
     leaves: basePlan.leaves,
     fallback: basePlan.fallback,
     salt: getSaltHex(normalized),
   };
+  if (basePlan.layout) {
+    result.layout = basePlan.layout;
+  }
   copyPlanMetadata(normalized, result);
   return result;
 }
 
+/**
+ * Produce a copy of a spec where every leaf keeps only its `initCodeHash`, except the bytecode the
+ * given chain needs to deploy (its own leaf when listed, otherwise the fallback). The redacted spec
+ * builds the same root, proofs and address, so each deployer only receives their own bytecode.
+ *
+ * @param {object} spec JSON spec passed to {@link buildPlanFromSpec}.
+ * @param {string|number|bigint} chainId Chain whose bytecode should be kept.
+ * @returns {object} Redacted spec.
+ */
+function redactSpec(spec, chainId) {
+  const normalized = resolveSpecArtifacts(spec);
+  const plan = buildPlanFromSpec(normalized);
+  const desired = parseChainIdInput(chainId);
+  const ownLeaf = plan.leaves.find((leaf) => BigInt(leaf.chainId) === desired);
+  const keepsOwnLeaf = Boolean(ownLeaf);
+  if (!(ownLeaf || plan.fallback).initCode) {
+    throw new Error(`Spec does not contain the init code chain ${chainId} deploys, so it cannot be redacted for it`);
+  }
+  const hashes = new Map(plan.leaves.map((leaf) => [leaf.chainId, leaf.initCodeHash]));
+
+  const redacted = { ...normalized };
+  redacted.chains = normalized.chains.map((entry) => {
+    const entryChainIds = listEntryChainIds(entry, normalized.groups);
+    if (keepsOwnLeaf && entryChainIds.includes(desired)) {
+      return { ...entry };
+    }
+    const { initCode: _initCode, ...rest } = entry;
+    return { ...rest, initCodeHash: hashes.get(entryChainIds[0].toString()) };
+  });
+  delete redacted.fallbackInitCode;
+  delete redacted.fallbackInitCodeHash;
+  if (keepsOwnLeaf) {
+    redacted.fallbackInitCodeHash = plan.fallback.initCodeHash;
+  } else {
+    redacted.fallbackInitCode = plan.fallback.initCode;
+  }
+  return redacted;
+}
+
 /**
  * Hash the plan root with the provided salt to obtain the CREATE3 deployment salt.
  *
@@ -68,8 +213,21 @@ function deriveDeploymentSalt(planRootHex, saltHex) {
   return bufferToHex(scratchPackedKeccak(planRoot, salt));
 }
 
+// Throws when the spec pins a different address for this factory.
+function assertExpectedAddress(spec, factoryAddress, address) {
+  const expected = expectedAddressFor(spec.expectedAddress, factoryAddress);
+  if (expected && expected !== address) {
+    throw new Error(
+      `Spec expects address ${expected} but factory ${normalizeAddress(factoryAddress)} deploys it to ${address}; ` +
+        'an init code, chain or salt change moved the address (update expectedAddress if intended)'
+    );
+  }
+}
+
 /**
- * Compute full CREATE3 deployment details (address + salts) for the given spec.
+ * Compute full CREATE3 deployment details (address + salts) for the given spec. A spec
+ * `expectedAddress` (an address, or an object keyed by factory) is enforced unless the salt is
+ * overridden.
  *
  * @param {object} spec JSON spec passed to {@link buildPlanFromSpec}.
  * @param {string} factoryAddress Address of the CREATE3 factory contract.
@@ -80,12 +238,16 @@ function computePlanDeployment(spec, factoryAddress, { saltOverride } = {}) {
   const plan = buildPlanFromSpec(spec);
   const salt = saltOverride !== undefined ? normalizeSaltHex(String(saltOverride)) : plan.salt;
   const deploymentSalt = deriveDeploymentSalt(plan.root, salt);
+  const address = computeCreate3(factoryAddress, deploymentSalt);
+  if (saltOverride === undefined) {
+    assertExpectedAddress(spec, factoryAddress, address);
+  }
   return {
     factory: normalizeAddress(factoryAddress),
     planRoot: plan.root,
     salt,
     deploymentSalt,
-    address: computeCreate3(factoryAddress, deploymentSalt),
+    address,
   };
 }
 
@@ -116,6 +278,474 @@ function getChainProof(spec, chainId) {
   };
 }
 
+/**
+ * Resolve which plan variant a chain receives and everything the matching CREATE4 entrypoint
+ * needs. Listed chains resolve to their own leaf (`deploy`); any other chain resolves to the
+ * fallback together with the gap leaf whose interval covers it (`deployFallback`).
+ *
+ * For fallback results `gapLeafHash` mirrors the contract parameter of the same name: it is the
+ * init code hash stored in the gap leaf, which the contract re-hashes with `gapLeafPrefix`.
+ *
+ * @param {object} spec JSON spec passed to {@link buildPlanFromSpec}.
+ * @param {string|number|bigint} chainId Target chain identifier.
+ * @returns {{variant: 'chain'|'fallback', root: string, chainId: string, salt: string, prefix: string, initCode: string, initCodeHash: string, leafHash: string, proof: Array<string>, nextChainId?: string, label?: string, gapChainId?: string, gapNextChainId?: string, gapRange?: string, gapLeafPrefix?: string, gapLeafHash?: string, gapProof?: Array<string>}}
+ */
+function resolveChainDeployment(spec, chainId) {
+  const plan = buildPlanFromSpec(spec);
+  const desired = parseChainIdInput(chainId);
+  const leaf = plan.leaves.find((entry) => BigInt(entry.chainId) === desired);
+  if (leaf) {
+    return {
+      variant: 'chain',
+      root: plan.root,
+      chainId: leaf.chainId,
+      nextChainId: leaf.nextChainId,
+      label: leaf.label,
+      prefix: leaf.prefix,
+      initCode: leaf.initCode,
+      initCodeHash: leaf.initCodeHash,
+      leafHash: leaf.leafHash,
+      proof: leaf.proof,
+      salt: plan.salt,
+    };
+  }
+
+  const gapLeaf = plan.leaves.find((entry) =>
+    deploymentPlan.isChainIdInGap(entry.chainId, entry.nextChainId, desired)
+  );
+  if (!gapLeaf) {
+    throw new Error(`No gap leaf covers chain id ${chainId}`);
+  }
+  return {
+    variant: 'fallback',
+    root: plan.root,
+    chainId: desired.toString(),
+    gapChainId: gapLeaf.chainId,
+    gapNextChainId: gapLeaf.nextChainId,
+    gapRange: deploymentPlan.describeGapRange(gapLeaf.chainId, gapLeaf.nextChainId),
+    gapLeafPrefix: gapLeaf.prefix,
+    gapLeafHash: gapLeaf.initCodeHash,
+    gapProof: gapLeaf.proof,
+    prefix: plan.fallback.prefix,
+    initCode: plan.fallback.initCode,
+    initCodeHash: plan.fallback.initCodeHash,
+    leafHash: plan.fallback.leafHash,
+    proof: plan.fallback.proof,
+    salt: plan.salt,
+  };
+}
+
+/**
+ * Encode the CREATE4 call that deploys the plan on a specific chain, using the entrypoint
+ * selected by {@link resolveChainDeployment}.
+ *
+ * @param {object} spec JSON spec passed to {@link buildPlanFromSpec}.
+ * @param {string|number|bigint} chainId Target chain identifier.
+ * @returns {{chainId: string, variant: 'chain'|'fallback', function: string, signature: string, selector: string, calldata: string}}
+ */
+function getDeployCalldata(spec, chainId) {
+  const resolved = resolveChainDeployment(spec, chainId);
+  if (resolved.variant === 'chain') {
+    return {
+      chainId: resolved.chainId,
+      variant: 'chain',
+      function: 'deploy',
+      signature: DEPLOY_SIGNATURE,
+      selector: DEPLOY_SELECTOR,
+      calldata: encodeDeployCall(resolved),
+    };
+  }
+  return {
+    chainId: resolved.chainId,
+    variant: 'fallback',
+    function: 'deployFallback',
+    signature: DEPLOY_FALLBACK_SIGNATURE,
+    selector: DEPLOY_FALLBACK_SELECTOR,
+    calldata: encodeDeployFallbackCall(resolved),
+  };
+}
+
+/**
+ * Build an unsigned transaction that calls the CREATE4 factory with the calldata from
+ * {@link getDeployCalldata}. Supplying `gasPrice` yields a legacy EIP-155 transaction; otherwise
+ * `maxFeePerGas` / `maxPriorityFeePerGas` yield an EIP-1559 transaction. Sign the result offline
+ * with {@link signTransaction}. Fails like {@link computePlanDeployment} when the spec's
+ * `expectedAddress` does not hold for `factory`.
+ *
+ * @param {object} spec JSON spec passed to {@link buildPlanFromSpec}.
+ * @param {{chainId: string|number|bigint, factory: string, nonce: string|number|bigint, gasLimit: string|number|bigint, value?: string|number|bigint, gasPrice?: string|number|bigint, maxFeePerGas?: string|number|bigint, maxPriorityFeePerGas?: string|number|bigint}} options
+ * @returns {{variant: 'chain'|'fallback', function: string, transaction: object, unsignedTransaction: string, signingHash: string}}
+ */
+function buildDeployTransaction(spec, { chainId, factory, ...fields }) {
+  if (factory && spec.expectedAddress !== undefined) {
+    computePlanDeployment(spec, factory);
+  }
+  const call = getDeployCalldata(spec, chainId);
+  const transaction = normalizeTransaction({ ...fields, chainId, to: factory, data: call.calldata });
+  const unsigned = serializeUnsignedTransaction(transaction);
+  return {
+    variant: call.variant,
+    function: call.function,
+    transaction,
+    unsignedTransaction: bufferToHex(unsigned),
+    signingHash: bufferToHex(deploymentPlan.keccak256(unsigned)),
+  };
+}
+
+/**
+ * Deploy a plan through any EIP-1193 provider. Reads `eth_chainId`, picks `deploy` or
+ * `deployFallback`, skips sending when code already exists at the predicted address, then sends
+ * the transaction and waits for its receipt. The provider signs (`eth_sendTransaction`) unless a
+ * `privateKey` is given, in which case the transaction is signed locally and sent raw.
+ *
+ * @param {object} provider EIP-1193 provider (`request({ method, params })`).
+ * @param {object} spec JSON spec passed to {@link buildPlanFromSpec}.
+ * @param {{factory: string, chainId?: string|number|bigint, from?: string, privateKey?: string, gasLimit?: string|number|bigint, value?: string|number|bigint, pollIntervalMs?: number, timeoutMs?: number, onTransactionSent?: Function}} options
+ * @returns {Promise<{status: 'deployed'|'already-deployed', address: string, chainId: string, variant: 'chain'|'fallback', function: string, transactionHash?: string, blockNumber?: string}>}
+ */
+async function deployPlan(provider, spec, options = {}) {
+  if (!options.factory) {
+    throw new Error('deployPlan requires a factory address');
+  }
+  const chainId = await getProviderChainId(provider);
+  if (options.chainId !== undefined && parseChainIdInput(options.chainId) !== chainId) {
+    throw new Error(`Provider is connected to chain ${chainId}, expected ${options.chainId}`);
+  }
+  const deployment = computePlanDeployment(spec, options.factory);
+  return executeDeployment(provider, {
+    ...options,
+    chainId,
+    factory: deployment.factory,
+    address: deployment.address,
+    call: getDeployCalldata(spec, chainId),
+  });
+}
+
+/**
+ * Roll a plan out to several networks, one after another, recording per-chain status, transaction
+ * hash and block in a JSON journal. Rerunning with the same journal skips chains that are already
+ * deployed and retries the rest, checking first whether a transaction the journal recorded for a
+ * chain landed, is still pending (left alone unless `retryPending`) or was dropped. Failures on one
+ * chain do not stop the others.
+ *
+ * @param {object} spec JSON spec passed to {@link buildPlanFromSpec}.
+ * @param {Array|object} networks Networks config (`[{name, chainId, rpcUrl}]` or keyed by name).
+ * @param {{factory: string, journalPath?: string, createProvider?: (network: object) => object, privateKey?: string, onUpdate?: Function, retryPending?: boolean}} options
+ *   Remaining options are passed to {@link deployPlan}.
+ * @returns {Promise<{journal: object, results: Array<{chainId: string, network: string, status: string, skipped: boolean, transactionHash?: string, blockNumber?: string, error?: string}>}>}
+ */
+async function rolloutPlan(spec, networks, options = {}) {
+  const {
+    factory,
+    journalPath,
+    createProvider = (network) => createJsonRpcProvider(network.rpcUrl),
+    onUpdate,
+    retryPending,
+    ...deployOptions
+  } = options;
+  if (!factory) {
+    throw new Error('rolloutPlan requires a factory address');
+  }
+  return rollout.runRollout({
+    deployment: computePlanDeployment(spec, factory),
+    networks: rollout.normalizeNetworks(networks),
+    journalPath,
+    createProvider,
+    onUpdate,
+    retryPending,
+    deployChain: (provider, network, hooks) =>
+      deployPlan(provider, spec, { ...deployOptions, ...hooks, factory, chainId: network.chainId }),
+  });
+}
+
+/**
+ * Compare on-chain state with the plan on every network: whether the factory exists, and whether
+ * the predicted address is empty, holds the runtime code of the expected variant (obtained by
+ * `eth_call`-ing its init code as the CREATE3 proxy) or holds something else.
+ *
+ * @param {object} spec JSON spec passed to {@link buildPlanFromSpec}.
+ * @param {Array|object} networks Networks config, as for {@link rolloutPlan}.
+ * @param {{factory: string, createProvider?: (network: object) => object}} options
+ * @returns {Promise<{factory: string, planRoot: string, address: string, chains: Array<{network: string, chainId: string, variant?: string, factoryDeployed?: boolean, status: 'not-deployed'|'deployed'|'unexpected-code'|'unverified'|'error', codeHash?: string, expectedCodeHash?: string, reason?: string, error?: string}>}>}
+ */
+async function getPlanStatus(spec, networks, options = {}) {
+  const { factory, createProvider = (network) => createJsonRpcProvider(network.rpcUrl) } = options;
+  if (!factory) {
+    throw new Error('getPlanStatus requires a factory address');
+  }
+  const deployment = computePlanDeployment(spec, factory);
+  const chains = await checkNetworksStatus({
+    networks: rollout.normalizeNetworks(networks),
+    factory: deployment.factory,
+    address: deployment.address,
+    deploymentSalt: deployment.deploymentSalt,
+    createProvider,
+    resolveChain: (chainId) => resolveChainDeployment(spec, chainId),
+  });
+  return {
+    factory: deployment.factory,
+    planRoot: deployment.planRoot,
+    address: deployment.address,
+    chains,
+  };
+}
+
+/**
+ * Check every network for the deterministic deployer and the CREATE4 factory, so chains where the
+ * factory still has to be deployed (and whether that is possible yet) stand out. Errors reaching a
+ * network are reported as `status: 'error'`.
+ *
+ * @param {Array|object} networks Networks config (`[{name, chainId, rpcUrl}]` or keyed by name).
+ * @param {{factory?: string, createProvider?: (network: object) => object}} [options] `factory` defaults to the
+ *   canonical factory address.
+ * @returns {Promise<{factory: string, deployer: string, chains: Array<{network: string, chainId: string, status: string, deployerDeployed?: boolean, factoryDeployed?: boolean, factoryCodeHash?: string, error?: string}>}>}
+ */
+async function getFactoryStatus(networks, options = {}) {
+  const {
+    factory = factoryDeployment.CANONICAL_FACTORY_ADDRESS,
+    createProvider = (network) => createJsonRpcProvider(network.rpcUrl),
+  } = options;
+  const target = {
+    factory: normalizeAddress(factory),
+    deployer: normalizeAddress(factoryDeployment.DETERMINISTIC_DEPLOYER),
+  };
+  const chains = await Promise.all(
+    rollout.normalizeNetworks(networks).map(async (network) => {
+      try {
+        const report = await factoryDeployment.checkFactoryDeployment(createProvider(network), target);
+        if (report.chainId !== network.chainId) {
+          throw new Error(`Provider is connected to chain ${report.chainId}, expected ${network.chainId}`);
+        }
+        let status = 'deployed';
+        if (!report.factoryDeployed) {
+          status = report.deployerDeployed ? 'missing' : 'missing-deployer';
+        }
+        return { network: network.name, ...report, status };
+      } catch (err) {
+        return { network: network.name, chainId: network.chainId, status: 'error', error: err.message };
+      }
+    })
+  );
+  return { ...target, chains };
+}
+
+/**
+ * Build every contract listed in a project manifest and combine their addresses into one address
+ * book keyed by contract name and by chain id.
+ *
+ * @param {{name?: string, factory?: string, salt?: string, contracts: object|Array}} manifest Project manifest; each
+ *   contract has a `spec` (path relative to `baseDir`, or an inline spec) and optional `salt` / `factory`.
+ * @param {{baseDir?: string, factory?: string}} [options] `factory` overrides the manifest factories.
+ * @returns {{addressBook: object, contracts: Array<{name: string, plan: object, deployment: object}>}}
+ */
+function buildProject(manifest, options = {}) {
+  const entries = new Map(resolveProjectContracts(manifest, options).map((entry) => [entry.name, entry]));
+  const built = new Map();
+  const inProgress = [];
+
+  // Contracts are built on demand so `{ "contract": "<name>" }` library links can use the linked
+  // contract's address regardless of manifest order.
+  const buildContract = (name) => {
+    if (built.has(name)) {
+      return built.get(name);
+    }
+    if (inProgress.includes(name)) {
+      throw new Error(`Library links form a cycle: ${[...inProgress, name].join(' -> ')}`);
+    }
+    const { spec, baseDir, factory } = entries.get(name);
+    inProgress.push(name);
+    try {
+      const resolveContract = (linkedName, context) => {
+        if (!entries.has(linkedName)) {
+          throw new Error(`${context} links ${linkedName}, which is not a contract of this project`);
+        }
+        return buildContract(linkedName).deployment.address;
+      };
+      const resolved = resolveSpecArtifacts(spec, {
+        baseDir,
+        resolveLink: createLinkResolver({ factory, resolveContract }),
+      });
+      built.set(name, {
+        name,
+        plan: buildPlanFromSpec(resolved),
+        deployment: computePlanDeployment(resolved, factory),
+      });
+    } catch (err) {
+      throw new Error(err.message.startsWith('Contract ') ? err.message : `Contract ${name}: ${err.message}`);
+    }
+    inProgress.pop();
+    return built.get(name);
+  };
+
+  const contracts = [...entries.keys()].map(buildContract);
+  return { addressBook: createAddressBook(contracts, { name: manifest.name }), contracts };
+}
+
+/**
+ * Audit a spec or an already built plan for risky tree shapes (empty gaps, overlapping gaps,
+ * duplicate fallbacks, leaf/node confusion, odd-layer self-pairing, redundant leaves).
+ *
+ * @param {object} specOrPlan JSON spec or built plan.
+ * @returns {{ok: boolean, counts: {error: number, warning: number, info: number}, findings: Array<{severity: 'error'|'warning'|'info', code: string, target: string, message: string}>}}
+ */
+function auditPlan(specOrPlan) {
+  const plan = audit.isBuiltPlan(specOrPlan) ? specOrPlan : buildPlanFromSpec(specOrPlan);
+  return audit.auditPlan(plan);
+}
+
+/**
+ * Check that each variant only uses opcodes its target chains support (see `check-evm`). Chain
+ * leaves are compared with the chain's `evmVersion` from the chain registry or `evmVersions`; the
+ * fallback, which every chain without a leaf receives, with `baseline` (default `paris`, i.e. no
+ * PUSH0).
+ *
+ * @param {object} specOrPlan JSON spec or built plan.
+ * @param {{baseline?: string, evmVersions?: {[chain: string]: string}}} [options]
+ * @returns {{ok: boolean, baseline: string, counts: {error: number, warning: number, info: number}, targets: Array<{target: string, chainId?: string, evmVersion: string|null, requires: string|null, opcodes: Array<{name: string, since: string, pc: number, count: number}>}>, findings: Array<{severity: 'error'|'warning'|'info', code: string, target: string, message: string}>}}
+ */
+function checkEvmCompatibility(specOrPlan, options = {}) {
+  const plan = audit.isBuiltPlan(specOrPlan) ? specOrPlan : buildPlanFromSpec(specOrPlan);
+  return checkPlanEvm(plan, options);
+}
+
+/**
+ * Inspect the init code of plan variants: constructor / runtime / constructor argument split,
+ * decoded solc metadata, the newest hardfork it needs and EIP-170 / EIP-3860 size checks. Without
+ * `chainId` or `fallback` every leaf and the fallback are inspected; `chainId` selects the variant
+ * that chain deploys (its leaf, or the fallback). Variants known only by hash are returned with
+ * `inspected: false`.
+ *
+ * @param {object} specOrPlan JSON spec or built plan.
+ * @param {{chainId?: string|number|bigint, fallback?: boolean, disassemble?: boolean}} [options]
+ * @returns {Array<{target: string, variant: 'chain'|'fallback', chainId?: string, label?: string, inspected: boolean, initCodeHash: string}>}
+ *   Inspected variants also carry the fields of the init code report (sizes, runtime, metadata, limits).
+ */
+function inspectPlan(specOrPlan, { chainId, fallback = false, disassemble = false } = {}) {
+  if (chainId !== undefined && fallback) {
+    throw new Error('Provide either a chain id or the fallback (but not both)');
+  }
+  const plan = audit.isBuiltPlan(specOrPlan) ? specOrPlan : buildPlanFromSpec(specOrPlan);
+  const fallbackTarget = { target: 'fallback', variant: 'fallback', code: plan.fallback };
+  let targets = [
+    ...plan.leaves.map((leaf) => ({
+      target: `chain ${leaf.chainId}`,
+      variant: 'chain',
+      chainId: leaf.chainId,
+      label: leaf.label,
+      code: leaf,
+    })),
+    fallbackTarget,
+  ];
+  if (fallback) {
+    targets = [fallbackTarget];
+  } else if (chainId !== undefined) {
+    const desired = parseChainIdInput(chainId).toString();
+    const own = targets.find((target) => target.chainId === desired);
+    targets = [own || { ...fallbackTarget, target: `fallback (deployed on chain ${desired})`, chainId: desired }];
+  }
+
+  return targets.map(({ code, ...target }) => {
+    if (!code.initCode) {
+      return { ...target, inspected: false, initCodeHash: code.initCodeHash };
+    }
+    return { ...target, inspected: true, ...inspectInitCode(code.initCode, { disassemble }) };
+  });
+}
+
+/**
+ * Estimate the gas (and, with gas prices, the native cost) of each chain's deployment transaction:
+ * intrinsic and calldata gas, keccak and proof-loop work, the CREATE3 proxy overhead and the code
+ * deposit. Listed chains use `deploy`; `chainIds` and gas price chains that are not listed use
+ * `deployFallback` with their gap leaf. Constructor execution is only included via `constructorGas`.
+ *
+ * @param {object} specOrPlan JSON spec or built plan.
+ * @param {{chainIds?: Array<string|number|bigint>, gasPrices?: object, constructorGas?: number}} [options]
+ *   `gasPrices` maps chain ids or names to gwei amounts or `{ gasPrice, symbol? }` entries.
+ * @returns {Array<{target: string, variant: 'chain'|'fallback', function: string, chainId?: string, proofSteps: number, estimated: boolean, gas?: number, breakdown?: object, calldata?: {size: number, zeroBytes: number, nonZeroBytes: number, gas: number, floorGas: number}, cost?: {gasPriceGwei: string, wei: string, amount: string, symbol: string}, notes?: Array<string>, reason?: string}>}
+ */
+function estimateDeploymentGas(specOrPlan, { chainIds, gasPrices, constructorGas } = {}) {
+  const plan = audit.isBuiltPlan(specOrPlan) ? specOrPlan : buildPlanFromSpec(specOrPlan);
+  return estimatePlanGas(plan, {
+    chainIds,
+    gasPrices: gasPrices ? normalizeGasPrices(gasPrices) : undefined,
+    constructorGas,
+  });
+}
+
+/**
+ * Render one self-contained deployment bundle per listed chain (root, salt, factory, predicted
+ * address, proof, init code and `deploy` calldata), a fallback bundle with the gap leaf data and
+ * `deployFallback` calldata for every unlisted chain id range, and an `index.json` with each file's
+ * SHA-256. Fails when a variant only carries its init code hash, or like {@link computePlanDeployment}
+ * when the spec's `expectedAddress` does not hold for `factory`.
+ *
+ * @param {object} spec JSON spec passed to {@link buildPlanFromSpec}.
+ * @param {{factory: string}} options
+ * @returns {Array<{path: string, contents: string}>} Files relative to the output directory.
+ */
+function exportProofBundles(spec, { factory } = {}) {
+  if (!factory) {
+    throw new Error('exportProofBundles requires a factory address');
+  }
+  return createProofBundles(buildPlanFromSpec(spec), computePlanDeployment(spec, factory));
+}
+
+function listSpecFactories(spec, factories) {
+  if (spec.factories !== undefined && !Array.isArray(spec.factories)) {
+    throw new Error('Spec factories must be an array of factory addresses');
+  }
+  const listed = [...(spec.factories || []), ...factories];
+  if (listed.length === 0) {
+    listed.push(factoryDeployment.CANONICAL_FACTORY_ADDRESS);
+  }
+  return [...new Set(listed.map(normalizeAddress))];
+}
+
+/**
+ * Build the lockfile that pins a spec's deployment outcome: root, salt, layout, every leaf's init
+ * code hash and the predicted address for each factory (the spec's `factories` plus `factories`, or
+ * the canonical factory when neither names one). Fails when the spec's `expectedAddress` does not hold for one of them.
+ *
+ * @param {object} spec JSON spec passed to {@link buildPlanFromSpec}.
+ * @param {{factories?: Array<string>}} [options]
+ * @returns {{lockfileVersion: number, root: string, salt: string, layout?: string, leaves: Array<{chainId: string, initCodeHash: string, weight?: number}>, fallback: {initCodeHash: string, weight?: number}, addresses: Object<string, string>}}
+ */
+function createPlanLockfile(spec, { factories = [] } = {}) {
+  const lock = createLockfile(buildPlanFromSpec(spec), { factories: listSpecFactories(spec, factories) });
+  for (const [factory, address] of Object.entries(lock.addresses)) {
+    assertExpectedAddress(spec, factory, address);
+  }
+  return lock;
+}
+
+/**
+ * Rebuild a spec and compare it with its lockfile. Every drift (added, removed or changed leaves,
+ * fallback, salt, layout, root, and moved addresses for the locked factories or against the spec's
+ * `expectedAddress`) is reported with the locked and current values.
+ *
+ * @param {object} spec JSON spec passed to {@link buildPlanFromSpec}.
+ * @param {object} lock Lockfile written by {@link createPlanLockfile}.
+ * @returns {{ok: boolean, drift: Array<{target: string, field: string, message: string}>}}
+ */
+function checkPlanLockfile(spec, lock) {
+  return checkLockfile(buildPlanFromSpec(spec), lock, { expectedAddress: spec.expectedAddress });
+}
+
+/**
+ * Compare two specs or built plans by deployment outcome: metadata, added, removed and changed chain
+ * leaves, fallback changes, the chain id ranges that switch to a different variant, and whether the
+ * root and (given `factory`) the predicted address change.
+ *
+ * @param {object} oldSpecOrPlan JSON spec or built plan before the change.
+ * @param {object} newSpecOrPlan JSON spec or built plan after the change.
+ * @param {{factory?: string}} [options]
+ * @returns {{changed: boolean, metadata: Array<{field: string, old: *, new: *}>, chains: {added: Array<object>, removed: Array<object>, changed: Array<{chainId: string, changes: Array<{field: string, old: *, new: *}>}>}, fallback: Array<{field: string, old: *, new: *}>, coverage: Array<{start: string, end: string, old: object, new: object}>, root: {old: string, new: string, changed: boolean}, address?: {factory: string, old: string, new: string, changed: boolean}}}
+ */
+function diffDeploymentPlans(oldSpecOrPlan, newSpecOrPlan, options = {}) {
+  const toPlan = (input) => (audit.isBuiltPlan(input) ? input : buildPlanFromSpec(input));
+  return diffPlans(toPlan(oldSpecOrPlan), toPlan(newSpecOrPlan), options);
+}
+
 /**
  * Compute the CREATE3 child address for a factory + deployment salt pair.
  *
@@ -135,9 +765,46 @@ module.exports = {
   isChainIdInGap: deploymentPlan.isChainIdInGap,
   describeGapRange: deploymentPlan.describeGapRange,
   buildPlanFromSpec,
+  resolveSpecArtifacts,
+  createLinkResolver,
+  redactSpec,
   deriveDeploymentSalt,
   computePlanDeployment,
   getChainProof,
+  resolveChainDeployment,
+  getDeployCalldata,
+  buildDeployTransaction,
+  signTransaction,
+  decryptKeystore,
+  privateKeyToAddress,
+  deployPlan,
+  rolloutPlan,
+  getPlanStatus,
+  buildProject,
+  exportAddressBook,
+  createJsonRpcProvider,
+  getChainRegistry,
+  registerChains,
+  resetChainRegistry,
+  verifyPlan,
+  auditPlan,
+  checkEvmCompatibility,
+  inspectPlan,
+  inspectInitCode,
+  estimateDeploymentGas,
+  diffDeploymentPlans,
+  createPlanLockfile,
+  checkPlanLockfile,
+  exportProofBundles,
+  CANONICAL_FACTORY_ADDRESS: factoryDeployment.CANONICAL_FACTORY_ADDRESS,
+  CANONICAL_FACTORY_SALT: factoryDeployment.CANONICAL_FACTORY_SALT,
+  CANONICAL_FACTORY_INIT_CODE: factoryDeployment.CANONICAL_FACTORY_INIT_CODE,
+  DETERMINISTIC_DEPLOYER: factoryDeployment.DETERMINISTIC_DEPLOYER,
+  DETERMINISTIC_DEPLOYER_TRANSACTION: factoryDeployment.DETERMINISTIC_DEPLOYER_TRANSACTION,
+  deriveFactoryAddress: factoryDeployment.deriveFactoryAddress,
+  getFactoryDeployCalldata: factoryDeployment.getFactoryDeployCalldata,
+  buildFactoryDeployTransaction: factoryDeployment.buildFactoryDeployTransaction,
+  getFactoryStatus,
   computeCreate3Address,
   getSaltHex,
   normalizeSaltHex,
@@ -0,0 +1,102 @@
+const { bytecodeToBuffer } = require('./utils');
+const { keccak256 } = require('./deploymentPlan');
+const { findMetadataRanges, decodeMetadata, disassemble, scanHardforkOpcodes } = require('./evm');
+
+// EIP-170 caps deployed code, EIP-3860 caps init code.
+const MAX_RUNTIME_CODE_SIZE = 24576;
+const MAX_INIT_CODE_SIZE = 49152;
+
+const toHex = (buffer) => `0x${buffer.toString('hex')}`;
+
+function pushValue(instruction) {
+  if (instruction.name === 'PUSH0') {
+    return 0;
+  }
+  return instruction.pushData && instruction.pushData.length <= 10 ? Number(instruction.pushData) : null;
+}
+
+// The constructor returns the runtime code with CODECOPY(dest, offset, length); solc pushes length
+// and offset as constants just before it. A copy whose end lines up with the end of a metadata
+// trailer (or of the code when there is none) is taken to be the runtime code.
+function findRuntimeRange(instructions, codeEnds) {
+  for (let idx = 0; idx < instructions.length; idx += 1) {
+    if (instructions[idx].name !== 'CODECOPY') {
+      continue;
+    }
+    const constants = instructions
+      .slice(Math.max(0, idx - 5), idx)
+      .map(pushValue)
+      .filter((value) => value !== null && value > 0);
+    for (const length of constants) {
+      for (const offset of constants) {
+        if (offset > instructions[idx].pc && codeEnds.includes(offset + length)) {
+          return { offset, size: length };
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Break init code into constructor code, runtime code and constructor arguments, decode the solc
+ * metadata trailers and compare sizes with the EIP-170 / EIP-3860 limits. The split is heuristic:
+ * the runtime code is the range the constructor CODECOPYs up to a metadata trailer, and bytes after
+ * the last trailer are taken as ABI-encoded constructor arguments.
+ *
+ * @param {string|Buffer} initCode
+ * @param {{disassemble?: boolean}} [options] Include the instruction listing.
+ * @returns {object}
+ */
+function inspectInitCode(initCode, { disassemble: withInstructions = false } = {}) {
+  const bytes = Buffer.isBuffer(initCode) ? initCode : bytecodeToBuffer(initCode, 'init code');
+  const metadataRanges = findMetadataRanges(bytes);
+  const codeEnd = metadataRanges.length > 0 ? metadataRanges[metadataRanges.length - 1].end : bytes.length;
+  const instructions = disassemble(bytes);
+  const runtimeRange = findRuntimeRange(instructions, [...metadataRanges.map((range) => range.end), bytes.length]);
+
+  const report = {
+    initCodeSize: bytes.length,
+    initCodeHash: toHex(keccak256(bytes)),
+    constructor: { offset: 0, size: runtimeRange ? runtimeRange.offset : codeEnd },
+    runtime: null,
+    constructorArgs: null,
+    metadata: metadataRanges.map((range) => {
+      const entry = { offset: range.start, size: range.end - range.start };
+      try {
+        entry.decoded = decodeMetadata(bytes, range);
+      } catch (err) {
+        entry.error = err.message;
+      }
+      return entry;
+    }),
+    requires: scanHardforkOpcodes(bytes).requires,
+    limits: {
+      initCode: { size: bytes.length, limit: MAX_INIT_CODE_SIZE, ok: bytes.length <= MAX_INIT_CODE_SIZE },
+    },
+  };
+  if (runtimeRange) {
+    const runtime = bytes.subarray(runtimeRange.offset, runtimeRange.offset + runtimeRange.size);
+    report.runtime = { ...runtimeRange, hash: toHex(keccak256(runtime)) };
+    report.limits.runtime = {
+      size: runtimeRange.size,
+      limit: MAX_RUNTIME_CODE_SIZE,
+      ok: runtimeRange.size <= MAX_RUNTIME_CODE_SIZE,
+    };
+  }
+  if (metadataRanges.length > 0 && codeEnd < bytes.length) {
+    report.constructorArgs = { offset: codeEnd, size: bytes.length - codeEnd, data: toHex(bytes.subarray(codeEnd)) };
+  }
+  if (withInstructions) {
+    report.instructions = instructions.map(({ pc, name, pushData }) =>
+      pushData ? { pc, name, pushData } : { pc, name }
+    );
+  }
+  return report;
+}
+
+module.exports = {
+  MAX_RUNTIME_CODE_SIZE,
+  MAX_INIT_CODE_SIZE,
+  inspectInitCode,
+};
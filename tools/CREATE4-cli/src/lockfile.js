@@ -0,0 +1,179 @@
+const { normalizeAddress } = require('./create3');
+const { diffPlans, predictPlanAddress } = require('./planDiff');
+const { formatChainId } = require('./chains');
+
+const LOCKFILE_VERSION = 1;
+
+// The lockfile pins what decides where and what gets deployed; labels and metadata are left out.
+function pinCode(leaf) {
+  const pinned = { initCodeHash: leaf.initCodeHash.toLowerCase() };
+  if (leaf.weight !== undefined) {
+    pinned.weight = leaf.weight;
+  }
+  return pinned;
+}
+
+function pinnedView(plan) {
+  const view = {
+    root: plan.root.toLowerCase(),
+    salt: plan.salt.toLowerCase(),
+    leaves: plan.leaves.map((leaf) => ({ chainId: String(leaf.chainId), ...pinCode(leaf) })),
+    fallback: pinCode(plan.fallback),
+  };
+  if (plan.layout) {
+    view.layout = plan.layout;
+  }
+  return view;
+}
+
+/**
+ * Look up the address a spec's `expectedAddress` pins for a factory: a single address, or an object
+ * keyed by factory address.
+ *
+ * @param {string|Object<string, string>|undefined} expectedAddress
+ * @param {string} factory
+ * @returns {string|null} Lowercase address, or null when nothing is expected for this factory.
+ */
+function expectedAddressFor(expectedAddress, factory) {
+  if (expectedAddress === undefined || expectedAddress === null) {
+    return null;
+  }
+  if (typeof expectedAddress === 'string') {
+    return normalizeAddress(expectedAddress);
+  }
+  if (typeof expectedAddress !== 'object' || Array.isArray(expectedAddress)) {
+    throw new Error('expectedAddress must be an address or an object mapping factory addresses to addresses');
+  }
+  const normalizedFactory = normalizeAddress(factory);
+  const match = Object.keys(expectedAddress).find((key) => normalizeAddress(key) === normalizedFactory);
+  return match ? normalizeAddress(expectedAddress[match]) : null;
+}
+
+function expectedFactories(expectedAddress) {
+  if (expectedAddress && typeof expectedAddress === 'object' && !Array.isArray(expectedAddress)) {
+    return Object.keys(expectedAddress).map(normalizeAddress);
+  }
+  return [];
+}
+
+/**
+ * Build the lockfile for a plan: root, salt, layout, each leaf's init code hash (and weight) and the
+ * predicted address for every factory.
+ *
+ * @param {object} plan Built plan (output of `buildPlanFromSpec`).
+ * @param {{factories?: Array<string>}} [options]
+ * @returns {{lockfileVersion: number, root: string, salt: string, layout?: string, leaves: Array<{chainId: string, initCodeHash: string, weight?: number}>, fallback: {initCodeHash: string, weight?: number}, addresses: Object<string, string>}}
+ */
+function createLockfile(plan, { factories = [] } = {}) {
+  const addresses = {};
+  for (const factory of factories) {
+    addresses[normalizeAddress(factory)] = predictPlanAddress(plan, factory);
+  }
+  return { lockfileVersion: LOCKFILE_VERSION, ...pinnedView(plan), addresses };
+}
+
+function assertLockfile(lock) {
+  if (!lock || typeof lock !== 'object' || Array.isArray(lock)) {
+    throw new Error('Lockfile must be a JSON object');
+  }
+  if (lock.lockfileVersion !== LOCKFILE_VERSION) {
+    throw new Error(`Unsupported lockfileVersion ${lock.lockfileVersion} (expected ${LOCKFILE_VERSION})`);
+  }
+  if (typeof lock.root !== 'string' || typeof lock.salt !== 'string' || !Array.isArray(lock.leaves) || !lock.fallback) {
+    throw new Error('Lockfile must contain root, salt, leaves and fallback');
+  }
+  return lock;
+}
+
+const lockedNow = (locked, current) => `locked ${locked}, now ${current}`;
+
+/**
+ * Rebuild-and-compare for CI: report every way a plan drifted from its lockfile, from added, removed
+ * or changed init code hashes to the root and each pinned factory address. A spec `expectedAddress`
+ * is checked against the same factories, plus every factory an object `expectedAddress` names.
+ *
+ * @param {object} plan Built plan.
+ * @param {object} lock Lockfile written by {@link createLockfile}.
+ * @param {{expectedAddress?: string|Object<string, string>}} [options]
+ * @returns {{ok: boolean, drift: Array<{target: string, field: string, message: string}>}}
+ */
+function checkLockfile(plan, lock, { expectedAddress } = {}) {
+  assertLockfile(lock);
+  const diff = diffPlans(pinnedView(lock), pinnedView(plan));
+  const drift = [];
+
+  diff.metadata.forEach((change) => {
+    drift.push({
+      target: 'plan',
+      field: change.field,
+      message: lockedNow(change.old || 'n/a', change.new || 'n/a'),
+    });
+  });
+  diff.chains.added.forEach((leaf) => {
+    drift.push({
+      target: `chain ${leaf.chainId}`,
+      field: 'leaves',
+      message: `chain ${formatChainId(leaf.chainId)} was added with init code hash ${leaf.initCodeHash}`,
+    });
+  });
+  diff.chains.removed.forEach((leaf) => {
+    drift.push({
+      target: `chain ${leaf.chainId}`,
+      field: 'leaves',
+      message: `chain ${formatChainId(leaf.chainId)} was removed (locked init code hash ${leaf.initCodeHash})`,
+    });
+  });
+  diff.chains.changed.forEach((entry) => {
+    entry.changes.forEach((change) => {
+      drift.push({
+        target: `chain ${entry.chainId}`,
+        field: change.field,
+        message: lockedNow(change.old, change.new),
+      });
+    });
+  });
+  diff.fallback.forEach((change) => {
+    drift.push({
+      target: 'fallback',
+      field: change.field,
+      message: lockedNow(change.old, change.new),
+    });
+  });
+  if (diff.root.changed) {
+    drift.push({ target: 'plan', field: 'root', message: lockedNow(diff.root.old, diff.root.new) });
+  }
+
+  const lockedAddresses = new Map(
+    Object.entries(lock.addresses || {}).map(([factory, locked]) => [normalizeAddress(factory), normalizeAddress(locked)])
+  );
+  // An object expectedAddress names its factories; check those even when the lockfile does not pin them.
+  const factories = new Set([...lockedAddresses.keys(), ...expectedFactories(expectedAddress)]);
+  for (const factory of factories) {
+    const address = predictPlanAddress(plan, factory);
+    const locked = lockedAddresses.get(factory);
+    if (locked && address !== locked) {
+      drift.push({
+        target: `factory ${factory}`,
+        field: 'address',
+        message: lockedNow(locked, address),
+      });
+    }
+    const expected = expectedAddressFor(expectedAddress, factory);
+    if (expected && expected !== address) {
+      drift.push({
+        target: `factory ${factory}`,
+        field: 'expectedAddress',
+        message: `spec expects ${expected} but the plan deploys to ${address}`,
+      });
+    }
+  }
+
+  return { ok: drift.length === 0, drift };
+}
+
+module.exports = {
+  LOCKFILE_VERSION,
+  createLockfile,
+  checkLockfile,
+  expectedAddressFor,
+};
@@ -0,0 +1,133 @@
+const { hexToBuffer, sortChainsById, UINT64_MAX } = require('./utils');
+const { computeCreate3Address, normalizeAddress } = require('./create3');
+const { scratchPackedKeccak } = require('./deploymentPlan');
+
+const METADATA_FIELDS = ['name', 'version', 'description', 'salt', 'layout'];
+const LEAF_FIELDS = ['initCodeHash', 'label', 'weight'];
+
+function fieldChanges(fields, oldSource, newSource) {
+  return fields
+    .filter((field) => oldSource[field] !== newSource[field])
+    .map((field) => ({ field, old: oldSource[field], new: newSource[field] }));
+}
+
+function leafSummary(leaf) {
+  const summary = { chainId: leaf.chainId, initCodeHash: leaf.initCodeHash };
+  if (leaf.label !== undefined) {
+    summary.label = leaf.label;
+  }
+  return summary;
+}
+
+// What a chain id deploys under a plan: its own leaf when listed, otherwise the fallback.
+function variantAt(plan, leavesById, chainId) {
+  const leaf = leavesById.get(chainId.toString());
+  if (leaf) {
+    return { variant: 'chain', chainId: leaf.chainId, initCodeHash: leaf.initCodeHash };
+  }
+  return { variant: 'fallback', initCodeHash: plan.fallback.initCodeHash };
+}
+
+function sameVariant(a, b) {
+  return a.variant === b.variant && a.initCodeHash === b.initCodeHash;
+}
+
+// Split the uint64 chain id space at every chain either plan lists; between those points both plans
+// deploy their fallback, so each piece deploys one variant per plan. Pieces whose variants differ are
+// reported, and neighbours that switch between the same two fallbacks are merged into one range.
+function diffCoverage(oldPlan, newPlan, oldLeaves, newLeaves) {
+  const points = sortChainsById([...new Set([...oldLeaves.keys(), ...newLeaves.keys()])].map(BigInt), (id) => id);
+  const ranges = [];
+  let cursor = 0n;
+  for (const point of [...points, null]) {
+    const gapEnd = point === null ? UINT64_MAX : point - 1n;
+    if (cursor <= gapEnd) {
+      ranges.push([cursor, gapEnd]);
+    }
+    if (point !== null) {
+      ranges.push([point, point]);
+      cursor = point + 1n;
+    }
+  }
+
+  const changes = [];
+  for (const [start, end] of ranges) {
+    const before = variantAt(oldPlan, oldLeaves, start);
+    const after = variantAt(newPlan, newLeaves, start);
+    if (sameVariant(before, after)) {
+      continue;
+    }
+    const previous = changes[changes.length - 1];
+    if (
+      previous &&
+      previous.end === start - 1n &&
+      before.variant === 'fallback' &&
+      after.variant === 'fallback' &&
+      sameVariant(previous.old, before) &&
+      sameVariant(previous.new, after)
+    ) {
+      previous.end = end;
+      continue;
+    }
+    changes.push({ start, end, old: before, new: after });
+  }
+  return changes.map((change) => ({ ...change, start: change.start.toString(), end: change.end.toString() }));
+}
+
+function predictPlanAddress(plan, factory) {
+  const salt = hexToBuffer(plan.salt, { expectedLength: 32, fieldName: 'salt' });
+  const root = hexToBuffer(plan.root, { expectedLength: 32, fieldName: 'plan root' });
+  return computeCreate3Address(factory, scratchPackedKeccak(root, salt));
+}
+
+/**
+ * Compare two built plans by deployment outcome: metadata, added, removed and changed chain leaves,
+ * fallback changes, the chain id ranges that switch to a different variant (gap coverage), and
+ * whether the root and, given a factory, the predicted CREATE4 address change.
+ *
+ * @param {object} oldPlan Built plan (output of `buildPlanFromSpec`).
+ * @param {object} newPlan Built plan.
+ * @param {{factory?: string}} [options]
+ * @returns {{changed: boolean, metadata: Array<{field: string, old: *, new: *}>, chains: {added: Array<object>, removed: Array<object>, changed: Array<{chainId: string, changes: Array<{field: string, old: *, new: *}>}>}, fallback: Array<{field: string, old: *, new: *}>, coverage: Array<{start: string, end: string, old: {variant: string, chainId?: string, initCodeHash: string}, new: {variant: string, chainId?: string, initCodeHash: string}}>, root: {old: string, new: string, changed: boolean}, address?: {factory: string, old: string, new: string, changed: boolean}}}
+ */
+function diffPlans(oldPlan, newPlan, { factory } = {}) {
+  const oldLeaves = new Map(oldPlan.leaves.map((leaf) => [leaf.chainId, leaf]));
+  const newLeaves = new Map(newPlan.leaves.map((leaf) => [leaf.chainId, leaf]));
+
+  const chains = {
+    added: newPlan.leaves.filter((leaf) => !oldLeaves.has(leaf.chainId)).map(leafSummary),
+    removed: oldPlan.leaves.filter((leaf) => !newLeaves.has(leaf.chainId)).map(leafSummary),
+    changed: [],
+  };
+  for (const leaf of newPlan.leaves) {
+    const previous = oldLeaves.get(leaf.chainId);
+    const changes = previous ? fieldChanges(LEAF_FIELDS, previous, leaf) : [];
+    if (changes.length > 0) {
+      chains.changed.push({ chainId: leaf.chainId, changes });
+    }
+  }
+
+  const report = {
+    changed: false,
+    metadata: fieldChanges(METADATA_FIELDS, oldPlan, newPlan),
+    chains,
+    fallback: fieldChanges(['initCodeHash', 'weight'], oldPlan.fallback, newPlan.fallback),
+    coverage: diffCoverage(oldPlan, newPlan, oldLeaves, newLeaves),
+    root: { old: oldPlan.root, new: newPlan.root, changed: oldPlan.root !== newPlan.root },
+  };
+  if (factory) {
+    const before = predictPlanAddress(oldPlan, factory);
+    const after = predictPlanAddress(newPlan, factory);
+    report.address = { factory: normalizeAddress(factory), old: before, new: after, changed: before !== after };
+  }
+  // Labels and metadata are not hashed, so an unchanged root does not mean an unchanged plan.
+  report.changed =
+    report.root.changed ||
+    [report.metadata, chains.added, chains.removed, chains.changed, report.fallback].some((list) => list.length > 0);
+  return report;
+}
+
+module.exports = {
+  diffPlans,
+  predictPlanAddress,
+};
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeSaltHex } = require('./salt');
+const { sortChainsById } = require('./utils');
+const { CANONICAL_FACTORY_ADDRESS } = require('./factory');
+
+const DEFAULT_MANIFEST_FILENAME = 'create4.project.json';
+const CONTRACT_NAME_REGEX = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+
+function readJson(filePath, description) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`${description} not found at ${filePath}`);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Unable to parse ${description} ${filePath}: ${err.message}`);
+  }
+}
+
+function loadProjectManifest(manifestPath) {
+  const resolved = path.resolve(manifestPath || DEFAULT_MANIFEST_FILENAME);
+  return { manifest: readJson(resolved, 'project manifest'), baseDir: path.dirname(resolved) };
+}
+
+function listContractEntries(manifest) {
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw new Error('Project manifest must be a JSON object');
+  }
+  const { contracts } = manifest;
+  if (Array.isArray(contracts)) {
+    return contracts.map((entry, index) => {
+      if (!entry || typeof entry !== 'object' || !entry.name) {
+        throw new Error(`Contract at index ${index} must be an object with a name`);
+      }
+      return entry;
+    });
+  }
+  if (contracts && typeof contracts === 'object') {
+    return Object.entries(contracts).map(([name, entry]) => {
+      // A bare string is shorthand for { "spec": "<path>" }.
+      const normalized = typeof entry === 'string' ? { spec: entry } : entry;
+      if (!normalized || typeof normalized !== 'object') {
+        throw new Error(`Contract ${name} must be an object or a spec path`);
+      }
+      return { ...normalized, name };
+    });
+  }
+  throw new Error('Project manifest requires a "contracts" object or array');
+}
+
+// Artifact and linked spec paths resolve against the spec file, or the manifest directory for inline specs.
+function loadContractSpec(entry, baseDir) {
+  if (typeof entry.spec === 'string') {
+    const specPath = path.resolve(baseDir, entry.spec);
+    return { spec: readJson(specPath, `spec for ${entry.name}`), baseDir: path.dirname(specPath) };
+  }
+  if (entry.spec && typeof entry.spec === 'object' && !Array.isArray(entry.spec)) {
+    return { spec: entry.spec, baseDir };
+  }
+  throw new Error(`Contract ${entry.name} requires a "spec" path or an inline spec object`);
+}
+
+/**
+ * Resolve every contract in a project manifest to its spec, salt and factory. Per-contract
+ * `salt` / `factory` win over the spec's own salt, which wins over the manifest defaults; without
+ * any factory the canonical one is used.
+ * Spec paths are resolved relative to `baseDir` (the manifest's directory). Specs are returned
+ * unresolved, with the `baseDir` their artifacts are relative to, because library links may
+ * point at other contracts of the project.
+ *
+ * @param {object} manifest Parsed project manifest.
+ * @param {{baseDir?: string, factory?: string}} [options] `factory` overrides every other factory.
+ * @returns {Array<{name: string, spec: object, baseDir: string, factory: string}>}
+ */
+function resolveProjectContracts(manifest, { baseDir = process.cwd(), factory } = {}) {
+  const entries = listContractEntries(manifest);
+  if (entries.length === 0) {
+    throw new Error('Project manifest does not list any contracts');
+  }
+
+  const seen = new Set();
+  return entries.map((entry) => {
+    const name = String(entry.name);
+    if (!CONTRACT_NAME_REGEX.test(name)) {
+      throw new Error(`Invalid contract name "${name}" (use letters, digits, "_", "." or "-")`);
+    }
+    if (seen.has(name)) {
+      throw new Error(`Contract ${name} is listed more than once`);
+    }
+    seen.add(name);
+
+    const loaded = loadContractSpec({ ...entry, name }, baseDir);
+    const spec = { ...loaded.spec };
+    const salt = entry.salt || spec.salt || manifest.salt;
+    if (salt) {
+      spec.salt = normalizeSaltHex(String(salt));
+    }
+    const contractFactory = factory || entry.factory || manifest.factory || CANONICAL_FACTORY_ADDRESS;
+    return { name, spec, baseDir: loaded.baseDir, factory: contractFactory };
+  });
+}
+
+/**
+ * Combine built contracts into an address book keyed by contract name and by chain id. Chains are
+ * those listed explicitly in any plan; every other chain receives each contract's fallback.
+ *
+ * @param {Array<{name: string, plan: object, deployment: object}>} contracts
+ * @param {{name?: string}} [metadata]
+ * @returns {{name?: string, contracts: object, chains: object}}
+ */
+function createAddressBook(contracts, metadata = {}) {
+  const byAddress = new Map();
+  const book = { contracts: {}, chains: {} };
+  if (metadata.name) {
+    book.name = metadata.name;
+  }
+
+  for (const { name, plan, deployment } of contracts) {
+    const key = deployment.address.toLowerCase();
+    if (byAddress.has(key)) {
+      throw new Error(
+        `Contracts ${byAddress.get(key)} and ${name} resolve to the same address ${deployment.address}; ` +
+          'give one of them a different salt'
+      );
+    }
+    byAddress.set(key, name);
+    book.contracts[name] = {
+      address: deployment.address,
+      factory: deployment.factory,
+      planRoot: deployment.planRoot,
+      salt: deployment.salt,
+      deploymentSalt: deployment.deploymentSalt,
+      chains: plan.leaves.map((leaf) => leaf.chainId),
+    };
+  }
+
+  const listedChains = new Set(contracts.flatMap(({ plan }) => plan.leaves.map((leaf) => leaf.chainId)));
+  for (const chainId of sortChainsById([...listedChains], (id) => id)) {
+    book.chains[chainId] = {};
+    for (const { name, plan, deployment } of contracts) {
+      const leaf = plan.leaves.find((candidate) => candidate.chainId === chainId);
+      book.chains[chainId][name] = {
+        address: deployment.address,
+        variant: leaf ? 'chain' : 'fallback',
+      };
+      if (leaf && leaf.label) {
+        book.chains[chainId][name].label = leaf.label;
+      }
+    }
+  }
+  return book;
+}
+
+module.exports = {
+  DEFAULT_MANIFEST_FILENAME,
+  loadProjectManifest,
+  resolveProjectContracts,
+  createAddressBook,
+};
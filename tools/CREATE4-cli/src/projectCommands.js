@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('./argParser');
+const { DEFAULT_MANIFEST_FILENAME, loadProjectManifest } = require('./project');
+const { buildProject } = require('./index');
+
+const ADDRESS_BOOK_FILENAME = 'addresses.json';
+
+function printProjectUsage() {
+  const lines = `CREATE4-plan project <subcommand> [options]
+
+Subcommands:
+  build       Build every plan in a project manifest and write a combined address book
+
+Use "CREATE4-plan project <subcommand> --help" to view flags for a specific command.
+`;
+  process.stdout.write(lines);
+}
+
+function runProjectCommand(args) {
+  const [command, ...rest] = args;
+  if (!command || command === '-h' || command === '--help') {
+    printProjectUsage();
+    return;
+  }
+
+  if (command === 'build') {
+    runProjectBuild(rest);
+  } else {
+    throw new Error(`Unknown project subcommand: ${command}`);
+  }
+}
+
+function runProjectBuild(args) {
+  const { help, values } = parseArgs(args, [
+    { name: 'manifest', alias: 'm' },
+    { name: 'factory' },
+    { name: 'outDir', flag: 'out-dir' },
+    { name: 'output', alias: 'o' },
+    { name: 'pretty', type: 'boolean' },
+  ]);
+
+  if (help) {
+    process.stdout.write(
+      `Usage: CREATE4-plan project build [--manifest <file>] [--factory <address>] [--out-dir <dir>]\n` +
+        `                                  [--output <file>] [--pretty]\n` +
+        `\n` +
+        `Reads ${DEFAULT_MANIFEST_FILENAME} by default. With --out-dir every plan is written to <name>.plan.json\n` +
+        `and the address book to ${ADDRESS_BOOK_FILENAME} (unless --output is given); otherwise the address book\n` +
+        `is printed.\n`
+    );
+    return;
+  }
+
+  const { manifest, baseDir } = loadProjectManifest(values.manifest);
+  const { addressBook, contracts } = buildProject(manifest, { baseDir, factory: values.factory });
+  const serialize = (data) => JSON.stringify(data, null, values.pretty ? 2 : 0) + '\n';
+
+  let addressBookPath = values.output ? path.resolve(values.output) : null;
+  if (values.outDir) {
+    const outDir = path.resolve(values.outDir);
+    fs.mkdirSync(outDir, { recursive: true });
+    for (const { name, plan } of contracts) {
+      fs.writeFileSync(path.join(outDir, `${name}.plan.json`), serialize(plan));
+    }
+    addressBookPath = addressBookPath || path.join(outDir, ADDRESS_BOOK_FILENAME);
+  }
+
+  if (addressBookPath) {
+    fs.writeFileSync(addressBookPath, serialize(addressBook));
+    process.stderr.write(`Built ${contracts.length} plan(s); address book written to ${addressBookPath}\n`);
+  } else {
+    process.stdout.write(serialize(addressBook));
+  }
+}
+
+module.exports = {
+  runProjectCommand,
+};
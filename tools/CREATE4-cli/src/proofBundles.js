@@ -0,0 +1,148 @@
+const { createHash } = require('crypto');
+const { UINT64_MAX } = require('./utils');
+const { describeGapRange } = require('./deploymentPlan');
+const {
+  DEPLOY_SIGNATURE,
+  DEPLOY_FALLBACK_SIGNATURE,
+  encodeDeployCall,
+  encodeDeployFallbackCall,
+} = require('./calldata');
+
+const BUNDLE_VERSION = 1;
+const INDEX_FILENAME = 'index.json';
+const FALLBACK_FILENAME = 'fallback.json';
+
+const serialize = (data) => JSON.stringify(data, null, 2) + '\n';
+
+// Inclusive [start, end] pieces of the uint64 space a gap leaf covers, mirroring isChainIdInGap.
+function gapRanges(chainIdRaw, nextChainIdRaw) {
+  const chainId = BigInt(chainIdRaw);
+  const next = BigInt(nextChainIdRaw);
+  const ranges = [];
+  const push = (start, end) => {
+    if (start <= end) {
+      ranges.push({ start: start.toString(), end: end.toString() });
+    }
+  };
+  if (chainId === next) {
+    push(0n, chainId - 1n);
+    push(chainId + 1n, UINT64_MAX);
+  } else if (chainId < next) {
+    push(chainId + 1n, next - 1n);
+  } else {
+    push(0n, next - 1n);
+    push(chainId + 1n, UINT64_MAX);
+  }
+  return ranges;
+}
+
+function requireInitCode(code, target) {
+  if (!code.initCode) {
+    throw new Error(`${target} only carries its init code hash; proof bundles need the init code`);
+  }
+  return code.initCode;
+}
+
+/**
+ * Render the per-chain proof bundles for a built plan: `chain-<id>.json` for every listed chain,
+ * `fallback.json` with one entry per usable gap leaf (chain id ranges it covers and the matching
+ * `deployFallback` calldata), and `index.json` listing every file with its SHA-256.
+ *
+ * @param {object} plan Built plan carrying init code (output of `buildPlanFromSpec`).
+ * @param {{factory: string, address: string, deploymentSalt: string}} deployment
+ * @returns {Array<{path: string, contents: string}>} Bundles followed by the index.
+ */
+function createProofBundles(plan, { factory, address, deploymentSalt }) {
+  const common = { bundleVersion: BUNDLE_VERSION };
+  ['name', 'version'].forEach((field) => {
+    if (plan[field] !== undefined) {
+      common[field] = plan[field];
+    }
+  });
+  Object.assign(common, { root: plan.root, salt: plan.salt, deploymentSalt, factory, address });
+
+  const bundles = plan.leaves.map((leaf) => {
+    const initCode = requireInitCode(leaf, `chain ${leaf.chainId}`);
+    const bundle = { ...common, variant: 'chain', chainId: leaf.chainId };
+    if (leaf.label !== undefined) {
+      bundle.label = leaf.label;
+    }
+    Object.assign(bundle, {
+      nextChainId: leaf.nextChainId,
+      prefix: leaf.prefix,
+      initCodeHash: leaf.initCodeHash,
+      leafHash: leaf.leafHash,
+      proof: leaf.proof,
+      initCode,
+      function: 'deploy',
+      signature: DEPLOY_SIGNATURE,
+      calldata: encodeDeployCall({ proof: leaf.proof, initCode, nextChainId: leaf.nextChainId, salt: plan.salt }),
+    });
+    return { path: `chain-${leaf.chainId}.json`, bundle };
+  });
+
+  const fallbackInitCode = requireInitCode(plan.fallback, 'fallback');
+  // Adjacent chain ids leave an empty gap; such leaves cannot authorize a fallback deployment.
+  const gaps = plan.leaves
+    .map((leaf) => ({ leaf, ranges: gapRanges(leaf.chainId, leaf.nextChainId) }))
+    .filter(({ ranges }) => ranges.length > 0)
+    .map(({ leaf, ranges }) => ({
+      gapChainId: leaf.chainId,
+      gapNextChainId: leaf.nextChainId,
+      gapRange: describeGapRange(leaf.chainId, leaf.nextChainId),
+      ranges,
+      gapLeafPrefix: leaf.prefix,
+      gapLeafHash: leaf.initCodeHash,
+      gapProof: leaf.proof,
+      calldata: encodeDeployFallbackCall({
+        gapLeafPrefix: leaf.prefix,
+        gapLeafHash: leaf.initCodeHash,
+        gapProof: leaf.proof,
+        proof: plan.fallback.proof,
+        initCode: fallbackInitCode,
+        salt: plan.salt,
+      }),
+    }));
+  bundles.push({
+    path: FALLBACK_FILENAME,
+    bundle: {
+      ...common,
+      variant: 'fallback',
+      prefix: plan.fallback.prefix,
+      initCodeHash: plan.fallback.initCodeHash,
+      leafHash: plan.fallback.leafHash,
+      proof: plan.fallback.proof,
+      initCode: fallbackInitCode,
+      function: 'deployFallback',
+      signature: DEPLOY_FALLBACK_SIGNATURE,
+      gaps,
+    },
+  });
+
+  const files = bundles.map(({ path, bundle }) => ({ path, bundle, contents: serialize(bundle) }));
+  const index = {
+    ...common,
+    files: files.map(({ path, bundle, contents }) => {
+      const entry = { file: path, variant: bundle.variant };
+      if (bundle.chainId !== undefined) {
+        entry.chainId = bundle.chainId;
+      }
+      if (bundle.label !== undefined) {
+        entry.label = bundle.label;
+      }
+      entry.sha256 = createHash('sha256').update(contents).digest('hex');
+      return entry;
+    }),
+  };
+  return [
+    ...files.map(({ path, contents }) => ({ path, contents })),
+    { path: INDEX_FILENAME, contents: serialize(index) },
+  ];
+}
+
+module.exports = {
+  BUNDLE_VERSION,
+  INDEX_FILENAME,
+  FALLBACK_FILENAME,
+  createProofBundles,
+};
@@ -0,0 +1,221 @@
+const { normalizeChainId } = require('./utils');
+const { normalizeTransaction, signTransaction, privateKeyToAddress } = require('./transaction');
+
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+const DEFAULT_RECEIPT_TIMEOUT_MS = 120000;
+const DEFAULT_PRIORITY_FEE = 1000000000n;
+const GAS_ESTIMATE_BUFFER_PERCENT = 120n;
+
+function toRpcQuantity(value) {
+  return '0x' + BigInt(value).toString(16);
+}
+
+function hasCode(code) {
+  return typeof code === 'string' && code !== '0x' && code !== '0x0' && code.length > 2;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function assertProvider(provider) {
+  if (!provider || typeof provider.request !== 'function') {
+    throw new Error('provider must implement the EIP-1193 request({ method, params }) interface');
+  }
+  return provider;
+}
+
+/**
+ * Minimal EIP-1193 provider backed by an HTTP JSON-RPC endpoint.
+ *
+ * @param {string} url JSON-RPC endpoint.
+ * @param {{fetchImpl?: Function}} [options] Override for the global fetch (used in tests).
+ * @returns {{request: ({method: string, params?: Array}) => Promise<any>}}
+ */
+function createJsonRpcProvider(url, { fetchImpl = globalThis.fetch } = {}) {
+  if (typeof url !== 'string' || url.length === 0) {
+    throw new Error('RPC url is required');
+  }
+  if (typeof fetchImpl !== 'function') {
+    throw new Error('fetch is not available in this Node.js version');
+  }
+  let nextId = 1;
+  return {
+    async request({ method, params = [] }) {
+      let response;
+      try {
+        response = await fetchImpl(url, {
+          method: 'POST',
+          headers: { 'content-type': 'application/json' },
+          body: JSON.stringify({ jsonrpc: '2.0', id: nextId++, method, params }),
+        });
+      } catch (err) {
+        // Report the underlying network error, not the url (it often embeds an API key).
+        throw new Error(`RPC ${method} request failed: ${(err.cause && err.cause.message) || err.message}`);
+      }
+      if (!response.ok) {
+        throw new Error(`RPC ${method} failed with HTTP ${response.status}`);
+      }
+      const payload = await response.json();
+      if (payload.error) {
+        throw new Error(`RPC ${method} failed: ${payload.error.message || JSON.stringify(payload.error)}`);
+      }
+      return payload.result;
+    },
+  };
+}
+
+async function getProviderChainId(provider) {
+  const raw = await assertProvider(provider).request({ method: 'eth_chainId', params: [] });
+  return normalizeChainId(raw, 'provider chain id');
+}
+
+async function getCode(provider, address) {
+  return assertProvider(provider).request({ method: 'eth_getCode', params: [address, 'latest'] });
+}
+
+async function getTransactionReceipt(provider, transactionHash) {
+  return assertProvider(provider).request({ method: 'eth_getTransactionReceipt', params: [transactionHash] });
+}
+
+async function waitForReceipt(
+  provider,
+  transactionHash,
+  { pollIntervalMs = DEFAULT_POLL_INTERVAL_MS, timeoutMs = DEFAULT_RECEIPT_TIMEOUT_MS } = {}
+) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const receipt = await getTransactionReceipt(provider, transactionHash);
+    if (receipt) {
+      return receipt;
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for receipt of ${transactionHash}`);
+    }
+    await sleep(pollIntervalMs);
+  }
+}
+
+async function resolveSender(provider, from) {
+  if (from) {
+    return from;
+  }
+  const accounts = await provider.request({ method: 'eth_accounts', params: [] });
+  if (!Array.isArray(accounts) || accounts.length === 0) {
+    throw new Error('provider exposes no accounts; pass { from } explicitly');
+  }
+  return accounts[0];
+}
+
+async function suggestFees(provider) {
+  const block = await provider.request({ method: 'eth_getBlockByNumber', params: ['latest', false] });
+  if (!block || block.baseFeePerGas === undefined || block.baseFeePerGas === null) {
+    return { gasPrice: BigInt(await provider.request({ method: 'eth_gasPrice', params: [] })) };
+  }
+  let maxPriorityFeePerGas = DEFAULT_PRIORITY_FEE;
+  try {
+    maxPriorityFeePerGas = BigInt(await provider.request({ method: 'eth_maxPriorityFeePerGas', params: [] }));
+  } catch (err) {
+    // Not every node implements eth_maxPriorityFeePerGas; keep the default tip.
+  }
+  return {
+    maxPriorityFeePerGas,
+    maxFeePerGas: BigInt(block.baseFeePerGas) * 2n + maxPriorityFeePerGas,
+  };
+}
+
+async function sendLocallySigned(provider, chainId, tx, { privateKey, gasLimit }) {
+  const from = privateKeyToAddress(privateKey);
+  const nonce = await provider.request({ method: 'eth_getTransactionCount', params: [from, 'pending'] });
+  let limit = gasLimit;
+  if (limit === undefined) {
+    const estimate = await provider.request({ method: 'eth_estimateGas', params: [{ ...tx, from }] });
+    limit = (BigInt(estimate) * GAS_ESTIMATE_BUFFER_PERCENT) / 100n;
+  }
+  const normalized = normalizeTransaction({
+    ...tx,
+    ...(await suggestFees(provider)),
+    chainId,
+    nonce: BigInt(nonce),
+    gasLimit: limit,
+  });
+  const { rawTransaction } = signTransaction(normalized, privateKey);
+  return provider.request({ method: 'eth_sendRawTransaction', params: [rawTransaction] });
+}
+
+/**
+ * Send a resolved CREATE4 deployment through an EIP-1193 provider. Skips sending when code already
+ * exists at the predicted address (the factory would revert with TargetAlreadyExists), otherwise
+ * submits the transaction, waits for the receipt and confirms the code landed.
+ *
+ * With `privateKey` the transaction is signed locally (nonce, gas and fees are read from the node)
+ * and sent with `eth_sendRawTransaction`; otherwise the provider signs via `eth_sendTransaction`.
+ *
+ * @param {object} provider EIP-1193 provider.
+ * @param {{chainId: bigint, factory: string, address: string, call: {variant: string, function: string, calldata: string}, from?: string, privateKey?: string, gasLimit?: string|number|bigint, value?: string|number|bigint, pollIntervalMs?: number, timeoutMs?: number, onTransactionSent?: (hash: string) => void}} deployment
+ * @returns {Promise<{status: 'deployed'|'already-deployed', address: string, chainId: string, variant: string, function: string, transactionHash?: string, blockNumber?: string}>}
+ */
+async function executeDeployment(provider, deployment) {
+  const { chainId, factory, address, call } = deployment;
+  const result = {
+    address,
+    chainId: chainId.toString(),
+    variant: call.variant,
+    function: call.function,
+  };
+
+  if (hasCode(await getCode(provider, address))) {
+    return { status: 'already-deployed', ...result };
+  }
+
+  let transactionHash;
+  if (deployment.privateKey) {
+    const tx = { to: factory, data: call.calldata };
+    if (deployment.value !== undefined) {
+      tx.value = toRpcQuantity(deployment.value);
+    }
+    transactionHash = await sendLocallySigned(provider, chainId, tx, deployment);
+  } else {
+    const tx = {
+      from: await resolveSender(provider, deployment.from),
+      to: factory,
+      data: call.calldata,
+    };
+    if (deployment.gasLimit !== undefined) {
+      tx.gas = toRpcQuantity(deployment.gasLimit);
+    }
+    if (deployment.value !== undefined) {
+      tx.value = toRpcQuantity(deployment.value);
+    }
+    transactionHash = await provider.request({ method: 'eth_sendTransaction', params: [tx] });
+  }
+  if (deployment.onTransactionSent) {
+    deployment.onTransactionSent(transactionHash);
+  }
+
+  const receipt = await waitForReceipt(provider, transactionHash, deployment);
+  if (receipt.status !== undefined && BigInt(receipt.status) !== 1n) {
+    throw new Error(`Deployment transaction ${transactionHash} reverted`);
+  }
+  if (!hasCode(await getCode(provider, address))) {
+    throw new Error(`Deployment transaction ${transactionHash} succeeded but no code exists at ${address}`);
+  }
+
+  return {
+    status: 'deployed',
+    ...result,
+    transactionHash,
+    blockNumber: BigInt(receipt.blockNumber).toString(),
+  };
+}
+
+module.exports = {
+  createJsonRpcProvider,
+  toRpcQuantity,
+  hasCode,
+  getProviderChainId,
+  getCode,
+  getTransactionReceipt,
+  waitForReceipt,
+  executeDeployment,
+};
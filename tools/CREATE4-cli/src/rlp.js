@@ -0,0 +1,98 @@
+function encodeLength(length, offset) {
+  if (length < 56) {
+    return Buffer.from([offset + length]);
+  }
+  const lengthBytes = bigIntToBytes(BigInt(length));
+  return Buffer.concat([Buffer.from([offset + 55 + lengthBytes.length]), lengthBytes]);
+}
+
+function bigIntToBytes(value) {
+  if (value < 0n) {
+    throw new Error('RLP cannot encode negative integers');
+  }
+  if (value === 0n) {
+    return Buffer.alloc(0);
+  }
+  let hex = value.toString(16);
+  if (hex.length % 2 !== 0) {
+    hex = '0' + hex;
+  }
+  return Buffer.from(hex, 'hex');
+}
+
+/**
+ * RLP-encode a Buffer, a bigint (minimal big-endian bytes) or a nested array of those.
+ *
+ * @param {Buffer|bigint|Array} item
+ * @returns {Buffer}
+ */
+function encodeRlp(item) {
+  if (Array.isArray(item)) {
+    const payload = Buffer.concat(item.map(encodeRlp));
+    return Buffer.concat([encodeLength(payload.length, 0xc0), payload]);
+  }
+  const bytes = typeof item === 'bigint' ? bigIntToBytes(item) : item;
+  if (!Buffer.isBuffer(bytes)) {
+    throw new Error('RLP items must be Buffers, bigints, or arrays');
+  }
+  if (bytes.length === 1 && bytes[0] < 0x80) {
+    return bytes;
+  }
+  return Buffer.concat([encodeLength(bytes.length, 0x80), bytes]);
+}
+
+function decodeItem(buffer, offset) {
+  const prefix = buffer[offset];
+  if (prefix === undefined) {
+    throw new Error('RLP input ended unexpectedly');
+  }
+  if (prefix < 0x80) {
+    return { item: buffer.subarray(offset, offset + 1), end: offset + 1 };
+  }
+  const isList = prefix >= 0xc0;
+  const base = isList ? 0xc0 : 0x80;
+  let length;
+  let start;
+  if (prefix - base < 56) {
+    length = prefix - base;
+    start = offset + 1;
+  } else {
+    const lengthOfLength = prefix - base - 55;
+    length = Number(BigInt('0x' + buffer.subarray(offset + 1, offset + 1 + lengthOfLength).toString('hex')));
+    start = offset + 1 + lengthOfLength;
+  }
+  const end = start + length;
+  if (end > buffer.length) {
+    throw new Error('RLP item exceeds input length');
+  }
+  if (!isList) {
+    return { item: buffer.subarray(start, end), end };
+  }
+  const items = [];
+  let cursor = start;
+  while (cursor < end) {
+    const decoded = decodeItem(buffer, cursor);
+    items.push(decoded.item);
+    cursor = decoded.end;
+  }
+  return { item: items, end };
+}
+
+/**
+ * Decode an RLP payload into nested arrays of Buffers.
+ *
+ * @param {Buffer} buffer
+ * @returns {Buffer|Array}
+ */
+function decodeRlp(buffer) {
+  const { item, end } = decodeItem(buffer, 0);
+  if (end !== buffer.length) {
+    throw new Error('RLP input has trailing bytes');
+  }
+  return item;
+}
+
+module.exports = {
+  encodeRlp,
+  decodeRlp,
+};
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const { normalizeChainId } = require('./utils');
+const { getCode, getTransactionReceipt, hasCode } = require('./provider');
+
+const JOURNAL_VERSION = 1;
+const COMPLETED_STATUSES = new Set(['deployed', 'already-deployed']);
+
+function expandEnvironment(value, networkName, env) {
+  return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => {
+    if (env[name] === undefined || env[name] === '') {
+      throw new Error(`Network ${networkName} references undefined environment variable ${name}`);
+    }
+    return env[name];
+  });
+}
+
+/**
+ * Normalize a networks config into `{name, chainId, rpcUrl}` entries. Accepts an array, an object
+ * with a `networks` array, or an object keyed by network name. `${VAR}` placeholders in RPC urls
+ * are expanded from the environment so API keys stay out of the file.
+ *
+ * @param {Array|object} config
+ * @param {object} [env]
+ * @returns {Array<{name: string, chainId: string, rpcUrl: string}>}
+ */
+function normalizeNetworks(config, env = process.env) {
+  let entries;
+  if (Array.isArray(config)) {
+    entries = config;
+  } else if (config && Array.isArray(config.networks)) {
+    entries = config.networks;
+  } else if (config && typeof config === 'object') {
+    entries = Object.entries(config).map(([name, entry]) => ({ name, ...entry }));
+  } else {
+    throw new Error('Networks config must be an array or an object');
+  }
+  if (entries.length === 0) {
+    throw new Error('Networks config does not define any networks');
+  }
+
+  const seen = new Set();
+  return entries.map((entry, index) => {
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`Network at index ${index} must be an object`);
+    }
+    const chainId = normalizeChainId(entry.chainId, `network ${entry.name || index} chain id`).toString();
+    const name = entry.name ? String(entry.name) : `chain-${chainId}`;
+    const rpcUrl = entry.rpcUrl || entry.url;
+    if (typeof rpcUrl !== 'string' || rpcUrl.length === 0) {
+      throw new Error(`Network ${name} is missing rpcUrl`);
+    }
+    if (seen.has(chainId)) {
+      throw new Error(`Chain ${chainId} is configured more than once`);
+    }
+    seen.add(chainId);
+    return { name, chainId, rpcUrl: expandEnvironment(rpcUrl, name, env) };
+  });
+}
+
+function createJournal(deployment) {
+  return {
+    version: JOURNAL_VERSION,
+    factory: deployment.factory,
+    planRoot: deployment.planRoot,
+    salt: deployment.salt,
+    address: deployment.address,
+    chains: {},
+  };
+}
+
+function loadJournal(journalPath, deployment) {
+  if (!journalPath || !fs.existsSync(journalPath)) {
+    return createJournal(deployment);
+  }
+  let journal;
+  try {
+    journal = JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to read deployment journal ${journalPath}: ${err.message}`);
+  }
+  if (!journal || journal.version !== JOURNAL_VERSION || typeof journal.chains !== 'object') {
+    throw new Error(`Deployment journal ${journalPath} has an unsupported format`);
+  }
+  for (const field of ['factory', 'planRoot', 'salt', 'address']) {
+    if (String(journal[field]).toLowerCase() !== String(deployment[field]).toLowerCase()) {
+      throw new Error(
+        `Deployment journal ${journalPath} belongs to a different deployment (${field} ${journal[field]}); ` +
+          'use a separate journal per plan'
+      );
+    }
+  }
+  return journal;
+}
+
+function saveJournal(journalPath, journal) {
+  if (journalPath) {
+    fs.writeFileSync(journalPath, JSON.stringify(journal, null, 2) + '\n');
+  }
+}
+
+// A transaction the node no longer knows, or whose nonce another mined transaction used, can never land.
+async function isTransactionDropped(provider, transactionHash) {
+  const transaction = await provider.request({ method: 'eth_getTransactionByHash', params: [transactionHash] });
+  if (!transaction) {
+    return true;
+  }
+  const minedNonce = await provider.request({ method: 'eth_getTransactionCount', params: [transaction.from, 'latest'] });
+  return BigInt(minedNonce) > BigInt(transaction.nonce);
+}
+
+// Journal fields for a chain whose previous run already sent `transactionHash`, or null when the
+// deployment has to be sent (again).
+async function resumeSentTransaction(provider, transactionHash, { address, retryPending }) {
+  const [code, receipt] = await Promise.all([
+    getCode(provider, address),
+    getTransactionReceipt(provider, transactionHash),
+  ]);
+  const succeeded = receipt && (receipt.status === undefined || BigInt(receipt.status) === 1n);
+  if (hasCode(code)) {
+    return succeeded
+      ? { status: 'deployed', transactionHash, blockNumber: BigInt(receipt.blockNumber).toString() }
+      : { status: 'already-deployed' };
+  }
+  if (receipt || retryPending || (await isTransactionDropped(provider, transactionHash))) {
+    return null;
+  }
+  return { status: 'pending', transactionHash };
+}
+
+/**
+ * Deploy one prepared CREATE4 deployment to every network in turn, recording each chain in a
+ * journal. Chains already marked deployed are skipped, so rerunning after an interruption only
+ * retries chains that failed or never finished. A chain whose journal entry carries a transaction
+ * hash is checked first: code at the predicted address marks it deployed, a transaction still
+ * waiting in the mempool leaves it pending, and a reverted, dropped or replaced one (or any, with
+ * `retryPending`) is sent again. The journal is written after every change.
+ *
+ * @param {{deployment: object, networks: Array, journalPath?: string, createProvider: Function, deployChain: Function, onUpdate?: Function, retryPending?: boolean}} options
+ * @returns {Promise<{journal: object, results: Array<object>}>}
+ */
+async function runRollout({
+  deployment,
+  networks,
+  journalPath,
+  createProvider,
+  deployChain,
+  onUpdate,
+  retryPending = false,
+}) {
+  const journal = loadJournal(journalPath, deployment);
+  const results = [];
+
+  const record = (network, fields) => {
+    const entry = {
+      network: network.name,
+      ...fields,
+      updatedAt: new Date().toISOString(),
+    };
+    journal.chains[network.chainId] = entry;
+    saveJournal(journalPath, journal);
+    if (onUpdate) {
+      onUpdate({ chainId: network.chainId, ...entry });
+    }
+    return entry;
+  };
+
+  for (const network of networks) {
+    const previous = journal.chains[network.chainId];
+    if (previous && COMPLETED_STATUSES.has(previous.status)) {
+      results.push({ chainId: network.chainId, skipped: true, ...previous });
+      continue;
+    }
+
+    let entry;
+    try {
+      const provider = createProvider(network);
+      const sentHash = previous && previous.transactionHash;
+      const resumed = sentHash
+        ? await resumeSentTransaction(provider, sentHash, { address: deployment.address, retryPending })
+        : null;
+      if (resumed) {
+        entry = record(network, { variant: previous.variant, ...resumed });
+      } else {
+        const result = await deployChain(provider, network, {
+          onTransactionSent: (transactionHash) => record(network, { status: 'pending', transactionHash }),
+        });
+        entry = record(network, {
+          status: result.status,
+          variant: result.variant,
+          transactionHash: result.transactionHash,
+          blockNumber: result.blockNumber,
+        });
+      }
+    } catch (err) {
+      // Keep the last known transaction hash so the next run checks it before sending another.
+      const current = journal.chains[network.chainId];
+      entry = record(network, {
+        status: 'failed',
+        transactionHash: current ? current.transactionHash : undefined,
+        error: err.message,
+      });
+    }
+    results.push({ chainId: network.chainId, skipped: false, ...entry });
+  }
+
+  return { journal, results };
+}
+
+module.exports = {
+  normalizeNetworks,
+  loadJournal,
+  runRollout,
+};
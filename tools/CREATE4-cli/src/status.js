@@ -0,0 +1,121 @@
+const { keccak256 } = require('./deploymentPlan');
+const { hexToBuffer } = require('./utils');
+const { bufferToHex, computeCreate3ProxyAddress } = require('./create3');
+const { getProviderChainId, getCode, hasCode } = require('./provider');
+
+function codeHash(code) {
+  return bufferToHex(keccak256(hexToBuffer(code, { fieldName: 'code' })));
+}
+
+// Run the init code the way the factory's CREATE3 proxy does: sent from the proxy with its nonce at
+// 1, so msg.sender and address(this) (and any immutables derived from them) match the deployment.
+async function expectedRuntimeCode(provider, initCode, proxy) {
+  return provider.request({
+    method: 'eth_call',
+    params: [{ from: proxy, data: initCode }, 'latest', { [proxy]: { nonce: '0x1' } }],
+  });
+}
+
+// Nodes without state overrides still run the init code from the proxy, but at the proxy's
+// current nonce, so address(this) can differ from the deployment.
+async function expectedRuntimeCodeWithoutOverride(provider, initCode, proxy) {
+  return provider.request({ method: 'eth_call', params: [{ from: proxy, data: initCode }, 'latest'] });
+}
+
+/**
+ * Compare the code at a predicted CREATE4 address with the runtime code produced by the resolved
+ * leaf's init code, and check that the factory exists on the chain. The init code is simulated as
+ * the CREATE3 proxy deploying to the predicted address (a state override sets the proxy nonce).
+ *
+ * Status is one of:
+ *   not-deployed     no code at the address
+ *   deployed         code matches the runtime code of the expected variant
+ *   unexpected-code  code differs from the expected runtime code
+ *   unverified       code exists but the expected runtime code is unknown (hash-only leaf, eth_call failed,
+ *                    or a mismatch on a node without state overrides)
+ *
+ * @param {object} provider EIP-1193 provider.
+ * @param {{chainId: bigint, factory: string, address: string, deploymentSalt: string, resolveChain: (chainId: bigint) => {variant: string, initCode?: string}}} target
+ * @returns {Promise<object>}
+ */
+async function checkChainStatus(provider, { chainId, factory, address, deploymentSalt, resolveChain }) {
+  const connectedChainId = await getProviderChainId(provider);
+  if (chainId !== undefined && connectedChainId !== chainId) {
+    throw new Error(`Provider is connected to chain ${connectedChainId}, expected ${chainId}`);
+  }
+  const resolved = resolveChain(connectedChainId);
+  const [factoryCode, code] = await Promise.all([getCode(provider, factory), getCode(provider, address)]);
+  const report = {
+    chainId: connectedChainId.toString(),
+    variant: resolved.variant,
+    factoryDeployed: hasCode(factoryCode),
+  };
+
+  if (!hasCode(code)) {
+    return { ...report, status: 'not-deployed' };
+  }
+  report.codeHash = codeHash(code);
+  if (!resolved.initCode) {
+    return { ...report, status: 'unverified', reason: 'plan only carries the init code hash' };
+  }
+
+  const proxy = computeCreate3ProxyAddress(factory, deploymentSalt);
+  let expected;
+  let exact = true;
+  try {
+    expected = await expectedRuntimeCode(provider, resolved.initCode, proxy);
+  } catch (overrideErr) {
+    try {
+      expected = await expectedRuntimeCodeWithoutOverride(provider, resolved.initCode, proxy);
+      exact = false;
+    } catch (err) {
+      return { ...report, status: 'unverified', reason: `eth_call of the init code failed: ${err.message}` };
+    }
+  }
+  if (!hasCode(expected)) {
+    return { ...report, status: 'unverified', reason: 'init code returned no runtime code' };
+  }
+  report.expectedCodeHash = codeHash(expected);
+  if (report.codeHash === report.expectedCodeHash) {
+    return { ...report, status: 'deployed' };
+  }
+  if (!exact) {
+    return {
+      ...report,
+      status: 'unverified',
+      reason: 'node rejected the state override, so code embedding its own address cannot be compared',
+    };
+  }
+  return { ...report, status: 'unexpected-code' };
+}
+
+/**
+ * Check every network concurrently. Errors reaching a network are reported as `status: 'error'`
+ * rather than aborting the whole check.
+ *
+ * @param {{networks: Array, factory: string, address: string, deploymentSalt: string, createProvider: Function, resolveChain: Function}} options
+ * @returns {Promise<Array<object>>}
+ */
+async function checkNetworksStatus({ networks, factory, address, deploymentSalt, createProvider, resolveChain }) {
+  return Promise.all(
+    networks.map(async (network) => {
+      try {
+        const report = await checkChainStatus(createProvider(network), {
+          chainId: BigInt(network.chainId),
+          factory,
+          address,
+          deploymentSalt,
+          resolveChain,
+        });
+        return { network: network.name, ...report };
+      } catch (err) {
+        return { network: network.name, chainId: network.chainId, status: 'error', error: err.message };
+      }
+    })
+  );
+}
+
+module.exports = {
+  checkChainStatus,
+  checkNetworksStatus,
+};
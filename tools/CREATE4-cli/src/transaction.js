@@ -0,0 +1,257 @@
+const { createDecipheriv, pbkdf2Sync, scryptSync } = require('crypto');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const { keccak256 } = require('./deploymentPlan');
+const { hexToBuffer, normalizeChainId } = require('./utils');
+const { normalizeAddress, bufferToHex } = require('./create3');
+const { encodeRlp } = require('./rlp');
+
+const UNIT_DECIMALS = {
+  wei: 0,
+  gwei: 9,
+  ether: 18,
+  eth: 18,
+};
+
+/**
+ * Parse a wei quantity. Accepts integers (number, bigint, decimal or 0x strings) and decimal
+ * amounts with a unit suffix such as "1.5 gwei" or "0.01 ether".
+ *
+ * @param {string|number|bigint} value
+ * @param {string} fieldName
+ * @returns {bigint}
+ */
+function parseQuantity(value, fieldName) {
+  if (typeof value === 'bigint') {
+    if (value < 0n) {
+      throw new Error(`${fieldName} cannot be negative`);
+    }
+    return value;
+  }
+  if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value) || value < 0) {
+      throw new Error(`${fieldName} must be a non-negative safe integer`);
+    }
+    return BigInt(value);
+  }
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    throw new Error(`${fieldName} is required`);
+  }
+  const trimmed = value.trim().toLowerCase();
+  const unitMatch = trimmed.match(/^(\d+(?:\.\d+)?)\s*(wei|gwei|ether|eth)$/);
+  if (unitMatch) {
+    const decimals = UNIT_DECIMALS[unitMatch[2]];
+    const [whole, fraction = ''] = unitMatch[1].split('.');
+    if (fraction.length > decimals) {
+      throw new Error(`${fieldName} has more decimals than ${unitMatch[2]} supports`);
+    }
+    return BigInt(whole) * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0');
+  }
+  if (!/^(0x[0-9a-f]+|\d+)$/.test(trimmed)) {
+    throw new Error(`invalid ${fieldName}: ${value}`);
+  }
+  return BigInt(trimmed);
+}
+
+function optionalQuantity(value, fieldName) {
+  return value === undefined || value === null ? undefined : parseQuantity(value, fieldName);
+}
+
+/**
+ * Normalize transaction fields. Supplying `gasPrice` produces a legacy EIP-155 transaction;
+ * otherwise `maxFeePerGas` and `maxPriorityFeePerGas` produce an EIP-1559 (type 2) transaction.
+ *
+ * @param {{chainId: string|number|bigint, nonce: string|number|bigint, to: string, data?: string, value?: string|number|bigint, gasLimit: string|number|bigint, gasPrice?: string|number|bigint, maxFeePerGas?: string|number|bigint, maxPriorityFeePerGas?: string|number|bigint}} fields
+ * @returns {object} Normalized transaction with bigint quantities.
+ */
+function normalizeTransaction(fields) {
+  const gasPrice = optionalQuantity(fields.gasPrice, 'gas price');
+  const maxFeePerGas = optionalQuantity(fields.maxFeePerGas, 'max fee per gas');
+  const maxPriorityFeePerGas = optionalQuantity(fields.maxPriorityFeePerGas, 'max priority fee per gas');
+  if (gasPrice !== undefined && (maxFeePerGas !== undefined || maxPriorityFeePerGas !== undefined)) {
+    throw new Error('Provide either a legacy gas price or EIP-1559 fee parameters, not both');
+  }
+  if (gasPrice === undefined && (maxFeePerGas === undefined || maxPriorityFeePerGas === undefined)) {
+    throw new Error('EIP-1559 transactions require both max fee per gas and max priority fee per gas');
+  }
+  if (maxFeePerGas !== undefined && maxPriorityFeePerGas > maxFeePerGas) {
+    throw new Error('max priority fee per gas cannot exceed max fee per gas');
+  }
+
+  const tx = {
+    type: gasPrice === undefined ? 'eip1559' : 'legacy',
+    chainId: normalizeChainId(fields.chainId, 'transaction chain id'),
+    nonce: parseQuantity(fields.nonce, 'nonce'),
+    to: normalizeAddress(fields.to),
+    value: optionalQuantity(fields.value, 'value') || 0n,
+    data:
+      fields.data && fields.data !== '0x'
+        ? bufferToHex(hexToBuffer(fields.data, { fieldName: 'transaction data' }))
+        : '0x',
+    gasLimit: parseQuantity(fields.gasLimit, 'gas limit'),
+  };
+  if (tx.type === 'legacy') {
+    tx.gasPrice = gasPrice;
+  } else {
+    tx.maxPriorityFeePerGas = maxPriorityFeePerGas;
+    tx.maxFeePerGas = maxFeePerGas;
+  }
+  return tx;
+}
+
+function dataBytes(tx) {
+  return tx.data === '0x' ? Buffer.alloc(0) : hexToBuffer(tx.data, { fieldName: 'transaction data' });
+}
+
+function unsignedFields(tx) {
+  const to = hexToBuffer(tx.to, { expectedLength: 20, fieldName: 'to' });
+  if (tx.type === 'legacy') {
+    return [tx.nonce, tx.gasPrice, tx.gasLimit, to, tx.value, dataBytes(tx)];
+  }
+  return [
+    tx.chainId,
+    tx.nonce,
+    tx.maxPriorityFeePerGas,
+    tx.maxFeePerGas,
+    tx.gasLimit,
+    to,
+    tx.value,
+    dataBytes(tx),
+    [],
+  ];
+}
+
+/**
+ * RLP-encode the payload that is signed: `0x02 || rlp([...])` for EIP-1559 and
+ * `rlp([..., chainId, 0, 0])` for legacy EIP-155 transactions.
+ */
+function serializeUnsignedTransaction(tx) {
+  if (tx.type === 'legacy') {
+    return encodeRlp([...unsignedFields(tx), tx.chainId, 0n, 0n]);
+  }
+  return Buffer.concat([Buffer.from([0x02]), encodeRlp(unsignedFields(tx))]);
+}
+
+function normalizePrivateKey(privateKey) {
+  if (Buffer.isBuffer(privateKey) && privateKey.length === 32) {
+    return privateKey;
+  }
+  return hexToBuffer(privateKey, { expectedLength: 32, fieldName: 'private key' });
+}
+
+function privateKeyToAddress(privateKey) {
+  const publicKey = Buffer.from(secp256k1.getPublicKey(normalizePrivateKey(privateKey), false));
+  return bufferToHex(keccak256(publicKey.subarray(1)).subarray(12));
+}
+
+/**
+ * Sign a normalized transaction locally and return the raw signed payload.
+ *
+ * @param {object} tx Transaction from {@link normalizeTransaction}.
+ * @param {string} privateKey 32-byte hex private key.
+ * @returns {{from: string, rawTransaction: string, transactionHash: string}}
+ */
+function signTransaction(tx, privateKey) {
+  const key = normalizePrivateKey(privateKey);
+  const digest = keccak256(serializeUnsignedTransaction(tx));
+  const signature = secp256k1.sign(digest, key);
+  const r = signature.r;
+  const s = signature.s;
+
+  let raw;
+  if (tx.type === 'legacy') {
+    const v = BigInt(signature.recovery) + tx.chainId * 2n + 35n;
+    raw = encodeRlp([...unsignedFields(tx), v, r, s]);
+  } else {
+    raw = Buffer.concat([
+      Buffer.from([0x02]),
+      encodeRlp([...unsignedFields(tx), BigInt(signature.recovery), r, s]),
+    ]);
+  }
+
+  return {
+    from: privateKeyToAddress(key),
+    rawTransaction: bufferToHex(raw),
+    transactionHash: bufferToHex(keccak256(raw)),
+  };
+}
+
+/**
+ * Decrypt a Web3 Secret Storage (v3) JSON keystore and return its private key.
+ *
+ * @param {object|string} keystore Keystore JSON (object or string).
+ * @param {string} password Keystore password.
+ * @returns {string} Hex encoded private key.
+ */
+function decryptKeystore(keystore, password) {
+  const parsed = typeof keystore === 'string' ? JSON.parse(keystore) : keystore;
+  const cryptoSection = parsed && (parsed.crypto || parsed.Crypto);
+  if (!cryptoSection || parsed.version !== 3) {
+    throw new Error('Only version 3 JSON keystores are supported');
+  }
+  if (cryptoSection.cipher !== 'aes-128-ctr') {
+    throw new Error(`Unsupported keystore cipher: ${cryptoSection.cipher}`);
+  }
+
+  const params = cryptoSection.kdfparams || {};
+  const salt = Buffer.from(params.salt, 'hex');
+  let derivedKey;
+  if (cryptoSection.kdf === 'scrypt') {
+    derivedKey = scryptSync(Buffer.from(password, 'utf8'), salt, params.dklen, {
+      N: params.n,
+      r: params.r,
+      p: params.p,
+      maxmem: 256 * params.n * params.r,
+    });
+  } else if (cryptoSection.kdf === 'pbkdf2') {
+    if (params.prf !== 'hmac-sha256') {
+      throw new Error(`Unsupported keystore pbkdf2 prf: ${params.prf}`);
+    }
+    derivedKey = pbkdf2Sync(Buffer.from(password, 'utf8'), salt, params.c, params.dklen, 'sha256');
+  } else {
+    throw new Error(`Unsupported keystore kdf: ${cryptoSection.kdf}`);
+  }
+
+  const ciphertext = Buffer.from(cryptoSection.ciphertext, 'hex');
+  const mac = keccak256(Buffer.concat([derivedKey.subarray(16, 32), ciphertext]));
+  if (mac.toString('hex') !== String(cryptoSection.mac).toLowerCase()) {
+    throw new Error('Keystore password is incorrect (MAC mismatch)');
+  }
+
+  const iv = Buffer.from(cryptoSection.cipherparams.iv, 'hex');
+  const decipher = createDecipheriv('aes-128-ctr', derivedKey.subarray(0, 16), iv);
+  const privateKey = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  return bufferToHex(privateKey);
+}
+
+function quantityToJson(value) {
+  return value === undefined ? undefined : value.toString();
+}
+
+/**
+ * JSON-friendly view of a normalized transaction (quantities as decimal strings).
+ */
+function transactionToJson(tx) {
+  return {
+    type: tx.type,
+    chainId: tx.chainId.toString(),
+    nonce: quantityToJson(tx.nonce),
+    to: tx.to,
+    value: quantityToJson(tx.value),
+    gasLimit: quantityToJson(tx.gasLimit),
+    gasPrice: quantityToJson(tx.gasPrice),
+    maxFeePerGas: quantityToJson(tx.maxFeePerGas),
+    maxPriorityFeePerGas: quantityToJson(tx.maxPriorityFeePerGas),
+    data: tx.data,
+  };
+}
+
+module.exports = {
+  parseQuantity,
+  normalizePrivateKey,
+  normalizeTransaction,
+  serializeUnsignedTransaction,
+  signTransaction,
+  privateKeyToAddress,
+  decryptKeystore,
+  transactionToJson,
+};
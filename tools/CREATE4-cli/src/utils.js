@@ -1,3 +1,5 @@
+const { resolveChainName } = require('./chains');
+
 const UINT64_MAX = (1n << 64n) - 1n;
 const HEX_BODY_REGEX = /^[0-9a-fA-F]+$/;
 
@@ -22,7 +24,8 @@ function normalizeChainId(value, fieldName = 'chain id') {
     try {
       parsed = BigInt(trimmed);
     } catch (err) {
-      throw new Error(`invalid ${fieldName}: ${value}`);
+      // Not a number: accept chain names and aliases from the registry (e.g. "polygon").
+      parsed = resolveChainName(trimmed, fieldName);
     }
   } else {
     throw new Error(`${fieldName} must be a number, bigint, or string`);
@@ -125,6 +128,58 @@ function sortChainsById(entries, selector = (entry) => entry.chainId) {
   return copy;
 }
 
+/**
+ * List the chain ids a spec entry covers. An entry names exactly one of `chainId`, a `chainIds`
+ * array, or a `group` defined in the spec's top-level `groups` map (`{ "cancun": [1, 10] }`).
+ *
+ * @param {object} entry Spec chain entry.
+ * @param {object} [groups] The spec's `groups`.
+ * @param {string} [context] Prefix for error messages.
+ * @returns {Array<bigint>}
+ */
+function listEntryChainIds(entry, groups, context = 'chain entry') {
+  const forms = ['chainId', 'chainIds', 'group'].filter((key) => entry[key] !== undefined);
+  if (forms.length === 0) {
+    throw new Error(`${context} is missing a chainId`);
+  }
+  if (forms.length > 1) {
+    throw new Error(`${context} must use only one of ${forms.join(', ')}`);
+  }
+  if (entry.chainId !== undefined) {
+    return [normalizeChainId(entry.chainId, `chain id for ${context}`)];
+  }
+
+  let ids = entry.chainIds;
+  let source = `${context} chainIds`;
+  if (entry.group !== undefined) {
+    if (!groups || typeof groups !== 'object' || !Object.prototype.hasOwnProperty.call(groups, entry.group)) {
+      throw new Error(`${context} uses unknown chain group "${entry.group}" (define it under "groups")`);
+    }
+    ids = groups[entry.group];
+    source = `chain group "${entry.group}"`;
+  }
+  if (!Array.isArray(ids) || ids.length === 0) {
+    throw new Error(`${source} must be a non-empty array of chain ids`);
+  }
+  const parsed = ids.map((id) => normalizeChainId(id, `chain id in ${source}`));
+  const duplicate = parsed.find((id, idx) => parsed.indexOf(id) !== idx);
+  if (duplicate !== undefined) {
+    throw new Error(`${source} lists chain ${duplicate} more than once`);
+  }
+  return parsed;
+}
+
+/** Describe a spec entry for messages: `chain 1`, `chains 1, 10` or `group cancun`. */
+function describeChainEntry(entry) {
+  if (entry.group !== undefined) {
+    return `group ${entry.group}`;
+  }
+  if (Array.isArray(entry.chainIds)) {
+    return `chains ${entry.chainIds.join(', ')}`;
+  }
+  return `chain ${entry.chainId}`;
+}
+
 module.exports = {
   UINT64_MAX,
   normalizeChainId,
@@ -134,4 +189,6 @@ module.exports = {
   hexToBuffer,
   looksLikeHex,
   sortChainsById,
+  listEntryChainIds,
+  describeChainEntry,
 };
@@ -0,0 +1,198 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { keccak256 } = require('./deploymentPlan');
+const { hexToBuffer } = require('./utils');
+const { KECCAK256_PROXY_CHILD_BYTECODE, normalizeAddress, bufferToHex } = require('./create3');
+const { normalizeSaltHex, ZERO_SALT } = require('./salt');
+
+const SALT_SPACE = 1n << 256n;
+const DEFAULT_BATCH_SIZE = 2000;
+const WORKER_PATH = path.join(__dirname, 'vanityWorker.js');
+
+function normalizePatternHex(value, fieldName) {
+  if (value === undefined || value === null || value === '') {
+    return '';
+  }
+  const body = String(value).trim().replace(/^0x/i, '').toLowerCase();
+  if (!/^[0-9a-f]*$/.test(body)) {
+    throw new Error(`${fieldName} must be a hex string`);
+  }
+  return body;
+}
+
+/**
+ * Normalize vanity search options into lowercase hex fragments.
+ *
+ * @param {{prefix?: string, suffix?: string, leadingZeros?: number|string}} options
+ * @returns {{prefix: string, suffix: string, leadingZeros: number}}
+ */
+function parseVanityPattern({ prefix, suffix, leadingZeros } = {}) {
+  const pattern = {
+    prefix: normalizePatternHex(prefix, 'prefix'),
+    suffix: normalizePatternHex(suffix, 'suffix'),
+    leadingZeros: leadingZeros === undefined ? 0 : Number(leadingZeros),
+  };
+  if (!Number.isInteger(pattern.leadingZeros) || pattern.leadingZeros < 0 || pattern.leadingZeros > 40) {
+    throw new Error('leading zeros must be an integer between 0 and 40');
+  }
+  if (!pattern.prefix && !pattern.suffix && pattern.leadingZeros === 0) {
+    throw new Error('vanity search requires a prefix, suffix, or leading zeros');
+  }
+  // Leading zeros constrain the same nibbles as the prefix; a prefix that disagrees can never match.
+  if (/[^0]/.test(pattern.prefix.slice(0, pattern.leadingZeros))) {
+    throw new Error(`prefix 0x${pattern.prefix} conflicts with ${pattern.leadingZeros} leading zeros`);
+  }
+  if (Math.max(pattern.prefix.length, pattern.leadingZeros) + pattern.suffix.length > 40) {
+    throw new Error('vanity pattern is longer than an address');
+  }
+  return pattern;
+}
+
+function matchesVanityPattern(address, pattern) {
+  const body = address.slice(2).toLowerCase();
+  return (
+    body.startsWith(pattern.prefix) &&
+    body.endsWith(pattern.suffix) &&
+    (pattern.leadingZeros === 0 || body.startsWith('0'.repeat(pattern.leadingZeros)))
+  );
+}
+
+function saltToHex(value) {
+  return '0x' + value.toString(16).padStart(64, '0');
+}
+
+/**
+ * Try `count` salts starting at `start`, advancing by `stride`, and return the first salt whose
+ * CREATE4 address matches the pattern. This is the hot loop shared by the worker threads, so the
+ * address derivation is inlined instead of going through computeCreate3Address.
+ *
+ * @returns {{salt: string|null, address: string|null, attempts: number}}
+ */
+function searchSaltRange({ factory, planRoot, pattern, start, stride = 1n, count }) {
+  const factoryBytes = hexToBuffer(normalizeAddress(factory), { expectedLength: 20, fieldName: 'factory address' });
+  const root = hexToBuffer(planRoot, { expectedLength: 32, fieldName: 'plan root' });
+  const proxyPreimage = Buffer.concat([
+    Buffer.from('ff', 'hex'),
+    factoryBytes,
+    Buffer.alloc(32),
+    KECCAK256_PROXY_CHILD_BYTECODE,
+  ]);
+  const rlpPreimage = Buffer.concat([Buffer.from('d694', 'hex'), Buffer.alloc(20), Buffer.from('01', 'hex')]);
+  const saltPreimage = Buffer.concat([root, Buffer.alloc(32)]);
+
+  let current = BigInt(start) % SALT_SPACE;
+  const step = BigInt(stride);
+  for (let attempt = 0; attempt < count; attempt++) {
+    saltPreimage.write(current.toString(16).padStart(64, '0'), 32, 'hex');
+    keccak256(saltPreimage).copy(proxyPreimage, 21);
+    keccak256(proxyPreimage).copy(rlpPreimage, 2, 12);
+    const address = bufferToHex(keccak256(rlpPreimage).subarray(12));
+    if (matchesVanityPattern(address, pattern)) {
+      return { salt: saltToHex(current), address, attempts: attempt + 1 };
+    }
+    current = (current + step) % SALT_SPACE;
+  }
+  return { salt: null, address: null, attempts: count };
+}
+
+/**
+ * Search user salts in parallel worker threads until the predicted CREATE4 address matches the
+ * requested pattern. Worker `i` tries `start + i`, `start + i + workers`, ... so the search can be
+ * resumed from `resumeSalt`, below which every salt has been tried.
+ *
+ * @param {{factory: string, planRoot: string, pattern: object, startSalt?: string, workers?: number, maxAttempts?: number, batchSize?: number, onProgress?: Function}} options
+ * @returns {Promise<{salt: string|null, address: string|null, attempts: number, elapsedMs: number, rate: number, resumeSalt: string}>}
+ */
+function mineSalt({
+  factory,
+  planRoot,
+  pattern,
+  startSalt = ZERO_SALT,
+  workers = 1,
+  maxAttempts,
+  batchSize = DEFAULT_BATCH_SIZE,
+  onProgress,
+}) {
+  const start = BigInt(normalizeSaltHex(startSalt));
+  const workerCount = Math.max(1, Math.floor(workers));
+  const perWorkerLimit = maxAttempts === undefined ? undefined : Math.ceil(Number(maxAttempts) / workerCount);
+  const startedAt = Date.now();
+  const attemptsByWorker = new Array(workerCount).fill(0);
+
+  const summarize = (result) => {
+    const attempts = attemptsByWorker.reduce((sum, value) => sum + value, 0);
+    const elapsedMs = Date.now() - startedAt;
+    const covered = BigInt(Math.min(...attemptsByWorker)) * BigInt(workerCount);
+    return {
+      salt: result ? result.salt : null,
+      address: result ? result.address : null,
+      attempts,
+      elapsedMs,
+      rate: elapsedMs > 0 ? Math.round((attempts * 1000) / elapsedMs) : attempts,
+      resumeSalt: saltToHex((start + covered) % SALT_SPACE),
+    };
+  };
+
+  return new Promise((resolve, reject) => {
+    const pool = [];
+    const exhausted = new Array(workerCount).fill(false);
+    let finished = 0;
+    let settled = false;
+
+    const settle = (err, result) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      pool.forEach((worker) => worker.terminate());
+      if (err) {
+        reject(err);
+      } else {
+        resolve(summarize(result));
+      }
+    };
+
+    for (let index = 0; index < workerCount; index++) {
+      const worker = new Worker(WORKER_PATH, {
+        workerData: {
+          factory,
+          planRoot,
+          pattern,
+          start: (start + BigInt(index)).toString(),
+          stride: workerCount.toString(),
+          batchSize,
+          limit: perWorkerLimit,
+        },
+      });
+      worker.on('message', (message) => {
+        attemptsByWorker[index] = message.attempts;
+        if (message.type === 'found') {
+          settle(null, message);
+        } else if (message.type === 'progress' && onProgress) {
+          onProgress(summarize(null));
+        } else if (message.type === 'exhausted') {
+          exhausted[index] = true;
+          finished += 1;
+          if (finished === workerCount) {
+            settle(null, null);
+          }
+        }
+      });
+      worker.on('error', (err) => settle(err));
+      // A worker that dies without reporting would otherwise leave the search waiting forever.
+      worker.on('exit', (code) => {
+        if (!exhausted[index]) {
+          settle(new Error(`vanity worker ${index} exited with code ${code} before finishing its range`));
+        }
+      });
+      pool.push(worker);
+    }
+  });
+}
+
+module.exports = {
+  parseVanityPattern,
+  matchesVanityPattern,
+  searchSaltRange,
+  mineSalt,
+};
@@ -0,0 +1,24 @@
+const { parentPort, workerData } = require('worker_threads');
+const { searchSaltRange } = require('./vanity');
+
+function run() {
+  const { factory, planRoot, pattern, batchSize, limit } = workerData;
+  const stride = BigInt(workerData.stride);
+  let next = BigInt(workerData.start);
+  let attempts = 0;
+
+  while (limit === undefined || attempts < limit) {
+    const count = limit === undefined ? batchSize : Math.min(batchSize, limit - attempts);
+    const result = searchSaltRange({ factory, planRoot, pattern, start: next, stride, count });
+    attempts += result.attempts;
+    if (result.salt) {
+      parentPort.postMessage({ type: 'found', salt: result.salt, address: result.address, attempts });
+      return;
+    }
+    next += stride * BigInt(count);
+    parentPort.postMessage({ type: 'progress', attempts });
+  }
+  parentPort.postMessage({ type: 'exhausted', attempts });
+}
+
+run();
@@ -0,0 +1,220 @@
+const {
+  keccak256,
+  packLeafPrefix,
+  scratchPackedKeccak,
+  commutativeKeccak,
+  buildWeightedMerkleTree,
+  normalizeLayout,
+  normalizeWeight,
+} = require('./deploymentPlan');
+const { bytecodeToBuffer, hexToBuffer, normalizeChainId, sortChainsById } = require('./utils');
+const { bufferToHex } = require('./create3');
+
+function tryParse(issues, target, field, parse) {
+  try {
+    return parse();
+  } catch (err) {
+    issues.push({ target, field, message: err.message });
+    return null;
+  }
+}
+
+function compareHex(issues, target, field, stored, expected) {
+  if (stored === null || expected === null) {
+    return;
+  }
+  if (!stored.equals(expected)) {
+    issues.push({
+      target,
+      field,
+      message: `expected ${bufferToHex(expected)} but plan stores ${bufferToHex(stored)}`,
+    });
+  }
+}
+
+function walkProof(leafHash, proof) {
+  return proof.reduce((node, sibling) => commutativeKeccak(node, sibling), leafHash);
+}
+
+function verifyLeaf(issues, root, leaf, target, isFallback) {
+  if (!leaf || typeof leaf !== 'object') {
+    issues.push({ target, field: 'leaf', message: 'leaf entry is missing or not an object' });
+    return;
+  }
+
+  const chainId = tryParse(issues, target, 'chainId', () => normalizeChainId(leaf.chainId, 'chainId'));
+  const nextChainId = tryParse(issues, target, 'nextChainId', () =>
+    normalizeChainId(leaf.nextChainId, 'nextChainId')
+  );
+  const storedInitCodeHash = tryParse(issues, target, 'initCodeHash', () =>
+    hexToBuffer(leaf.initCodeHash, { expectedLength: 32, fieldName: 'initCodeHash' })
+  );
+  const storedPrefix = tryParse(issues, target, 'prefix', () =>
+    hexToBuffer(leaf.prefix, { expectedLength: 32, fieldName: 'prefix' })
+  );
+  const storedLeafHash = tryParse(issues, target, 'leafHash', () =>
+    hexToBuffer(leaf.leafHash, { expectedLength: 32, fieldName: 'leafHash' })
+  );
+  const proof = tryParse(issues, target, 'proof', () => {
+    if (!Array.isArray(leaf.proof)) {
+      throw new Error('proof must be an array');
+    }
+    return leaf.proof.map((entry, idx) => hexToBuffer(entry, { expectedLength: 32, fieldName: `proof[${idx}]` }));
+  });
+
+  if (isFallback && chainId !== null && nextChainId !== null && (chainId !== 0n || nextChainId !== 0n)) {
+    issues.push({ target, field: 'chainId', message: 'fallback leaf must use chainId = nextChainId = 0' });
+  }
+
+  // Recompute every derived field from its inputs so a mismatch points at the exact stale value
+  // instead of only reporting that the root cannot be reached.
+  let initCodeHash = storedInitCodeHash;
+  if (leaf.initCode) {
+    const initCode = tryParse(issues, target, 'initCode', () => bytecodeToBuffer(leaf.initCode, 'initCode'));
+    if (initCode !== null) {
+      initCodeHash = keccak256(initCode);
+      compareHex(issues, target, 'initCodeHash', storedInitCodeHash, initCodeHash);
+    }
+  }
+
+  let prefix = storedPrefix;
+  if (chainId !== null && nextChainId !== null) {
+    prefix = packLeafPrefix(chainId, nextChainId, isFallback ? 1 : 0);
+    compareHex(issues, target, 'prefix', storedPrefix, prefix);
+  }
+
+  if (prefix === null || initCodeHash === null || proof === null || root === null) {
+    return;
+  }
+  const leafHash = scratchPackedKeccak(prefix, initCodeHash);
+  compareHex(issues, target, 'leafHash', storedLeafHash, leafHash);
+
+  const computedRoot = walkProof(leafHash, proof);
+  if (!computedRoot.equals(root)) {
+    issues.push({
+      target,
+      field: 'proof',
+      message: `proof resolves to ${bufferToHex(computedRoot)} instead of root ${bufferToHex(root)}`,
+    });
+  }
+}
+
+function verifyRing(issues, leaves) {
+  const parsed = [];
+  for (const leaf of leaves) {
+    try {
+      parsed.push({
+        chainId: normalizeChainId(leaf.chainId),
+        nextChainId: normalizeChainId(leaf.nextChainId),
+      });
+    } catch (err) {
+      // already reported by verifyLeaf
+      return;
+    }
+  }
+
+  const sorted = sortChainsById(parsed);
+  for (let i = 0; i < sorted.length; i++) {
+    const entry = sorted[i];
+    if (i > 0 && entry.chainId === sorted[i - 1].chainId) {
+      issues.push({ target: `chain ${entry.chainId}`, field: 'chainId', message: 'duplicate chain id' });
+      continue;
+    }
+    const expectedNext = sorted[(i + 1) % sorted.length].chainId;
+    if (entry.nextChainId !== expectedNext) {
+      issues.push({
+        target: `chain ${entry.chainId}`,
+        field: 'nextChainId',
+        message: `expected nextChainId ${expectedNext} (sorted ring) but plan stores ${entry.nextChainId}`,
+      });
+    }
+  }
+}
+
+// A weighted plan must be reproducible from what it records: rebuilding the Huffman tree from the
+// stored leaf hashes and weights has to land on the same root.
+function verifyLayout(issues, plan, leaves, root) {
+  const layout = tryParse(issues, 'plan', 'layout', () => normalizeLayout(plan.layout));
+  if (layout !== 'weighted') {
+    return;
+  }
+  const records = [
+    ...leaves.map((leaf) => ({ leaf, target: `chain ${leaf.chainId}` })),
+    { leaf: plan.fallback, target: 'fallback' },
+  ];
+  let complete = root !== null;
+  const leafHashes = [];
+  const weights = [];
+  for (const { leaf, target } of records) {
+    if (!leaf || typeof leaf !== 'object' || leaf.weight === undefined) {
+      issues.push({ target, field: 'weight', message: 'weighted plans record a weight on every leaf' });
+      complete = false;
+      continue;
+    }
+    const weight = tryParse(issues, target, 'weight', () => normalizeWeight(leaf.weight, target));
+    const leafHash = tryParse(issues, target, 'leafHash', () =>
+      hexToBuffer(leaf.leafHash, { expectedLength: 32, fieldName: 'leafHash' })
+    );
+    if (weight === null || leafHash === null) {
+      complete = false;
+      continue;
+    }
+    weights.push(weight);
+    leafHashes.push(leafHash);
+  }
+  if (!complete) {
+    return;
+  }
+  const rebuilt = buildWeightedMerkleTree(leafHashes, weights).root;
+  if (!rebuilt.equals(root)) {
+    issues.push({
+      target: 'plan',
+      field: 'layout',
+      message: `weighted tree rebuilt from the recorded weights resolves to ${bufferToHex(rebuilt)} instead of root ${bufferToHex(root)}`,
+    });
+  }
+}
+
+/**
+ * Re-check a built plan (the output of `buildPlanFromSpec` / `CREATE4-plan build`) against its
+ * root. Every leaf and the fallback have their init code hash, prefix and leaf hash recomputed
+ * and their proof walked with the same commutative hashing as the contract; the `nextChainId`
+ * links must form the sorted ring produced by the builder. Weighted plans must rebuild their root
+ * from the recorded leaf weights.
+ *
+ * @param {object} plan Built plan JSON.
+ * @returns {{valid: boolean, root: string|null, leafCount: number, issues: Array<{target: string, field: string, message: string}>}}
+ */
+function verifyPlan(plan) {
+  const issues = [];
+  if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+    throw new Error('Plan must be a JSON object');
+  }
+
+  const root = tryParse(issues, 'plan', 'root', () =>
+    hexToBuffer(plan.root, { expectedLength: 32, fieldName: 'root' })
+  );
+  const leaves = Array.isArray(plan.leaves) ? plan.leaves : [];
+  if (leaves.length === 0) {
+    issues.push({ target: 'plan', field: 'leaves', message: 'plan must contain at least one chain leaf' });
+  }
+
+  leaves.forEach((leaf, idx) => {
+    const target = leaf && leaf.chainId !== undefined ? `chain ${leaf.chainId}` : `leaf ${idx}`;
+    verifyLeaf(issues, root, leaf, target, false);
+  });
+  verifyLeaf(issues, root, plan.fallback, 'fallback', true);
+  verifyRing(issues, leaves.filter((leaf) => leaf && typeof leaf === 'object'));
+  verifyLayout(issues, plan, leaves.filter((leaf) => leaf && typeof leaf === 'object'), root);
+
+  return {
+    valid: issues.length === 0,
+    root: root ? bufferToHex(root) : null,
+    leafCount: leaves.length,
+    issues,
+  };
+}
+
+module.exports = {
+  verifyPlan,
+};
@@ -1,8 +1,22 @@
 const fs = require('fs');
 const path = require('path');
-const { normalizeChainId, chainIdToJsonValue, normalizeBytecode, looksLikeHex, sortChainsById } = require('./utils');
+const {
+  normalizeChainId,
+  chainIdToJsonValue,
+  normalizeBytecode,
+  hexToBuffer,
+  looksLikeHex,
+  sortChainsById,
+  listEntryChainIds,
+  describeChainEntry,
+} = require('./utils');
+const { CONSTRUCTOR_SOURCE_FIELDS, hasConstructorSource } = require('./artifacts');
+const { normalizeLayout, normalizeWeight } = require('./deploymentPlan');
+const { contractLabel, listArtifactContracts, selectArtifactContract } = require('./artifactImport');
 
 const DEFAULT_WIP_FILENAME = 'deployment-plan.edit.json';
+// Deployed (runtime) code is never valid init code, so the generic JSON search skips it.
+const RUNTIME_BYTECODE_KEYS = ['deployedBytecode', 'runtimeBytecode', 'deployedCode'];
 
 function resolvePlanPath(targetPath) {
   return path.resolve(targetPath || DEFAULT_WIP_FILENAME);
@@ -38,36 +52,105 @@ function loadPlan(filePath) {
   if (hasOwn(parsed, 'salt')) {
     plan.salt = parsed.salt;
   }
-  plan.chains = Array.isArray(parsed.chains) ? parsed.chains.map(normalizeChainEntry) : [];
+  if (hasOwn(parsed, 'factories')) {
+    plan.factories = parsed.factories;
+  }
+  if (hasOwn(parsed, 'expectedAddress')) {
+    plan.expectedAddress = parsed.expectedAddress;
+  }
+  if (hasOwn(parsed, 'groups')) {
+    plan.groups = normalizeGroups(parsed.groups);
+  }
+  if (hasOwn(parsed, 'layout')) {
+    plan.layout = normalizeLayout(parsed.layout);
+  }
+  plan.chains = Array.isArray(parsed.chains)
+    ? parsed.chains.map((entry, index) => normalizeChainEntry(entry, index, plan.groups))
+    : [];
   if (hasOwn(parsed, 'fallbackInitCode') && parsed.fallbackInitCode) {
     plan.fallbackInitCode = normalizeBytecode(parsed.fallbackInitCode);
   } else {
     plan.fallbackInitCode = null;
   }
+  if (hasOwn(parsed, 'fallbackInitCodeHash') && parsed.fallbackInitCodeHash) {
+    plan.fallbackInitCodeHash = normalizeInitCodeHash(parsed.fallbackInitCodeHash, 'fallbackInitCodeHash');
+  }
+  if (hasConstructorSource(parsed.fallback)) {
+    plan.fallback = copyConstructorSource(parsed.fallback, {});
+  }
+  if (hasOwn(parsed, 'fallbackWeight')) {
+    plan.fallbackWeight = normalizeWeight(parsed.fallbackWeight, 'fallback');
+  }
   return plan;
 }
 
-function normalizeChainEntry(entry, index) {
+function copyConstructorSource(source, target) {
+  CONSTRUCTOR_SOURCE_FIELDS.forEach((field) => {
+    if (hasOwn(source, field)) {
+      target[field] = source[field];
+    }
+  });
+  return target;
+}
+
+// Chain ids are stored in canonical decimal form; a `group` reference is kept as written and
+// checked against the plan's groups when the plan is loaded.
+function copyChainSelector(entry, target) {
+  if (hasOwn(entry, 'chainIds')) {
+    target.chainIds = entry.chainIds.map((chainId) => chainIdToJsonValue(chainIdToBigInt(chainId)));
+  } else if (hasOwn(entry, 'group')) {
+    target.group = entry.group;
+  } else {
+    target.chainId = chainIdToJsonValue(chainIdToBigInt(entry.chainId));
+  }
+  return target;
+}
+
+function normalizeChainEntry(entry, index, groups) {
   if (!entry || typeof entry !== 'object') {
     throw new Error(`Chain entry at index ${index} is invalid`);
   }
-  if (!hasOwn(entry, 'chainId')) {
+  if (!hasOwn(entry, 'chainId') && !hasOwn(entry, 'chainIds') && !hasOwn(entry, 'group')) {
     throw new Error(`Chain entry at index ${index} is missing chainId`);
   }
-  if (!entry.initCode) {
-    throw new Error(`Chain entry ${String(entry.chainId)} is missing initCode`);
+  listEntryChainIds(entry, groups, `Chain entry at index ${index}`);
+  if (!entry.initCode && !entry.initCodeHash && !hasConstructorSource(entry)) {
+    throw new Error(`Chain entry ${describeChainEntry(entry).replace(/^chains? /, '')} is missing initCode`);
+  }
+  const normalized = copyChainSelector(entry, {});
+  if (entry.initCode) {
+    normalized.initCode = normalizeBytecode(entry.initCode);
+  }
+  if (entry.initCodeHash) {
+    normalized.initCodeHash = normalizeInitCodeHash(
+      entry.initCodeHash,
+      `initCodeHash for ${describeChainEntry(entry)}`
+    );
   }
-  const chainId = chainIdToBigInt(entry.chainId, `chain id for entry ${index}`);
-  const normalized = {
-    chainId: chainIdToJsonValue(chainId),
-    initCode: normalizeBytecode(entry.initCode),
-  };
   if (hasOwn(entry, 'label')) {
     normalized.label = entry.label;
   }
+  if (hasOwn(entry, 'weight')) {
+    normalized.weight = normalizeWeight(entry.weight, describeChainEntry(entry));
+  }
+  return copyConstructorSource(entry, normalized);
+}
+
+function normalizeGroups(groups) {
+  if (!groups || typeof groups !== 'object' || Array.isArray(groups)) {
+    throw new Error('groups must be an object mapping group names to chain id arrays');
+  }
+  const normalized = {};
+  for (const [name, chainIds] of Object.entries(groups)) {
+    normalized[name] = listEntryChainIds({ chainIds }, null, `chain group "${name}"`).map(chainIdToJsonValue);
+  }
   return normalized;
 }
 
+function normalizeInitCodeHash(value, fieldName) {
+  return '0x' + hexToBuffer(value, { expectedLength: 32, fieldName }).toString('hex');
+}
+
 function savePlan(filePath, plan) {
   const resolved = resolvePlanPath(filePath);
   const dir = path.dirname(resolved);
@@ -83,8 +166,18 @@ function savePlan(filePath, plan) {
  *   description?: string,
  *   version?: string,
  *   salt?: string,
- *   chains: Array<{ chainId: string, initCode: string, label?: string }>,
- *   fallbackInitCode?: string | null
+ *   factories?: Array<string>,
+ *   expectedAddress?: string | { [factory: string]: string },
+ *   groups?: { [name: string]: Array<string> },
+ *   layout?: 'balanced' | 'weighted',
+ *   chains: Array<{ chainId?: string, chainIds?: Array<string>, group?: string, initCode?: string, initCodeHash?: string, label?: string,
+ *                   weight?: number, artifact?: string, contract?: string, bytecode?: string, libraries?: object,
+ *                   abi?: Array, constructorArgs?: Array }>,
+ *   fallbackInitCode?: string | null,
+ *   fallbackInitCodeHash?: string,
+ *   fallback?: { artifact?: string, contract?: string, bytecode?: string, libraries?: object, abi?: Array,
+ *                constructorArgs?: Array },
+ *   fallbackWeight?: number
  * }
  */
 function planToJson(plan) {
@@ -101,28 +194,60 @@ function planToJson(plan) {
   if (hasOwn(plan, 'salt')) {
     canonical.salt = plan.salt;
   }
-  canonical.chains = sortChainsForWrite(plan.chains || []);
+  if (hasOwn(plan, 'factories')) {
+    canonical.factories = plan.factories;
+  }
+  if (hasOwn(plan, 'expectedAddress')) {
+    canonical.expectedAddress = plan.expectedAddress;
+  }
+  if (plan.groups) {
+    canonical.groups = plan.groups;
+  }
+  if (plan.layout) {
+    canonical.layout = plan.layout;
+  }
+  canonical.chains = sortChainsForWrite(plan.chains || [], plan.groups);
   if (hasOwn(plan, 'fallbackInitCode')) {
     canonical.fallbackInitCode = plan.fallbackInitCode;
   } else {
     canonical.fallbackInitCode = null;
   }
+  if (plan.fallbackInitCodeHash) {
+    canonical.fallbackInitCodeHash = plan.fallbackInitCodeHash;
+  }
+  if (hasConstructorSource(plan.fallback)) {
+    canonical.fallback = copyConstructorSource(plan.fallback, {});
+  }
+  if (hasOwn(plan, 'fallbackWeight')) {
+    canonical.fallbackWeight = plan.fallbackWeight;
+  }
   return canonical;
 }
 
-function sortChainsForWrite(chains) {
+// Entries are ordered by the lowest chain id they cover.
+function sortChainsForWrite(chains, groups) {
   const copy = (chains || []).map((chain) => {
-    const normalized = {
-      chainId: chainIdToJsonValue(chainIdToBigInt(chain.chainId)),
-      initCode: chain.initCode,
-    };
+    const normalized = copyChainSelector(chain, {});
+    if (chain.initCode) {
+      normalized.initCode = chain.initCode;
+    }
+    if (chain.initCodeHash) {
+      normalized.initCodeHash = chain.initCodeHash;
+    }
     if (hasOwn(chain, 'label')) {
       normalized.label = chain.label;
     }
-    return normalized;
+    if (hasOwn(chain, 'weight')) {
+      normalized.weight = chain.weight;
+    }
+    return copyConstructorSource(chain, normalized);
   });
 
-  return sortChainsById(copy);
+  return sortChainsById(copy, (entry) => firstChainId(entry, groups));
+}
+
+function firstChainId(entry, groups) {
+  return listEntryChainIds(entry, groups).reduce((min, chainId) => (chainId < min ? chainId : min));
 }
 
 function chainIdToBigInt(value, fieldName = 'chain id') {
@@ -137,12 +262,15 @@ function parseChainIdInput(raw) {
 }
 
 /**
- * Attempt to locate bytecode within the provided payload by:
- *  1. Inspecting structured JSON fields (deployedBytecode, bytecode, initCode, etc.)
- *  2. Falling back to the longest explicit 0x-prefixed literal
- *  3. Finally treating the entire payload as hex if it looks like one
+ * Attempt to locate creation bytecode within the provided payload by:
+ *  1. Importing Foundry, Hardhat or solc standard-JSON output (see artifactImport.js), selecting
+ *     `contractName` when the output holds several contracts
+ *  2. Inspecting other structured JSON fields (bytecode, initCode, etc.), never runtime bytecode;
+ *     JSON objects without such a field are refused
+ *  3. For non-JSON input, falling back to the longest explicit 0x-prefixed literal
+ *  4. Finally treating the entire payload as hex if it looks like one
  */
-function extractBytecodeFromInput(raw) {
+function extractBytecodeFromInput(raw, { contractName } = {}) {
   if (typeof raw !== 'string') {
     throw new Error('input data must be a string');
   }
@@ -151,14 +279,38 @@ function extractBytecodeFromInput(raw) {
     throw new Error('no input data received');
   }
 
-  let candidate = null;
+  let parsed;
   try {
-    const parsed = JSON.parse(trimmed);
-    candidate = extractBytecodeFromJson(parsed);
+    parsed = JSON.parse(trimmed);
   } catch (err) {
     // not JSON, fallback to raw parsing
   }
 
+  const contracts = parsed === undefined ? null : listArtifactContracts(parsed);
+  if (contracts) {
+    const contract = selectArtifactContract(contracts, { contractName, context: 'Input' });
+    if (contract.bytecode.includes('__')) {
+      throw new Error(
+        `${contractLabel(contract)} needs library linking; add it with --artifact and list "libraries" in the entry`
+      );
+    }
+    return normalizeBytecode(contract.bytecode, `${contractLabel(contract)} creation bytecode`);
+  }
+  if (contractName) {
+    throw new Error('--contract requires Foundry, Hardhat or solc standard-JSON input');
+  }
+
+  let candidate = parsed === undefined ? null : extractBytecodeFromJson(parsed);
+  if (!candidate && parsed !== null && typeof parsed === 'object') {
+    // Scanning JSON for any hex literal would pick up runtime bytecode, so structured input must
+    // name its creation bytecode.
+    const found = listHexFields(parsed);
+    const hint = found.length > 0 ? `; hex values found at ${found.join(', ')}` : '';
+    throw new Error(
+      'JSON input has no creation bytecode (bytecode, bytecode.object, initCode or object); ' +
+        `runtime bytecode (${RUNTIME_BYTECODE_KEYS.join(', ')}) is not accepted${hint}`
+    );
+  }
   if (!candidate) {
     const hexMatches = trimmed.match(/0x[0-9a-fA-F]+/g);
     if (hexMatches && hexMatches.length > 0) {
@@ -197,10 +349,8 @@ function extractBytecodeFromJson(value) {
   }
   if (typeof value === 'object') {
     const preferredKeys = [
-      ['deployedBytecode', 'object'],
       ['bytecode', 'object'],
       ['initCode', null],
-      ['runtimeBytecode', null],
       ['object', null],
     ];
 
@@ -220,6 +370,9 @@ function extractBytecodeFromJson(value) {
     }
 
     for (const key of Object.keys(value)) {
+      if (RUNTIME_BYTECODE_KEYS.includes(key)) {
+        continue;
+      }
       const found = extractBytecodeFromJson(value[key]);
       if (found) {
         return found;
@@ -229,6 +382,20 @@ function extractBytecodeFromJson(value) {
   return null;
 }
 
+// JSON paths of every hex string in a payload, named in extraction errors.
+function listHexFields(value, prefix = '') {
+  if (typeof value === 'string') {
+    return looksLikeHex(value) && prefix ? [prefix] : [];
+  }
+  if (value === null || typeof value !== 'object') {
+    return [];
+  }
+  return Object.keys(value).flatMap((key) => {
+    const field = Array.isArray(value) ? `${prefix}[${key}]` : prefix ? `${prefix}.${key}` : key;
+    return listHexFields(value[key], field);
+  });
+}
+
 module.exports = {
   DEFAULT_WIP_FILENAME,
   resolvePlanPath,
@@ -239,4 +406,5 @@ module.exports = {
   chainIdToJsonValue,
   normalizeBytecode,
   extractBytecodeFromInput,
+  firstChainId,
 };
@@ -1,28 +1,70 @@
 const assert = require('assert');
+const { createCipheriv, createHash, pbkdf2Sync, randomBytes } = require('crypto');
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
 const { execFileSync, spawnSync } = require('child_process');
 const {
   buildPlanFromSpec,
+  redactSpec,
   computePlanDeployment,
   getChainProof,
+  resolveChainDeployment,
+  getDeployCalldata,
+  deployPlan,
+  rolloutPlan,
+  getPlanStatus,
+  buildProject,
+  createJsonRpcProvider,
+  getChainRegistry,
+  registerChains,
+  resetChainRegistry,
+  verifyPlan,
+  auditPlan,
+  checkEvmCompatibility,
+  inspectPlan,
+  inspectInitCode,
+  estimateDeploymentGas,
+  diffDeploymentPlans,
+  createPlanLockfile,
+  checkPlanLockfile,
+  exportProofBundles,
+  CANONICAL_FACTORY_ADDRESS,
+  CANONICAL_FACTORY_SALT,
+  CANONICAL_FACTORY_INIT_CODE,
+  DETERMINISTIC_DEPLOYER,
+  DETERMINISTIC_DEPLOYER_TRANSACTION,
+  deriveFactoryAddress,
+  getFactoryDeployCalldata,
+  buildFactoryDeployTransaction,
+  getFactoryStatus,
   deriveDeploymentSalt,
   isChainIdInGap,
   describeGapRange,
 } = require('../src');
 const { getSaltHex, normalizeSaltHex } = require('../src/salt');
-const { sortChainsById, normalizeBytecode } = require('../src/utils');
-const { parseChainIdInput } = require('../src/wipBuilder');
+const { sortChainsById, normalizeBytecode, hexToBuffer } = require('../src/utils');
+const { parseChainIdInput, extractBytecodeFromInput } = require('../src/wipBuilder');
+const { parseVanityPattern, searchSaltRange } = require('../src/vanity');
+const { decodeRlp, encodeRlp } = require('../src/rlp');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const { normalizeNetworks } = require('../src/rollout');
+const { keccak256 } = require('../src/deploymentPlan');
+const { toChecksumAddress } = require('../src/create3');
+const { encodeParameters } = require('../src/abi');
+const { disassemble, scanHardforkOpcodes } = require('../src/evm');
 
 const CLI_ROOT = path.resolve(__dirname, '..');
 const CLI_BIN = path.join(CLI_ROOT, 'bin', 'CREATE4-plan.js');
 const ZERO_SALT = '0x' + '00'.repeat(32);
 
+// stderr (registry warnings, progress notes) is captured rather than inherited so it does not bury
+// real failures; execFileSync puts it in the error message when a command fails.
 function runCli(args, { input, env } = {}) {
   return execFileSync('node', [CLI_BIN, ...args], {
     cwd: CLI_ROOT,
     encoding: 'utf8',
+    stdio: 'pipe',
     input: input ?? undefined,
     env: env ? { ...process.env, ...env } : process.env,
   });
@@ -50,7 +92,73 @@ function writeTempFile(dir, filename, contents) {
   return fullPath;
 }
 
-function main() {
+function createStubProvider({
+  chainId,
+  codeAddress,
+  receiptStatus = '0x1',
+  initialCode = {},
+  initialReceipts = {},
+  knownTransactions = {},
+  runtimeCode = '0x6001',
+}) {
+  const code = new Map(Object.entries(initialCode));
+  const sent = [];
+  const receipts = new Map(Object.entries(initialReceipts));
+  let pendingPolls = 1;
+  const provider = {
+    sent,
+    async request({ method, params }) {
+      if (method === 'eth_chainId') {
+        return '0x' + chainId.toString(16);
+      }
+      if (method === 'eth_accounts') {
+        return ['0x00000000000000000000000000000000000000aa'];
+      }
+      if (method === 'eth_getCode') {
+        return code.get(params[0].toLowerCase()) || '0x';
+      }
+      if (method === 'eth_sendTransaction' || method === 'eth_sendRawTransaction') {
+        sent.push(params[0]);
+        const hash = '0x' + String(sent.length).padStart(64, '0');
+        receipts.set(hash, { status: receiptStatus, blockNumber: '0x2a', transactionHash: hash });
+        if (receiptStatus === '0x1') {
+          code.set(codeAddress, '0x6001');
+        }
+        return hash;
+      }
+      if (method === 'eth_getTransactionByHash') {
+        return knownTransactions[params[0]] || null;
+      }
+      if (method === 'eth_call') {
+        return typeof runtimeCode === 'function' ? runtimeCode(params) : runtimeCode;
+      }
+      if (method === 'eth_getTransactionCount') {
+        return '0x3';
+      }
+      if (method === 'eth_estimateGas') {
+        return '0x186a0';
+      }
+      if (method === 'eth_getBlockByNumber') {
+        return { number: '0x2a', baseFeePerGas: '0x3b9aca00' };
+      }
+      if (method === 'eth_maxPriorityFeePerGas') {
+        return '0x77359400';
+      }
+      if (method === 'eth_getTransactionReceipt') {
+        // Report the transaction as pending once so the polling loop is exercised.
+        if (pendingPolls > 0) {
+          pendingPolls -= 1;
+          return null;
+        }
+        return receipts.get(params[0]) || null;
+      }
+      throw new Error(`unexpected RPC method ${method}`);
+    },
+  };
+  return provider;
+}
+
+async function main() {
   const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'CREATE4-cli-smoke-'));
   try {
     expectCliFailure(['build'], 'Missing required --input parameter');
@@ -109,6 +217,202 @@ function main() {
     assert.strictEqual(proofEntry.root, buildOutput.root, 'library proof should reuse plan root');
     assert(Array.isArray(proofEntry.proof) && proofEntry.proof.length > 0, 'proof should contain sibling hashes');
 
+    const listedResolution = resolveChainDeployment(sampleSpec, 1);
+    assert.strictEqual(listedResolution.variant, 'chain', 'listed chains should resolve to their own leaf');
+    assert.strictEqual(listedResolution.leafHash, buildOutput.leaves[0].leafHash, 'resolved leaf should match plan');
+    const fallbackResolution = resolveChainDeployment(sampleSpec, 3);
+    assert.strictEqual(fallbackResolution.variant, 'fallback', 'unlisted chains should resolve to the fallback');
+    assert.strictEqual(fallbackResolution.gapChainId, '1', 'chain 3 should use the gap leaf of chain 1');
+    assert.strictEqual(
+      fallbackResolution.gapLeafHash,
+      buildOutput.leaves[0].initCodeHash,
+      'gap leaf hash should carry the gap leaf init code hash expected by deployFallback'
+    );
+    assert.deepStrictEqual(fallbackResolution.proof, buildOutput.fallback.proof, 'fallback proof should match plan');
+    const wrapResolution = JSON.parse(runCli(['resolve', '--input', specFile, '--chain', '1000']));
+    assert.strictEqual(wrapResolution.gapChainId, '5', 'chains above the highest entry should use the wrap leaf');
+    expectCliFailure(['resolve', '--input', specFile], 'resolve command requires --chain');
+
+    const deployCall = getDeployCalldata(sampleSpec, 5);
+    assert.strictEqual(deployCall.function, 'deploy', 'listed chains should use deploy');
+    assert(deployCall.calldata.startsWith('0x9e0fae72'), 'deploy calldata should start with the deploy selector');
+    const fallbackCall = getDeployCalldata(sampleSpec, 137);
+    assert.strictEqual(fallbackCall.function, 'deployFallback', 'unlisted chains should use deployFallback');
+    assert(
+      fallbackCall.calldata.startsWith('0x8a056fe6'),
+      'fallback calldata should start with the deployFallback selector'
+    );
+    const rawCalldata = runCli(['calldata', '--input', specFile, '--chain', '137', '--raw']).trim();
+    assert.strictEqual(rawCalldata, fallbackCall.calldata, 'CLI raw calldata should match the library output');
+    expectCliFailure(['calldata', '--input', specFile], 'calldata command requires --chain');
+
+    assert.strictEqual(verifyPlan(buildOutput).valid, true, 'freshly built plans should verify');
+    const builtPlanFile = writeTempFile(tmpDir, 'built-plan.json', JSON.stringify(buildOutput));
+    assert(runCli(['verify', '--plan', builtPlanFile]).includes('Plan OK'), 'verify should accept built plans');
+    const tamperedPlan = JSON.parse(JSON.stringify(buildOutput));
+    tamperedPlan.leaves[1].initCode = '0x60026002';
+    const tamperedReport = verifyPlan(tamperedPlan);
+    assert.strictEqual(tamperedReport.valid, false, 'tampered init code should fail verification');
+    assert.strictEqual(tamperedReport.issues[0].target, 'chain 5', 'verification should pinpoint the tampered leaf');
+    assert.strictEqual(tamperedReport.issues[0].field, 'initCodeHash', 'stale init code hash should be reported');
+    const brokenRingPlan = JSON.parse(JSON.stringify(buildOutput));
+    brokenRingPlan.leaves[0].nextChainId = '7';
+    assert(
+      verifyPlan(brokenRingPlan).issues.some((issue) => issue.field === 'nextChainId'),
+      'broken nextChainId links should be reported'
+    );
+    const tamperedPlanFile = writeTempFile(tmpDir, 'tampered-plan.json', JSON.stringify(tamperedPlan));
+    expectCliFailure(['verify', '--plan', tamperedPlanFile], '[chain 5] initCodeHash');
+
+    const sampleAudit = auditPlan(sampleSpec);
+    assert.strictEqual(sampleAudit.ok, true, 'sample spec should not produce audit errors');
+    assert(
+      sampleAudit.findings.some((finding) => finding.code === 'odd-layer-self-pairing'),
+      'three-leaf trees should report odd-layer self-pairing'
+    );
+    const overlappingPlan = JSON.parse(JSON.stringify(buildOutput));
+    overlappingPlan.leaves[0].nextChainId = '10';
+    const overlapAudit = auditPlan(overlappingPlan);
+    const truncatedHashPlan = JSON.parse(JSON.stringify(buildOutput));
+    truncatedHashPlan.leaves[1].initCodeHash = truncatedHashPlan.leaves[1].initCodeHash.slice(0, -2);
+    assert.throws(
+      () => auditPlan(truncatedHashPlan),
+      /chain 5 initCodeHash/,
+      'malformed init code hashes should be rejected'
+    );
+    assert.strictEqual(overlapAudit.ok, false, 'overlapping gaps should be reported as errors');
+    assert.strictEqual(overlapAudit.findings[0].severity, 'error', 'findings should be ranked by severity');
+    assert(
+      overlapAudit.findings.some((finding) => finding.code === 'gap-covers-listed-chain'),
+      'gaps covering listed chains should be reported'
+    );
+    const adjacentSpec = {
+      chains: [
+        { chainId: 0, initCode: '0x6001' },
+        { chainId: 1, initCode: '0x6000' },
+        { chainId: '18446744073709551615', initCode: '0x6002' },
+      ],
+      fallbackInitCode: '0x6000',
+    };
+    const adjacentSpecFile = writeTempFile(tmpDir, 'adjacent-spec.json', JSON.stringify(adjacentSpec));
+    const adjacentAudit = JSON.parse(runCli(['audit', '--input', adjacentSpecFile, '--json']));
+    const adjacentCodes = adjacentAudit.findings.map((finding) => finding.code);
+    assert(adjacentCodes.includes('adjacent-chain-ids'), 'adjacent chain ids should be reported');
+    assert(adjacentCodes.includes('fallback-identical-init-code'), 'leaves matching the fallback should be reported');
+    const overlappingPlanFile = writeTempFile(tmpDir, 'overlapping-plan.json', JSON.stringify(overlappingPlan));
+    expectCliFailure(['audit', '--input', overlappingPlanFile], 'plan audit found errors');
+
+    const redactedForOne = redactSpec(sampleSpec, 1);
+    assert.strictEqual(redactedForOne.chains.find((entry) => entry.chainId === 5).initCode, undefined);
+    assert.strictEqual(redactedForOne.chains.find((entry) => entry.chainId === 1).initCode, '0x60016001');
+    assert.strictEqual(redactedForOne.fallbackInitCode, undefined, 'listed chains should not receive fallback code');
+    const redactedPlan = buildPlanFromSpec(redactedForOne);
+    assert.strictEqual(redactedPlan.root, buildOutput.root, 'redacted specs should build the same root');
+    assert.strictEqual(redactedPlan.leaves[1].initCode, undefined, 'hash-only leaves should omit init code');
+    assert.strictEqual(
+      getDeployCalldata(redactedForOne, 1).calldata,
+      getDeployCalldata(sampleSpec, 1).calldata,
+      'redacted specs should still encode calldata for the kept chain'
+    );
+    assert.throws(() => getDeployCalldata(redactedForOne, 137), /only carries its hash/);
+    const redactedFile = writeTempFile(
+      tmpDir,
+      'redacted-spec.json',
+      runCli(['redact', '--input', specFile, '--chain', '137'])
+    );
+    const redactedForFallback = JSON.parse(fs.readFileSync(redactedFile, 'utf8'));
+    assert(
+      redactedForFallback.chains.every((entry) => !entry.initCode && entry.initCodeHash),
+      'unlisted chains should only receive chain hashes'
+    );
+    assert.strictEqual(redactedForFallback.fallbackInitCode, '0x6000600055', 'unlisted chains keep the fallback code');
+    const redactedAddress = JSON.parse(
+      runCli(['address', '--input', redactedFile, '--factory', '0x1111111111111111111111111111111111111111'])
+    );
+    assert.strictEqual(redactedAddress.address, addressOutput.address, 'redacted specs should keep the address');
+    assert.throws(
+      () =>
+        buildPlanFromSpec({
+          chains: [{ chainId: 1, initCode: '0x6000', initCodeHash: '0x' + '00'.repeat(32) }],
+          fallbackInitCode: '0x6001',
+        }),
+      /does not match/,
+      'conflicting init code and hash should be rejected'
+    );
+
+    const txKey = '0x' + '00'.repeat(31) + '01';
+    const txArgs = [
+      'tx',
+      '--input',
+      specFile,
+      '--chain',
+      '137',
+      '--factory',
+      '0x1111111111111111111111111111111111111111',
+      '--nonce',
+      '3',
+      '--gas-limit',
+      '400000',
+    ];
+    const eip1559Tx = JSON.parse(
+      runCli([
+        ...txArgs,
+        '--max-fee-per-gas',
+        '30gwei',
+        '--max-priority-fee-per-gas',
+        '1.5gwei',
+        '--private-key',
+        txKey,
+      ])
+    );
+    assert.strictEqual(eip1559Tx.function, 'deployFallback', 'tx should target the resolved entrypoint');
+    assert.strictEqual(eip1559Tx.transaction.maxFeePerGas, '30000000000', 'fee units should be converted to wei');
+    assert(eip1559Tx.unsignedTransaction.startsWith('0x02'), 'EIP-1559 payloads should be typed');
+    assert.strictEqual(eip1559Tx.from, '0x7e5f4552091a69125d5dfcb7b8c2659029395bdf', 'signer address mismatch');
+    const signedFields = decodeRlp(Buffer.from(eip1559Tx.rawTransaction.slice(4), 'hex'));
+    assert.strictEqual(signedFields.length, 12, 'signed EIP-1559 transactions should carry yParity, r and s');
+    assert.strictEqual(
+      '0x' + signedFields[7].toString('hex'),
+      fallbackCall.calldata,
+      'transaction data should be the deploy calldata'
+    );
+    const legacyTx = JSON.parse(runCli([...txArgs, '--gas-price', '20gwei']));
+    assert.strictEqual(legacyTx.transaction.type, 'legacy', '--gas-price should build a legacy transaction');
+    assert.strictEqual(legacyTx.rawTransaction, undefined, 'transactions are unsigned without a key');
+    const legacyFields = decodeRlp(Buffer.from(legacyTx.unsignedTransaction.slice(2), 'hex'));
+    assert.strictEqual(legacyFields[6].toString('hex'), '89', 'legacy signing payload should embed the EIP-155 chain id');
+    expectCliFailure([...txArgs, '--max-fee-per-gas', '1gwei'], 'require both max fee per gas');
+
+    const keystoreSalt = randomBytes(32);
+    const keystoreIv = randomBytes(16);
+    const derivedKey = pbkdf2Sync('hunter2', keystoreSalt, 1, 32, 'sha256');
+    const cipher = createCipheriv('aes-128-ctr', derivedKey.subarray(0, 16), keystoreIv);
+    const ciphertext = Buffer.concat([cipher.update(Buffer.from(txKey.slice(2), 'hex')), cipher.final()]);
+    const keystoreFile = writeTempFile(
+      tmpDir,
+      'keystore.json',
+      JSON.stringify({
+        version: 3,
+        crypto: {
+          cipher: 'aes-128-ctr',
+          cipherparams: { iv: keystoreIv.toString('hex') },
+          ciphertext: ciphertext.toString('hex'),
+          kdf: 'pbkdf2',
+          kdfparams: { c: 1, dklen: 32, prf: 'hmac-sha256', salt: keystoreSalt.toString('hex') },
+          mac: keccak256(Buffer.concat([derivedKey.subarray(16, 32), ciphertext])).toString('hex'),
+        },
+      })
+    );
+    const keystoreTx = JSON.parse(
+      runCli([...txArgs, '--gas-price', '20gwei', '--keystore', keystoreFile], {
+        env: { CREATE4_KEYSTORE_PASSWORD: 'hunter2' },
+      })
+    );
+    assert.strictEqual(keystoreTx.from, eip1559Tx.from, 'keystore signing should use the decrypted key');
+    expectCliFailure([...txArgs, '--gas-price', '20gwei', '--keystore', keystoreFile], 'MAC mismatch', {
+      env: { CREATE4_KEYSTORE_PASSWORD: 'wrong' },
+    });
+
     const hugeChainId = (1n << 63n) + 123n;
     const hugeSpec = {
       chains: [
@@ -140,6 +444,530 @@ function main() {
     assert(editView.includes('chainId=111'), 'edit view should list added chain');
     runCli(['edit', 'remove', '--file', editPlan, '--chain', '111']);
 
+    runCli(['edit', 'add', '--file', editPlan, '--chain', 'Arbitrum One', '--code', '0x6000']);
+    const namedEditView = runCli(['edit', 'view', '--file', editPlan]);
+    assert(namedEditView.includes('chainId=42161 (arbitrum-one)'), 'edit view should print chain names');
+    expectCliFailure(
+      ['edit', 'add', '--file', editPlan, '--chain', 'polgon', '--code', '0x6000'],
+      'polgon is not a number or a known chain name; did you mean polygon?'
+    );
+    const unknownChainArgs = ['edit', 'add', '--file', editPlan, '--chain', '4242', '--code', '0x6000'];
+    const unknownChainAdd = spawnSync('node', [CLI_BIN, ...unknownChainArgs], { encoding: 'utf8' });
+    assert.strictEqual(unknownChainAdd.status, 0, 'unknown chain ids should still be accepted');
+    assert(unknownChainAdd.stderr.includes('chain id 4242 is not in the chain registry'), 'unknown ids should warn');
+    const namedSpec = { chains: [{ chainId: 'polygon', initCode: '0x6001' }], fallbackInitCode: '0x6002' };
+    assert.strictEqual(buildPlanFromSpec(namedSpec).leaves[0].chainId, '137', 'spec entries should accept names');
+    assert.strictEqual(resolveChainDeployment(namedSpec, 'matic').variant, 'chain', 'aliases should resolve');
+    const registryConfig = { devnet: { chainId: 4242, testnet: true } };
+    const registryFile = writeTempFile(tmpDir, 'chains.json', JSON.stringify(registryConfig));
+    const namedSpecFile = writeTempFile(
+      tmpDir,
+      'named-spec.json',
+      JSON.stringify({ chains: [{ chainId: 'devnet', initCode: '0x6001' }], fallbackInitCode: '0x6002' })
+    );
+    const registryView = runCli(['view', '--input', namedSpecFile], { env: { CREATE4_CHAINS: registryFile } });
+    assert(registryView.includes('chainId=4242 (devnet, testnet)'), 'CREATE4_CHAINS should extend the registry');
+    registerChains([{ name: 'devnet', chainId: 4243 }]);
+    try {
+      const registeredPlan = buildPlanFromSpec(JSON.parse(fs.readFileSync(namedSpecFile, 'utf8')));
+      assert.strictEqual(registeredPlan.leaves[0].chainId, '4243', 'registerChains should override names');
+      assert(getChainRegistry().some((entry) => entry.name === 'devnet'), 'registered chains should be listed');
+    } finally {
+      resetChainRegistry();
+    }
+    assert.throws(
+      () => registerChains([{ name: 'base', chainId: 1 }]),
+      /binds built-in chain name base \(chain 8453\) to chain 1/,
+      'built-in names should not be remappable'
+    );
+    assert.throws(() => registerChains({ devnet: { chainId: 4244, aliases: ['matic'] } }), /built-in chain name matic/);
+    const remappingRegistry = writeTempFile(tmpDir, 'remap-chains.json', JSON.stringify({ polygon: 1 }));
+    expectCliFailure(['view', '--input', namedSpecFile], 'binds built-in chain name polygon (chain 137) to chain 1', {
+      env: { CREATE4_CHAINS: remappingRegistry },
+    });
+    registerChains([{ name: 'base-mainnet', chainId: 8453 }]);
+    try {
+      assert.strictEqual(
+        buildPlanFromSpec({ chains: [{ chainId: 'base', initCode: '0x6001' }], fallbackInitCode: '0x6002' }).leaves[0]
+          .chainId,
+        '8453',
+        'renaming a built-in chain should keep its built-in name'
+      );
+    } finally {
+      resetChainRegistry();
+    }
+    process.env.CREATE4_CHAINS = registryFile;
+    try {
+      assert(getChainRegistry().some((entry) => entry.name === 'devnet'), 'CREATE4_CHAINS should be read in-process');
+    } finally {
+      delete process.env.CREATE4_CHAINS;
+    }
+    assert(
+      !getChainRegistry().some((entry) => entry.name === 'devnet'),
+      'the registry should be rebuilt when CREATE4_CHAINS changes'
+    );
+    assert.deepStrictEqual(
+      ['soneium', 'monad', 'apechain', 'etherlink', 'katana', 'b3-sepolia', 'xai-sepolia'].map(
+        (name) => buildPlanFromSpec({ chains: [{ chainId: name, initCode: '0x6001' }], fallbackInitCode: '0x6002' })
+          .leaves[0].chainId
+      ),
+      ['1868', '143', '33139', '42793', '747474', '1993', '37714555429'],
+      'every chain the factory is deployed on should be in the registry'
+    );
+
+    const groupedSpec = {
+      groups: { cancun: [1, 'base'] },
+      chains: [
+        { group: 'cancun', initCode: '0x6001', label: 'cancun' },
+        { chainIds: [10, 137], initCode: '0x6002' },
+      ],
+      fallbackInitCode: '0x6003',
+    };
+    const groupedPlan = buildPlanFromSpec(groupedSpec);
+    assert.deepStrictEqual(
+      groupedPlan.leaves.map((leaf) => leaf.chainId),
+      ['1', '10', '137', '8453'],
+      'grouped entries should expand to one leaf per chain'
+    );
+    const groupedLeaf = (chainId) => groupedPlan.leaves.find((leaf) => leaf.chainId === chainId);
+    assert.strictEqual(groupedLeaf('1').initCodeHash, groupedLeaf('8453').initCodeHash);
+    assert.strictEqual(groupedLeaf('8453').label, 'cancun', 'grouped leaves should share the entry label');
+    assert.throws(
+      () => buildPlanFromSpec({ ...groupedSpec, chains: [...groupedSpec.chains, { chainId: 10, initCode: '0x6004' }] }),
+      /chain 10 is listed twice/
+    );
+    assert.throws(
+      () => buildPlanFromSpec({ ...groupedSpec, groups: {} }),
+      /unknown chain group "cancun"/
+    );
+    const groupedRedacted = buildPlanFromSpec(redactSpec(groupedSpec, 8453));
+    assert.strictEqual(groupedRedacted.root, groupedPlan.root, 'redacting a grouped entry should keep the root');
+
+    const groupEditPlan = path.join(tmpDir, 'group-plan.edit.json');
+    runCli(['edit', 'create', '--file', groupEditPlan]);
+    runCli(['edit', 'add', '--file', groupEditPlan, '--chains', '1,optimism,8453', '--code', '0x600a']);
+    const storedGroup = JSON.parse(fs.readFileSync(groupEditPlan, 'utf8'));
+    assert.deepStrictEqual(storedGroup.chains, [{ chainIds: ['1', '10', '8453'], initCode: '0x600a' }]);
+    expectCliFailure(
+      ['edit', 'add', '--file', groupEditPlan, '--chain', '10', '--code', '0x600b'],
+      'Chain 10 already exists'
+    );
+    runCli(['edit', 'add', '--file', groupEditPlan, '--chain', '10', '--code', '0x600b', '--replace']);
+    runCli(['edit', 'remove', '--file', groupEditPlan, '--chain', '8453']);
+    const groupView = runCli(['edit', 'view', '--file', groupEditPlan]);
+    assert(groupView.includes('[0] chainId=1 (ethereum) size=2 bytes'), 'shrunk groups should become single entries');
+    assert(groupView.includes('[1] chainId=10 (optimism) size=2 bytes'), 'replaced chains should leave the group');
+
+    const solcMetadata = `a264697066735822${'5f'.repeat(34)}64736f6c6343000818` + '0033';
+    assert.deepStrictEqual(
+      disassemble(`0x605f${solcMetadata}5e`).map((instruction) => instruction.name),
+      ['PUSH1'],
+      'disassembly should skip PUSH data, metadata and trailing constructor args'
+    );
+    assert.strictEqual(scanHardforkOpcodes('0x5f5e00').requires, 'cancun');
+    const evmSpec = {
+      chains: [
+        { chainId: 1, initCode: '0x5f5f' },
+        { chainId: 137, initCode: '0x5e1e' },
+        { chainId: 324, initCode: '0x5c' },
+      ],
+      fallbackInitCode: '0x5f00',
+    };
+    const evmReport = checkEvmCompatibility(evmSpec);
+    assert.strictEqual(evmReport.ok, false);
+    assert.deepStrictEqual(
+      evmReport.findings.map((finding) => `${finding.code} ${finding.target}`),
+      ['unsupported-opcode chain 137', 'fallback-unsupported-opcode fallback', 'unknown-evm-version chain 324']
+    );
+    assert(evmReport.findings[0].message.startsWith('uses CLZ (osaka, pc 0x1) but chain 137 (polygon)'));
+    assert(evmReport.findings[1].message.includes('known chains that would deploy it: fantom (london)'));
+    const relaxedReport = checkEvmCompatibility(evmSpec, {
+      baseline: 'shanghai',
+      evmVersions: { polygon: 'osaka', 324: 'cancun' },
+    });
+    assert.deepStrictEqual(
+      relaxedReport.findings.map((finding) => finding.code),
+      ['fallback-known-chains'],
+      'a raised baseline should still name known chains the fallback breaks'
+    );
+    const evmSpecFile = writeTempFile(tmpDir, 'evm-spec.json', JSON.stringify(evmSpec));
+    expectCliFailure(
+      ['check-evm', '--input', evmSpecFile],
+      'EVM check found opcodes that target chains do not support'
+    );
+    const evmOutput = runCli([
+      'check-evm',
+      '--input',
+      evmSpecFile,
+      '--baseline',
+      'shanghai',
+      '--evm-version',
+      'polygon=osaka,324=cancun',
+    ]);
+    assert(evmOutput.includes('needs osaka (MCOPY, CLZ)'), 'check-evm should list the opcodes each variant needs');
+
+    // Constructor (26 bytes) CODECOPYs 61 bytes of runtime ending in solc metadata; one argument follows.
+    const inspectMetadata = `a2646970667358221220${'ab'.repeat(32)}64736f6c6343000818` + '0033';
+    const inspectRuntime = `60806040525f5ffd${inspectMetadata}`;
+    const inspectCode = `0x6080604052348015600e575f5ffd5b50603d80601a5f395ff3fe${inspectRuntime}${'00'.repeat(31)}2a`;
+    const inspected = inspectInitCode(inspectCode);
+    assert.deepStrictEqual(inspected.constructor, { offset: 0, size: 26 });
+    assert.deepStrictEqual(
+      { offset: inspected.runtime.offset, size: inspected.runtime.size },
+      { offset: 26, size: 61 },
+      'inspect should find the runtime code the constructor returns'
+    );
+    assert.strictEqual(inspected.runtime.hash, '0x' + keccak256(Buffer.from(inspectRuntime, 'hex')).toString('hex'));
+    assert.strictEqual(inspected.constructorArgs.data, '0x' + '00'.repeat(31) + '2a');
+    assert.deepStrictEqual(inspected.metadata[0].decoded, {
+      ipfs: 'QmZtnFaddFtzGNT8BxdHVbQrhSFdq1pWxud5z4fA4kxfDt',
+      solc: '0.8.24',
+    });
+    assert.strictEqual(inspected.requires, 'shanghai');
+    const inspectSpec = {
+      chains: [
+        { chainId: 1, initCode: inspectCode },
+        { chainId: 10, initCodeHash: '0x' + '11'.repeat(32) },
+      ],
+      fallbackInitCode: '0x' + '00'.repeat(49153),
+    };
+    const inspectReports = inspectPlan(inspectSpec);
+    assert.deepStrictEqual(
+      inspectReports.map((report) => [report.target, report.inspected]),
+      [
+        ['chain 1', true],
+        ['chain 10', false],
+        ['fallback', true],
+      ]
+    );
+    assert.strictEqual(inspectPlan(inspectSpec, { chainId: 'base' })[0].target, 'fallback (deployed on chain 8453)');
+    const inspectSpecFile = writeTempFile(tmpDir, 'inspect-spec.json', JSON.stringify(inspectSpec));
+    const inspectOutput = runCli(['inspect', '--input', inspectSpecFile, '--chain', '1', '--disassemble']);
+    assert(
+      inspectOutput.includes('Metadata     : 0x0022-0x0056 (53 bytes) ipfs QmZtnFadd'),
+      'inspect should decode metadata'
+    );
+    assert(inspectOutput.includes('    0x001a  PUSH1 0x80'), 'inspect --disassemble should list instructions');
+    expectCliFailure(['inspect', '--input', inspectSpecFile, '--fallback'], 'EVM code size limits exceeded by: fallback');
+
+    const estimateSpec = { ...inspectSpec, fallbackInitCode: '0x6001' };
+    const estimates = estimateDeploymentGas(estimateSpec);
+    assert.deepStrictEqual(
+      estimates.map((estimate) => [estimate.target, estimate.function, estimate.estimated]),
+      [
+        ['chain 1', 'deploy', true],
+        ['chain 10', 'deploy', false],
+        ['fallback (gap after chain 1)', 'deployFallback', true],
+      ]
+    );
+    const [leafEstimate, , fallbackEstimate] = estimates;
+    const leafCalldata = getDeployCalldata(estimateSpec, 1).calldata;
+    assert.strictEqual(leafEstimate.calldata.size, (leafCalldata.length - 2) / 2);
+    assert.strictEqual(leafEstimate.breakdown.codeDeposit, 61 * 200, 'code deposit should use the runtime size');
+    assert.strictEqual(
+      leafEstimate.gas,
+      Object.values(leafEstimate.breakdown).reduce((sum, gas) => sum + gas, 0),
+      'the estimate should be the sum of its breakdown'
+    );
+    assert.strictEqual(fallbackEstimate.proofSteps, 4, 'fallback deployments walk the gap and fallback proofs');
+    assert(fallbackEstimate.notes.includes('runtime size unknown, code deposit excluded'));
+    const pricedEstimates = estimateDeploymentGas(estimateSpec, {
+      gasPrices: { ethereum: { gasPrice: '12.5', symbol: 'ETH' }, polygon: '100 wei' },
+      constructorGas: 50000,
+    });
+    assert.strictEqual(pricedEstimates[0].gas, leafEstimate.gas + 50000, 'constructor gas should be added');
+    assert.strictEqual(pricedEstimates[0].cost.wei, (BigInt(pricedEstimates[0].gas) * 12500000000n).toString());
+    assert.strictEqual(pricedEstimates[2].target, 'chain 137', 'priced chains should be estimated too');
+    assert.strictEqual(pricedEstimates[2].cost.wei, (BigInt(pricedEstimates[2].gas) * 100n).toString());
+    const estimateSpecFile = writeTempFile(tmpDir, 'estimate-spec.json', JSON.stringify(estimateSpec));
+    const gasPrices = { 1: { gasPrice: 2, symbol: 'ETH' } };
+    const gasPriceFile = writeTempFile(tmpDir, 'gas-prices.json', JSON.stringify(gasPrices));
+    const estimateOutput = runCli(['estimate', '--input', estimateSpecFile, '--gas-prices', gasPriceFile]);
+    assert(
+      estimateOutput.includes(`chain 1 (ethereum): deploy, ${leafEstimate.gas} gas = `) &&
+        estimateOutput.includes(' ETH at 2 gwei'),
+      'estimate should convert gas to native currency'
+    );
+
+    const weightedSpec = {
+      layout: 'weighted',
+      chains: [
+        { chainId: 1, initCode: '0x600a', weight: 100 },
+        { chainIds: [10, 8453], initCode: '0x600b', weight: 20 },
+        { chainId: 137, initCode: '0x600c' },
+        { chainId: 250, initCode: '0x600e' },
+        { chainId: 11155111, initCode: '0x600d', weight: 0.5 },
+      ],
+      fallbackInitCode: '0x600f',
+      fallbackWeight: 5,
+    };
+    const weightedPlan = buildPlanFromSpec(weightedSpec);
+    assert.strictEqual(weightedPlan.layout, 'weighted', 'weighted plans should record their layout');
+    assert.deepStrictEqual(
+      [...weightedPlan.leaves, weightedPlan.fallback].map((leaf) => [leaf.weight, leaf.proof.length]),
+      [
+        [100, 1],
+        [20, 3],
+        [1, 6],
+        [1, 5],
+        [20, 2],
+        [0.5, 6],
+        [5, 4],
+      ],
+      'heavier leaves should get shorter proofs'
+    );
+    assert.strictEqual(verifyPlan(weightedPlan).valid, true, 'weighted plans should verify');
+    assert.strictEqual(
+      auditPlan(weightedPlan).findings.some((finding) => finding.code === 'odd-layer-self-pairing'),
+      false,
+      'weighted trees never pair a node with itself'
+    );
+    assert.deepStrictEqual(
+      getChainProof(weightedSpec, 1).proof,
+      weightedPlan.leaves[0].proof,
+      'proof lookups should use the weighted tree'
+    );
+    const balancedPlan = buildPlanFromSpec({ ...weightedSpec, layout: undefined });
+    assert.strictEqual(balancedPlan.layout, undefined, 'balanced plans should not record a layout');
+    assert.strictEqual(balancedPlan.leaves[0].weight, undefined, 'balanced plans should not record weights');
+    assert.notStrictEqual(balancedPlan.root, weightedPlan.root, 'the layout should change the root');
+    const staleWeightPlan = JSON.parse(JSON.stringify(weightedPlan));
+    staleWeightPlan.leaves[0].weight = 1;
+    assert(
+      verifyPlan(staleWeightPlan).issues.some((issue) => issue.field === 'layout'),
+      'weights that do not rebuild the root should be reported'
+    );
+    assert.throws(
+      () => buildPlanFromSpec({ ...weightedSpec, fallbackWeight: 0 }),
+      /weight for fallback must be a positive number/
+    );
+    assert.throws(() => buildPlanFromSpec({ ...weightedSpec, layout: 'huffman' }), /layout must be one of/);
+    const weightedEditPlan = path.join(tmpDir, 'weighted.edit.json');
+    runCli(['edit', 'create', '--file', weightedEditPlan]);
+    runCli(['edit', 'meta', '--file', weightedEditPlan, '--layout', 'weighted']);
+    runCli(['edit', 'add', '--file', weightedEditPlan, '--chain', '1', '--code', '0x600a', '--weight', '50']);
+    runCli(['edit', 'add', '--file', weightedEditPlan, '--fallback', '--code', '0x600f', '--weight', '2']);
+    const weightedEdit = JSON.parse(fs.readFileSync(weightedEditPlan, 'utf8'));
+    assert.strictEqual(weightedEdit.layout, 'weighted', 'edit meta should store the layout');
+    assert.strictEqual(weightedEdit.chains[0].weight, 50, 'edit add should store the weight');
+    assert.strictEqual(weightedEdit.fallbackWeight, 2, 'edit add --fallback should store the fallback weight');
+    assert(
+      runCli(['view', '--input', weightedEditPlan]).includes('weight=50 proofLen=1'),
+      'view should print leaf weights'
+    );
+    expectCliFailure(
+      ['edit', 'add', '--file', weightedEditPlan, '--chain', '5', '--code', '0x6000', '--weight', '-1'],
+      'weight for chain 5 must be a positive number'
+    );
+
+    const diffOldSpec = {
+      version: '1.0.0',
+      chains: [
+        { chainId: 1, initCode: '0x600a', label: 'main' },
+        { chainId: 10, initCode: '0x600b' },
+        { chainId: 137, initCode: '0x600c' },
+      ],
+      fallbackInitCode: '0x600f',
+    };
+    const diffNewSpec = {
+      version: '1.1.0',
+      chains: [
+        { chainId: 1, initCode: '0x600a', label: 'mainnet' },
+        { chainId: 10, initCode: '0x6011' },
+        { chainId: 8453, initCode: '0x600b' },
+      ],
+      fallbackInitCode: '0x600f',
+    };
+    const diffFactory = '0x' + '12'.repeat(20);
+    const planDiff = diffDeploymentPlans(diffOldSpec, diffNewSpec, { factory: diffFactory });
+    assert.strictEqual(planDiff.changed, true);
+    assert.deepStrictEqual(planDiff.metadata, [{ field: 'version', old: '1.0.0', new: '1.1.0' }]);
+    assert.deepStrictEqual(
+      [planDiff.chains.added.map((leaf) => leaf.chainId), planDiff.chains.removed.map((leaf) => leaf.chainId)],
+      [['8453'], ['137']],
+      'diff should list added and removed chains'
+    );
+    assert.deepStrictEqual(
+      planDiff.chains.changed.map((entry) => [entry.chainId, entry.changes.map((change) => change.field)]),
+      [
+        ['1', ['label']],
+        ['10', ['initCodeHash']],
+      ]
+    );
+    assert.deepStrictEqual(planDiff.fallback, [], 'an unchanged fallback should not be reported');
+    assert.deepStrictEqual(
+      planDiff.coverage.map((range) => [range.start, range.end, range.old.variant, range.new.variant]),
+      [
+        ['10', '10', 'chain', 'chain'],
+        ['137', '137', 'chain', 'fallback'],
+        ['8453', '8453', 'fallback', 'chain'],
+      ],
+      'coverage should only list chains whose deployed variant changes'
+    );
+    assert.strictEqual(planDiff.address.old, computePlanDeployment(diffOldSpec, diffFactory).address);
+    assert.strictEqual(planDiff.address.changed, true, 'a new root should move the address');
+    const fallbackDiff = diffDeploymentPlans(diffOldSpec, { ...diffOldSpec, fallbackInitCode: '0x6010' });
+    assert.deepStrictEqual(
+      fallbackDiff.coverage.map((range) => `${range.start}-${range.end}`),
+      ['0-0', '2-9', '11-136', '138-18446744073709551615'],
+      'a fallback change should switch every unlisted range'
+    );
+    const trimmedDiff = diffDeploymentPlans(diffOldSpec, { ...diffOldSpec, chains: diffOldSpec.chains.slice(0, 1) });
+    assert.deepStrictEqual(
+      trimmedDiff.coverage.map((range) => range.start),
+      ['10', '137'],
+      'removed chains should switch to the fallback'
+    );
+    assert.strictEqual(
+      diffDeploymentPlans(buildPlanFromSpec(diffOldSpec), diffOldSpec).changed,
+      false,
+      'a spec and its built plan should not differ'
+    );
+    const diffOldFile = writeTempFile(tmpDir, 'diff-old.json', JSON.stringify(diffOldSpec));
+    const diffNewFile = writeTempFile(tmpDir, 'diff-new.json', JSON.stringify(diffNewSpec));
+    const diffOutput = runCli(['diff', '--old', diffOldFile, '--new', diffNewFile, '--factory', diffFactory]);
+    assert(diffOutput.includes('  + chain 8453 (base) initCodeHash='), 'diff should print added chains');
+    assert(diffOutput.includes('  ~ chain 1 (ethereum): label main -> mainnet'), 'diff should print label changes');
+    assert(
+      diffOutput.includes('  chain 137 (polygon): chain 137 leaf 0x') && diffOutput.includes('-> fallback 0x'),
+      'diff should print coverage changes'
+    );
+    assert(diffOutput.includes(`Address (factory ${diffFactory}): `), 'diff should compare addresses');
+    assert(
+      runCli(['diff', '--old', diffOldFile, '--new', diffOldFile]).startsWith('No changes (root 0x'),
+      'identical inputs should report no changes'
+    );
+    assert(
+      runCli(['diff', '--old', diffOldFile, '--new', diffNewFile]).includes(
+        `Address (factory ${CANONICAL_FACTORY_ADDRESS.toLowerCase()}): `
+      ),
+      'diff should compare addresses for the canonical factory by default'
+    );
+
+    const lockSpec = { ...diffOldSpec, factories: [diffFactory] };
+    const lock = createPlanLockfile(lockSpec, { factories: ['0x' + '34'.repeat(20)] });
+    assert.deepStrictEqual(
+      Object.keys(lock.addresses),
+      [diffFactory, '0x' + '34'.repeat(20)],
+      'the lockfile should pin spec and option factories'
+    );
+    assert.strictEqual(lock.addresses[diffFactory], computePlanDeployment(lockSpec, diffFactory).address);
+    assert.strictEqual(lock.leaves[0].label, undefined, 'labels should not be locked');
+    assert.deepStrictEqual(checkPlanLockfile(lockSpec, lock), { ok: true, drift: [] });
+    const relabeledChains = [{ ...lockSpec.chains[0], label: 'renamed' }, ...lockSpec.chains.slice(1)];
+    const relabeledSpec = { ...lockSpec, chains: relabeledChains };
+    assert.strictEqual(checkPlanLockfile(relabeledSpec, lock).ok, true, 'label changes should not count as drift');
+    const drifted = checkPlanLockfile({ ...lockSpec, fallbackInitCode: '0x6010' }, lock);
+    assert.deepStrictEqual(
+      drifted.drift.map((drift) => `${drift.target} ${drift.field}`),
+      ['fallback initCodeHash', 'plan root', `factory ${diffFactory} address`, `factory 0x${'34'.repeat(20)} address`],
+      'drift should name every changed field'
+    );
+    assert(drifted.drift[0].message.startsWith(`locked ${lock.fallback.initCodeHash}, now 0x`));
+    assert.deepStrictEqual(
+      Object.keys(createPlanLockfile(diffOldSpec).addresses),
+      [CANONICAL_FACTORY_ADDRESS.toLowerCase()],
+      'lockfiles should pin the canonical factory when no factory is named'
+    );
+    const unlockedFactory = '0x' + '56'.repeat(20);
+    assert.deepStrictEqual(
+      checkPlanLockfile({ ...lockSpec, expectedAddress: { [unlockedFactory]: lock.addresses[diffFactory] } }, lock).drift,
+      [
+        {
+          target: `factory ${unlockedFactory}`,
+          field: 'expectedAddress',
+          message: `spec expects ${lock.addresses[diffFactory]} but the plan deploys to ${
+            computePlanDeployment(lockSpec, unlockedFactory).address
+          }`,
+        },
+      ],
+      'check should verify expectedAddress for factories the lockfile does not pin'
+    );
+    const expectedAddress = lock.addresses[diffFactory];
+    assert.strictEqual(
+      computePlanDeployment({ ...lockSpec, expectedAddress }, diffFactory).address,
+      expectedAddress,
+      'a matching expectedAddress should pass'
+    );
+    assert.throws(
+      () => computePlanDeployment({ ...lockSpec, fallbackInitCode: '0x6010', expectedAddress }, diffFactory),
+      /Spec expects address .* but factory .* deploys it to/
+    );
+    assert.throws(
+      () =>
+        computePlanDeployment(
+          { ...lockSpec, fallbackInitCode: '0x6010', expectedAddress: { [diffFactory]: expectedAddress } },
+          diffFactory.toUpperCase().replace('0X', '0x')
+        ),
+      /Spec expects address/,
+      'expectedAddress objects should be keyed by factory'
+    );
+    assert.strictEqual(
+      computePlanDeployment({ ...lockSpec, expectedAddress }, diffFactory, { saltOverride: '0x' + '01'.repeat(32) })
+        .salt,
+      '0x' + '01'.repeat(32),
+      'salt overrides should skip expectedAddress'
+    );
+    const lockSpecFile = writeTempFile(tmpDir, 'lock-spec.json', JSON.stringify(lockSpec));
+    const lockFile = path.join(tmpDir, 'lock-spec.lock.json');
+    runCli(['build', '--input', lockSpecFile, '--lock', lockFile]);
+    assert.deepStrictEqual(
+      Object.keys(JSON.parse(fs.readFileSync(lockFile, 'utf8')).addresses),
+      [diffFactory],
+      'build --lock should write the lockfile'
+    );
+    assert(runCli(['check', '--input', lockSpecFile, '--lock', lockFile]).startsWith('Lockfile OK: root 0x'));
+    const driftedSpecFile = writeTempFile(
+      tmpDir,
+      'lock-spec-drifted.json',
+      JSON.stringify({ ...lockSpec, chains: [{ chainId: 1, initCode: '0x6001' }, ...lockSpec.chains.slice(1)] })
+    );
+    const driftOutput = expectCliFailure(
+      ['check', '--input', driftedSpecFile, '--lock', lockFile],
+      'plan does not match its lockfile'
+    );
+    assert(driftOutput.includes('[chain 1] initCodeHash: locked 0x'), 'check should explain the drift');
+
+    const bundleFiles = exportProofBundles(sampleSpec, { factory: diffFactory });
+    assert.deepStrictEqual(
+      bundleFiles.map((file) => file.path),
+      ['chain-1.json', 'chain-5.json', 'fallback.json', 'index.json'],
+      'export-proofs should write a bundle per chain, the fallback bundle and the index'
+    );
+    const chainBundle = JSON.parse(bundleFiles[0].contents);
+    assert.strictEqual(chainBundle.address, computePlanDeployment(sampleSpec, diffFactory).address);
+    assert.strictEqual(chainBundle.calldata, getDeployCalldata(sampleSpec, 1).calldata, 'chain bundles carry calldata');
+    const fallbackBundle = JSON.parse(bundleFiles[2].contents);
+    assert.deepStrictEqual(
+      fallbackBundle.gaps.map((gap) => gap.ranges),
+      [
+        [{ start: '2', end: '4' }],
+        [
+          { start: '0', end: '0' },
+          { start: '6', end: '18446744073709551615' },
+        ],
+      ],
+      'fallback bundles should list the chain id ranges of every gap leaf'
+    );
+    assert.strictEqual(fallbackBundle.gaps[0].calldata, getDeployCalldata(sampleSpec, 3).calldata);
+    const bundleIndex = JSON.parse(bundleFiles[3].contents);
+    assert.deepStrictEqual(
+      bundleIndex.files.map((entry) => entry.sha256),
+      bundleFiles.slice(0, 3).map((file) => createHash('sha256').update(file.contents).digest('hex')),
+      'the index should hash every bundle'
+    );
+    assert.throws(
+      () => exportProofBundles(redactSpec(sampleSpec, 1), { factory: diffFactory }),
+      /chain 5 only carries its init code hash/
+    );
+    const proofsDir = path.join(tmpDir, 'proofs');
+    runCli(['export-proofs', '--input', specFile, '--out-dir', proofsDir]);
+    assert.strictEqual(
+      JSON.parse(fs.readFileSync(path.join(proofsDir, 'index.json'), 'utf8')).factory,
+      CANONICAL_FACTORY_ADDRESS.toLowerCase(),
+      'export-proofs should default to the canonical factory'
+    );
+
     const normalizedSalt = normalizeSaltHex('0x' + 'aa'.repeat(32));
     assert.strictEqual(normalizedSalt, '0x' + 'aa'.repeat(32));
     assert.strictEqual(getSaltHex({}, null), ZERO_SALT);
@@ -296,6 +1124,804 @@ function main() {
     );
     runCli(['edit', 'add', '--file', fallbackPlan, '--fallback', '--code', '0x6002', '--replace']);
 
+    const importDir = path.join(tmpDir, 'import');
+    fs.mkdirSync(path.join(importDir, 'out', 'Counter.sol'), { recursive: true });
+    writeTempFile(
+      path.join(importDir, 'out', 'Counter.sol'),
+      'Counter.json',
+      JSON.stringify({
+        abi: [],
+        bytecode: { object: '0x6080aa' },
+        deployedBytecode: { object: '0x6080' + 'bb'.repeat(32) },
+        metadata: { settings: { compilationTarget: { 'src/Counter.sol': 'Counter' } } },
+      })
+    );
+    writeTempFile(
+      importDir,
+      'Token.json',
+      JSON.stringify({
+        _format: 'hh-sol-artifact-1',
+        contractName: 'Token',
+        sourceName: 'contracts/Token.sol',
+        abi: [],
+        bytecode: '0x6080cc',
+        deployedBytecode: '0x6080' + 'dd'.repeat(32),
+      })
+    );
+    const standardJson = writeTempFile(
+      importDir,
+      'solc-output.json',
+      JSON.stringify({
+        contracts: {
+          'src/A.sol': { A: { evm: { bytecode: { object: '6080a1' } } }, IA: { evm: { bytecode: { object: '' } } } },
+          'src/B.sol': {
+            A: { evm: { bytecode: { object: '6080a2' } } },
+            B: { evm: { bytecode: { object: '6080b1' } } },
+          },
+        },
+      })
+    );
+    const importPlan = path.join(importDir, 'import.edit.json');
+    runCli(['edit', 'create', '--file', importPlan, '--force']);
+    const foundryArtifact = path.join(importDir, 'out', 'Counter.sol', 'Counter.json');
+    runCli(['edit', 'add', '--file', importPlan, '--chain', '1', '--artifact', foundryArtifact]);
+    runCli(['edit', 'add', '--file', importPlan, '--chain', '2', '--artifact', path.join(importDir, 'Token.json')]);
+    expectCliFailure(
+      ['edit', 'add', '--file', importPlan, '--chain', '3', '--artifact', standardJson],
+      'contains 3 deployable contracts; choose one with --contract: src/A.sol:A, src/B.sol:A, src/B.sol:B'
+    );
+    expectCliFailure(
+      ['edit', 'add', '--file', importPlan, '--chain', '3', '--artifact', standardJson, '--contract', 'A'],
+      'several contracts named A; use one of: src/A.sol:A, src/B.sol:A'
+    );
+    expectCliFailure(
+      ['edit', 'add', '--file', importPlan, '--chain', '3', '--artifact', standardJson, '--contract', 'IA'],
+      'src/A.sol:IA has no creation bytecode'
+    );
+    const qualifiedSelection = ['--artifact', standardJson, '--contract', 'src/B.sol:A'];
+    runCli(['edit', 'add', '--file', importPlan, '--chain', '3', ...qualifiedSelection]);
+    runCli(['edit', 'add', '--file', importPlan, '--fallback', '--code-file', standardJson, '--contract', 'B']);
+    const importedSpec = JSON.parse(fs.readFileSync(importPlan, 'utf8'));
+    assert.deepStrictEqual(
+      importedSpec.chains.map(({ artifact, contract }) => [artifact, contract]),
+      [
+        ['./out/Counter.sol/Counter.json', undefined],
+        ['./Token.json', undefined],
+        ['./solc-output.json', 'src/B.sol:A'],
+      ],
+      'edit add --artifact should store artifact references relative to the plan'
+    );
+    const importedPlan = JSON.parse(runCli(['build', '--input', importPlan]));
+    assert.deepStrictEqual(
+      importedPlan.leaves.map((leaf) => leaf.initCode),
+      ['0x6080aa', '0x6080cc', '0x6080a2'],
+      'artifacts should provide creation bytecode, never deployed bytecode'
+    );
+    assert.strictEqual(importedPlan.fallback.initCode, '0x6080b1', '--code-file should honour --contract');
+    const runtimeOnlyPlan = path.join(importDir, 'runtime.edit.json');
+    runCli(['edit', 'create', '--file', runtimeOnlyPlan, '--force']);
+    runCli(['edit', 'add', '--file', runtimeOnlyPlan, '--chain', '1', '--stdin'], {
+      input: JSON.stringify({ deployedBytecode: '0x6080' + 'ee'.repeat(32), initCode: '0x6080ff' }),
+    });
+    assert.strictEqual(
+      JSON.parse(fs.readFileSync(runtimeOnlyPlan, 'utf8')).chains[0].initCode,
+      '0x6080ff',
+      'generic JSON input should skip runtime bytecode'
+    );
+    assert.throws(
+      () => extractBytecodeFromInput('{"deployedBytecode":"0x6080604052aa"}'),
+      /no creation bytecode .*hex values found at deployedBytecode$/,
+      'runtime-only JSON should be refused rather than scanned for hex literals'
+    );
+    assert.throws(
+      () => extractBytecodeFromInput(JSON.stringify({ abi: [], bytecode: {}, deployedBytecode: '0x6080604052aa' })),
+      /no creation bytecode/,
+      'artifact-like JSON without creation bytecode should be refused'
+    );
+    expectCliFailure(
+      ['edit', 'add', '--file', runtimeOnlyPlan, '--chain', '10', '--stdin'],
+      'runtime bytecode (deployedBytecode, runtimeBytecode, deployedCode) is not accepted',
+      { input: '{"deployedBytecode":"0x6080604052aa"}' }
+    );
+
+    const minePlan = path.join(tmpDir, 'mine-plan.edit.json');
+    fs.writeFileSync(minePlan, JSON.stringify(sampleSpec, null, 2));
+    const mined = JSON.parse(
+      runCli([
+        'mine',
+        '--input',
+        minePlan,
+        '--factory',
+        '0x1111111111111111111111111111111111111111',
+        '--prefix',
+        '0xC4',
+        '--workers',
+        '2',
+        '--write',
+        minePlan,
+      ])
+    );
+    assert(mined.address.startsWith('0xc4'), 'mined address should match the requested prefix');
+    assert.strictEqual(JSON.parse(fs.readFileSync(minePlan, 'utf8')).salt, mined.salt, 'mined salt should be saved');
+    const staleMinePlan = writeTempFile(
+      tmpDir,
+      'stale-mine-plan.edit.json',
+      JSON.stringify({ ...sampleSpec, fallbackInitCode: '0x6010' })
+    );
+    expectCliFailure(
+      ['mine', '--input', minePlan, '--prefix', '0xC4', '--workers', '1', '--write', staleMinePlan],
+      'of --input; the mined salt would not produce the vanity address there'
+    );
+    const minedDeployment = computePlanDeployment(
+      { ...sampleSpec, salt: mined.salt },
+      '0x1111111111111111111111111111111111111111'
+    );
+    assert.strictEqual(minedDeployment.address, mined.address, 'mined salt should reproduce the address');
+    const rangeResult = searchSaltRange({
+      factory: '0x1111111111111111111111111111111111111111',
+      planRoot: buildOutput.root,
+      pattern: parseVanityPattern({ suffix: mined.address.slice(-3) }),
+      start: BigInt(mined.salt),
+      count: 1,
+    });
+    assert.strictEqual(rangeResult.salt, mined.salt, 'range search should evaluate the starting salt first');
+    expectCliFailure(
+      [
+        'mine',
+        '--input',
+        specFile,
+        '--factory',
+        '0x1111111111111111111111111111111111111111',
+        '--leading-zeros',
+        '12',
+        '--workers',
+        '1',
+        '--max-attempts',
+        '10',
+      ],
+      'resume with --start 0x' + '00'.repeat(31) + '0a'
+    );
+    assert.throws(() => parseVanityPattern({}), /requires a prefix, suffix, or leading zeros/);
+    assert.throws(
+      () => parseVanityPattern({ prefix: '0xab', leadingZeros: 2 }),
+      /prefix 0xab conflicts with 2 leading zeros/,
+      'a prefix that contradicts the leading zeros should be rejected instead of mined forever'
+    );
+    assert.deepStrictEqual(parseVanityPattern({ prefix: '0x00ab', leadingZeros: 2 }), {
+      prefix: '00ab',
+      suffix: '',
+      leadingZeros: 2,
+    });
+
+    const stubFactory = '0x1111111111111111111111111111111111111111';
+    const stubProvider = createStubProvider({ chainId: 137, codeAddress: addressOutput.address });
+    const deployed = await deployPlan(stubProvider, sampleSpec, { factory: stubFactory, pollIntervalMs: 1 });
+    assert.strictEqual(deployed.status, 'deployed', 'deployPlan should send the deployment');
+    assert.strictEqual(deployed.address, addressOutput.address, 'deployPlan should return the predicted address');
+    assert.strictEqual(deployed.variant, 'fallback', 'chain 137 should receive the fallback');
+    assert.strictEqual(deployed.blockNumber, '42', 'deployPlan should report the receipt block');
+    assert.strictEqual(stubProvider.sent[0].to, stubFactory, 'deployment should target the factory');
+    assert.strictEqual(stubProvider.sent[0].data, fallbackCall.calldata, 'deployment should send the resolved calldata');
+    const redeployed = await deployPlan(stubProvider, sampleSpec, { factory: stubFactory, chainId: 137 });
+    assert.strictEqual(redeployed.status, 'already-deployed', 'existing code should skip the transaction');
+    assert.strictEqual(stubProvider.sent.length, 1, 'no transaction should be sent when code exists');
+    await assert.rejects(
+      deployPlan(stubProvider, sampleSpec, { factory: stubFactory, chainId: 1 }),
+      /connected to chain 137, expected 1/
+    );
+    const revertingProvider = createStubProvider({
+      chainId: 5,
+      codeAddress: addressOutput.address,
+      receiptStatus: '0x0',
+    });
+    await assert.rejects(
+      deployPlan(revertingProvider, sampleSpec, { factory: stubFactory, pollIntervalMs: 1 }),
+      /reverted/
+    );
+
+    const signingProvider = createStubProvider({ chainId: 10, codeAddress: addressOutput.address });
+    const signed = await deployPlan(signingProvider, sampleSpec, {
+      factory: stubFactory,
+      privateKey: txKey,
+      pollIntervalMs: 1,
+    });
+    assert.strictEqual(signed.status, 'deployed', 'locally signed deployments should be sent raw');
+    const rawFields = decodeRlp(Buffer.from(signingProvider.sent[0].slice(4), 'hex'));
+    assert.strictEqual(signingProvider.sent[0].slice(0, 4), '0x02', 'nodes with a base fee should get EIP-1559 txs');
+    assert.strictEqual(rawFields[0].toString('hex'), '0a', 'raw transaction should carry the provider chain id');
+    assert.strictEqual(rawFields[1].toString('hex'), '03', 'raw transaction should use the pending nonce');
+    assert.strictEqual(rawFields[4].toString('hex'), '01d4c0', 'gas estimate should include a 20% buffer');
+    assert.strictEqual('0x' + rawFields[5].toString('hex'), stubFactory, 'raw transaction should target the factory');
+
+    const networksConfig = {
+      mainnet: { chainId: 1, rpcUrl: 'https://rpc.example/${SMOKE_RPC_KEY}' },
+      optimism: { chainId: 10, rpcUrl: 'https://optimism.example' },
+      polygon: { chainId: 137, rpcUrl: 'https://polygon.example' },
+    };
+    assert.throws(
+      () => normalizeNetworks(networksConfig, {}),
+      /mainnet references undefined environment variable SMOKE_RPC_KEY/
+    );
+    assert.strictEqual(
+      normalizeNetworks(networksConfig, { SMOKE_RPC_KEY: 'abc' })[0].rpcUrl,
+      'https://rpc.example/abc',
+      'rpc urls should expand environment variables'
+    );
+    const rolloutProviders = {
+      'https://optimism.example': createStubProvider({ chainId: 10, codeAddress: addressOutput.address }),
+      'https://polygon.example': createStubProvider({ chainId: 137, codeAddress: addressOutput.address }),
+    };
+    const journalPath = path.join(tmpDir, 'deployments.json');
+    const rolloutNetworks = [
+      { name: 'optimism', chainId: 10, rpcUrl: 'https://optimism.example' },
+      { name: 'polygon', chainId: 137, rpcUrl: 'https://polygon.example' },
+      { name: 'goerli', chainId: 5, rpcUrl: 'https://goerli.example' },
+    ];
+    const rolloutOptions = {
+      factory: stubFactory,
+      journalPath,
+      pollIntervalMs: 1,
+      createProvider: (network) => {
+        if (!rolloutProviders[network.rpcUrl]) {
+          throw new Error(`connection refused: ${network.rpcUrl}`);
+        }
+        return rolloutProviders[network.rpcUrl];
+      },
+    };
+    const firstRollout = await rolloutPlan(sampleSpec, rolloutNetworks, rolloutOptions);
+    assert.deepStrictEqual(
+      firstRollout.results.map((result) => result.status),
+      ['deployed', 'deployed', 'failed'],
+      'rollout should continue past a failing chain'
+    );
+    const journal = JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+    assert.strictEqual(journal.address, addressOutput.address, 'journal should record the predicted address');
+    assert.strictEqual(journal.chains['137'].variant, 'fallback', 'journal should record the variant');
+    assert.strictEqual(journal.chains['10'].blockNumber, '42', 'journal should record the block');
+    assert.match(journal.chains['5'].error, /connection refused/, 'journal should record the failure');
+
+    rolloutProviders['https://goerli.example'] = createStubProvider({ chainId: 5, codeAddress: addressOutput.address });
+    const resumed = await rolloutPlan(sampleSpec, rolloutNetworks, rolloutOptions);
+    assert.deepStrictEqual(
+      resumed.results.map((result) => [result.chainId, result.status, result.skipped]),
+      [
+        ['10', 'deployed', true],
+        ['137', 'deployed', true],
+        ['5', 'deployed', false],
+      ],
+      'resumed rollout should only retry the failed chain'
+    );
+    assert.strictEqual(rolloutProviders['https://optimism.example'].sent.length, 1, 'deployed chains are not resent');
+
+    const interruptedHash = '0x' + 'ab'.repeat(32);
+    const interruptedJournalPath = path.join(tmpDir, 'interrupted-deployments.json');
+    const interruptedJournal = JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+    const interruptedOptions = { ...rolloutOptions, journalPath: interruptedJournalPath };
+    const resumeFromPending = async (goerliProvider, options = interruptedOptions) => {
+      interruptedJournal.chains['5'] = { network: 'goerli', status: 'pending', transactionHash: interruptedHash };
+      fs.writeFileSync(interruptedJournalPath, JSON.stringify(interruptedJournal));
+      rolloutProviders['https://goerli.example'] = goerliProvider;
+      return (await rolloutPlan(sampleSpec, rolloutNetworks, options)).results[2];
+    };
+    // The stub reports the first receipt lookup as pending, so the transaction is still in the mempool.
+    const mempoolTransaction = { [interruptedHash]: { from: '0x' + 'aa'.repeat(20), nonce: '0x5' } };
+    const waitingProvider = createStubProvider({
+      chainId: 5,
+      codeAddress: addressOutput.address,
+      knownTransactions: mempoolTransaction,
+    });
+    const stillPending = await resumeFromPending(waitingProvider);
+    assert.deepStrictEqual(
+      [stillPending.status, stillPending.transactionHash, waitingProvider.sent.length],
+      ['pending', interruptedHash, 0],
+      'a journaled transaction still in the mempool should be reported, not sent again'
+    );
+    const minedProvider = createStubProvider({
+      chainId: 5,
+      initialCode: { [addressOutput.address]: '0x6001' },
+      initialReceipts: { [interruptedHash]: { status: '0x1', blockNumber: '0x2b', transactionHash: interruptedHash } },
+    });
+    await minedProvider.request({ method: 'eth_getTransactionReceipt', params: [interruptedHash] });
+    const minedPending = await resumeFromPending(minedProvider);
+    assert.deepStrictEqual(
+      [minedPending.status, minedPending.blockNumber, minedProvider.sent.length],
+      ['deployed', '43', 0],
+      'a mined journaled transaction should mark the chain deployed'
+    );
+    const deployedElsewhere = await resumeFromPending(
+      createStubProvider({ chainId: 5, initialCode: { [addressOutput.address]: '0x6001' } })
+    );
+    assert.strictEqual(deployedElsewhere.status, 'already-deployed', 'code at the address should settle the chain');
+    const droppedProvider = createStubProvider({ chainId: 5, codeAddress: addressOutput.address });
+    const droppedPending = await resumeFromPending(droppedProvider);
+    assert.deepStrictEqual(
+      [droppedPending.status, droppedProvider.sent.length],
+      ['deployed', 1],
+      'a dropped journaled transaction should be sent again'
+    );
+    const replacedProvider = createStubProvider({
+      chainId: 5,
+      codeAddress: addressOutput.address,
+      knownTransactions: { [interruptedHash]: { from: '0x' + 'aa'.repeat(20), nonce: '0x1' } },
+    });
+    assert.strictEqual(
+      (await resumeFromPending(replacedProvider)).status,
+      'deployed',
+      'a journaled transaction whose nonce was used by another should be sent again'
+    );
+    const forcedProvider = createStubProvider({
+      chainId: 5,
+      codeAddress: addressOutput.address,
+      knownTransactions: mempoolTransaction,
+    });
+    await resumeFromPending(forcedProvider, { ...interruptedOptions, retryPending: true });
+    assert.strictEqual(forcedProvider.sent.length, 1, 'retryPending should resend a pending transaction');
+    await assert.rejects(
+      rolloutPlan({ ...sampleSpec, salt: '0x' + '11'.repeat(32) }, rolloutNetworks, rolloutOptions),
+      /belongs to a different deployment/
+    );
+
+    const statusProviders = {
+      'https://optimism.example': createStubProvider({
+        chainId: 10,
+        initialCode: { [stubFactory]: '0xfe', [addressOutput.address]: '0x6001' },
+      }),
+      'https://polygon.example': createStubProvider({
+        chainId: 137,
+        initialCode: { [stubFactory]: '0xfe', [addressOutput.address]: '0x6002' },
+      }),
+      'https://mainnet.example': createStubProvider({ chainId: 1 }),
+    };
+    const statusNetworks = [
+      { name: 'optimism', chainId: 10, rpcUrl: 'https://optimism.example' },
+      { name: 'polygon', chainId: 137, rpcUrl: 'https://polygon.example' },
+      { name: 'mainnet', chainId: 1, rpcUrl: 'https://mainnet.example' },
+      { name: 'goerli', chainId: 5, rpcUrl: 'https://goerli.example' },
+    ];
+    const statusOptions = {
+      factory: stubFactory,
+      createProvider: (network) => {
+        if (!statusProviders[network.rpcUrl]) {
+          throw new Error(`connection refused: ${network.rpcUrl}`);
+        }
+        return statusProviders[network.rpcUrl];
+      },
+    };
+    const statusReport = await getPlanStatus(sampleSpec, statusNetworks, statusOptions);
+    assert.strictEqual(statusReport.address, addressOutput.address, 'status should report the predicted address');
+    assert.deepStrictEqual(
+      statusReport.chains.map((chain) => [chain.chainId, chain.variant, chain.factoryDeployed, chain.status]),
+      [
+        ['10', 'fallback', true, 'deployed'],
+        ['137', 'fallback', true, 'unexpected-code'],
+        ['1', 'chain', false, 'not-deployed'],
+        ['5', undefined, undefined, 'error'],
+      ],
+      'status should classify each chain'
+    );
+    // Runtime code of a contract with `address immutable self = address(this)`: PUSH20 <self>.
+    const selfAddressCode = (address) => `0x73${address.slice(2)}`;
+    const simulatedCreateAddress = ([call, , overrides]) => {
+      const nonce = overrides && overrides[call.from] ? BigInt(overrides[call.from].nonce) : 0n;
+      return `0x${keccak256(encodeRlp([hexToBuffer(call.from), nonce])).subarray(12).toString('hex')}`;
+    };
+    const immutableStatus = await getPlanStatus(sampleSpec, statusNetworks.slice(0, 1), {
+      factory: stubFactory,
+      createProvider: () =>
+        createStubProvider({
+          chainId: 10,
+          initialCode: { [stubFactory]: '0xfe', [addressOutput.address]: selfAddressCode(addressOutput.address) },
+          runtimeCode: (params) => selfAddressCode(simulatedCreateAddress(params)),
+        }),
+    });
+    assert.strictEqual(
+      immutableStatus.chains[0].status,
+      'deployed',
+      'init code should be simulated as the CREATE3 proxy deploying to the predicted address'
+    );
+    const noOverrideStatus = await getPlanStatus(sampleSpec, statusNetworks.slice(0, 1), {
+      factory: stubFactory,
+      createProvider: () =>
+        createStubProvider({
+          chainId: 10,
+          initialCode: { [stubFactory]: '0xfe', [addressOutput.address]: selfAddressCode(addressOutput.address) },
+          runtimeCode: (params) => {
+            if (params[2]) {
+              throw new Error('state overrides are not supported');
+            }
+            return selfAddressCode(simulatedCreateAddress(params));
+          },
+        }),
+    });
+    assert.strictEqual(
+      noOverrideStatus.chains[0].status,
+      'unverified',
+      'a mismatch without state overrides should not be reported as unexpected code'
+    );
+
+    const redactedStatus = await getPlanStatus(redactSpec(sampleSpec, 1), statusNetworks.slice(0, 1), statusOptions);
+    assert.strictEqual(redactedStatus.chains[0].status, 'unverified', 'hash-only leaves cannot be compared');
+    assert.strictEqual(
+      JSON.parse(runCli(['address', '--input', specFile])).factory,
+      CANONICAL_FACTORY_ADDRESS.toLowerCase(),
+      '--factory should default to the canonical factory'
+    );
+
+    // EIP-1014 example 1: deployer 0x00..00, salt 0, init code 0x00.
+    assert.strictEqual(
+      deriveFactoryAddress({ initCode: '0x00', salt: ZERO_SALT, deployer: '0x' + '00'.repeat(20) }).address,
+      '0x4d1a2e2bb4f88f0250f26ffff098b0b30b26bf38',
+      'factory address should follow CREATE2'
+    );
+    const presignedFields = decodeRlp(hexToBuffer(DETERMINISTIC_DEPLOYER_TRANSACTION.rawTransaction));
+    const presignedSignature = new secp256k1.Signature(
+      BigInt(`0x${presignedFields[7].toString('hex')}`),
+      BigInt(`0x${presignedFields[8].toString('hex')}`)
+    ).addRecoveryBit(presignedFields[6][0] - 27);
+    const presignedSigner = keccak256(
+      Buffer.from(
+        presignedSignature.recoverPublicKey(keccak256(encodeRlp(presignedFields.slice(0, 6)))).toRawBytes(false)
+      ).subarray(1)
+    ).subarray(12);
+    assert.strictEqual(`0x${presignedSigner.toString('hex')}`, DETERMINISTIC_DEPLOYER_TRANSACTION.signer);
+    assert.strictEqual(
+      `0x${keccak256(encodeRlp([presignedSigner, 0n])).subarray(12).toString('hex')}`,
+      DETERMINISTIC_DEPLOYER.toLowerCase(),
+      'the presigned transaction should deploy the deterministic deployer'
+    );
+
+    const factorySalt = '0x' + '07'.repeat(32);
+    assert.throws(
+      () => getFactoryDeployCalldata({ initCode: '0x600a', salt: factorySalt }),
+      /not the canonical factory/,
+      'deploying a factory away from the canonical address should need an explicit opt-in'
+    );
+    const factoryCall = getFactoryDeployCalldata({ initCode: '0x600a', salt: factorySalt, allowNonCanonical: true });
+    assert.strictEqual(factoryCall.calldata, `${factorySalt}600a`, 'deployer calldata is salt ++ init code');
+    assert.strictEqual(factoryCall.canonical, false);
+    const factoryTx = buildFactoryDeployTransaction({
+      initCode: '0x600a',
+      salt: factorySalt,
+      allowNonCanonical: true,
+      chainId: 8453,
+      nonce: 0,
+      gasLimit: 300000,
+      gasPrice: '1gwei',
+    });
+    assert.strictEqual(factoryTx.transaction.to, DETERMINISTIC_DEPLOYER.toLowerCase());
+    assert.strictEqual(factoryTx.address, factoryCall.address, 'transaction should deploy to the derived address');
+
+    const canonicalFactory = CANONICAL_FACTORY_ADDRESS.toLowerCase();
+    const deployerOnly = { [DETERMINISTIC_DEPLOYER.toLowerCase()]: '0x60' };
+    const factoryProviders = {
+      'https://optimism.example': createStubProvider({
+        chainId: 10,
+        initialCode: { ...deployerOnly, [canonicalFactory]: '0xfe' },
+      }),
+      'https://polygon.example': createStubProvider({ chainId: 137, initialCode: deployerOnly }),
+      'https://mainnet.example': createStubProvider({ chainId: 1 }),
+    };
+    const factoryStatus = await getFactoryStatus(statusNetworks, {
+      createProvider: (network) => {
+        if (!factoryProviders[network.rpcUrl]) {
+          throw new Error(`connection refused: ${network.rpcUrl}`);
+        }
+        return factoryProviders[network.rpcUrl];
+      },
+    });
+    assert.strictEqual(factoryStatus.factory, canonicalFactory, 'factory status should default to the canonical factory');
+    assert.deepStrictEqual(
+      factoryStatus.chains.map((chain) => [chain.chainId, chain.status]),
+      [
+        ['10', 'deployed'],
+        ['137', 'missing'],
+        ['1', 'missing-deployer'],
+        ['5', 'error'],
+      ],
+      'factory status should tell missing factories from missing deployers'
+    );
+
+    const factoryArtifact = writeTempFile(
+      tmpDir,
+      'CREATE4.json',
+      JSON.stringify({ abi: [], bytecode: { object: '0x600a', linkReferences: {} } })
+    );
+    const factoryAddressCli = runCli(['factory', 'address', '--code-file', factoryArtifact, '--salt', factorySalt]);
+    assert(factoryAddressCli.includes(`Address        : ${factoryCall.address}`), 'factory address should read artifacts');
+    assert(factoryAddressCli.includes('Canonical      : no'), 'factory address should compare with the canonical one');
+    if (CANONICAL_FACTORY_SALT === null || CANONICAL_FACTORY_INIT_CODE === null) {
+      assert.throws(() => deriveFactoryAddress(), /canonical factory (init code|salt) is not recorded/);
+      expectCliFailure(['factory', 'address', '--code', '0x600a'], 'canonical factory salt is not recorded');
+    } else {
+      assert.strictEqual(
+        deriveFactoryAddress().address,
+        CANONICAL_FACTORY_ADDRESS.toLowerCase(),
+        'the recorded canonical inputs should derive the canonical factory'
+      );
+      assert.strictEqual(getFactoryDeployCalldata().canonical, true);
+    }
+    expectCliFailure(['factory', 'tx', '--code', '0x600a', '--salt', factorySalt], 'factory tx command requires --chain');
+    expectCliFailure(['factory', 'calldata', '--code', '0x600a', '--salt', factorySalt], 'not the canonical factory');
+    expectCliFailure(
+      ['factory', 'tx', '--code', '0x600a', '--salt', factorySalt, '--chain', '8453', '--nonce', '0', '--gas-limit', '300000'],
+      'not the canonical factory'
+    );
+    assert.strictEqual(
+      runCli(['factory', 'calldata', '--code', '0x600a', '--salt', factorySalt, '--allow-non-canonical', '--raw']).trim(),
+      factoryCall.calldata,
+      '--allow-non-canonical should opt in to a non-canonical factory'
+    );
+
+    const rpcCalls = [];
+    const httpProvider = createJsonRpcProvider('https://rpc.example', {
+      fetchImpl: async (url, init) => {
+        rpcCalls.push(JSON.parse(init.body));
+        return { ok: true, json: async () => ({ jsonrpc: '2.0', id: 1, error: { message: 'rate limited' } }) };
+      },
+    });
+    await assert.rejects(httpProvider.request({ method: 'eth_chainId' }), /RPC eth_chainId failed: rate limited/);
+    assert.strictEqual(rpcCalls[0].method, 'eth_chainId', 'json-rpc provider should post the request');
+    expectCliFailure(['rollout', '--input', specFile, '--factory', stubFactory], 'Missing required --networks parameter');
+
+    const projectSalt = '0x' + '22'.repeat(32);
+    const projectManifest = {
+      name: 'Smoke Project',
+      factory: stubFactory,
+      salt: projectSalt,
+      contracts: {
+        Sample: 'sample-spec.json',
+        Vault: { spec: { chains: [{ chainId: 10, initCode: '0x600a' }], fallbackInitCode: '0x600b' } },
+      },
+    };
+    const manifestFile = writeTempFile(tmpDir, 'create4.project.json', JSON.stringify(projectManifest));
+    const projectOut = path.join(tmpDir, 'project-out');
+    runCli(['project', 'build', '--manifest', manifestFile, '--out-dir', projectOut]);
+    const addressBook = JSON.parse(fs.readFileSync(path.join(projectOut, 'addresses.json'), 'utf8'));
+    assert.strictEqual(addressBook.name, 'Smoke Project', 'address book should carry the project name');
+    assert.strictEqual(
+      addressBook.contracts.Sample.address,
+      computePlanDeployment({ ...sampleSpec, salt: projectSalt }, stubFactory).address,
+      'manifest salt should apply to specs without their own salt'
+    );
+    assert.deepStrictEqual(Object.keys(addressBook.chains), ['1', '5', '10'], 'address book should list plan chains');
+    assert.deepStrictEqual(
+      addressBook.chains['10'],
+      {
+        Sample: { address: addressBook.contracts.Sample.address, variant: 'fallback' },
+        Vault: { address: addressBook.contracts.Vault.address, variant: 'chain', label: 'chain-10' },
+      },
+      'chain entries should record each contract variant'
+    );
+    const samplePlan = JSON.parse(fs.readFileSync(path.join(projectOut, 'Sample.plan.json'), 'utf8'));
+    assert.strictEqual(samplePlan.salt, projectSalt, 'project build should write each plan');
+    assert.throws(
+      () => buildProject({ factory: stubFactory, contracts: { A: { spec: sampleSpec }, B: { spec: sampleSpec } } }),
+      /Contracts A and B resolve to the same address/
+    );
+    expectCliFailure(['project', 'build', '--manifest', specFile], 'requires a "contracts" object or array');
+    const unpinnedManifest = writeTempFile(
+      tmpDir,
+      'unpinned.project.json',
+      JSON.stringify({ contracts: { Sample: 'sample-spec.json' } })
+    );
+    const canonicalSample = computePlanDeployment(sampleSpec, CANONICAL_FACTORY_ADDRESS).address;
+    assert.strictEqual(
+      JSON.parse(runCli(['project', 'build', '--manifest', unpinnedManifest])).contracts.Sample.address,
+      canonicalSample,
+      'project build should default to the canonical factory'
+    );
+    assert.deepStrictEqual(
+      JSON.parse(runCli(['export', '--format', 'foundry', '--manifest', unpinnedManifest])),
+      { Sample: toChecksumAddress(canonicalSample) },
+      'export --manifest should default to the canonical factory'
+    );
+
+    const solidityExport = runCli(['export', '--format', 'sol', '--manifest', manifestFile]);
+    const sampleChecksum = toChecksumAddress(addressBook.contracts.Sample.address);
+    assert.ok(
+      solidityExport.includes(`address internal constant SAMPLE = ${sampleChecksum};`),
+      'solidity export should declare checksummed address constants'
+    );
+    assert.ok(solidityExport.includes('//   chain 1: own leaf "chain-one"'), 'solidity export should label leaves');
+    assert.ok(solidityExport.includes('//   chain 10: fallback'), 'solidity export should mark fallback chains');
+    const tsExport = runCli(['export', '--format', 'ts', '--input', specFile, '--factory', stubFactory, '--name', 'Sample']);
+    assert.ok(
+      tsExport.includes(`'Sample': '${toChecksumAddress(addressOutput.address)}',`),
+      'typescript export should list addresses'
+    );
+    assert.ok(
+      runCli(['export', '--format', 'ts', '--input', adjacentSpecFile, '--name', 'Adjacent']).includes(
+        `  '18446744073709551615': { 'Adjacent': 'chain' },`
+      ),
+      'typescript export should quote chain ids so large ones keep their value'
+    );
+    const foundryExport = JSON.parse(runCli(['export', '--format', 'foundry', '--manifest', manifestFile]));
+    assert.deepStrictEqual(Object.keys(foundryExport), ['Sample', 'Vault'], 'foundry export should key by contract');
+    const hardhatDir = path.join(tmpDir, 'hardhat-deployments');
+    const exportNetworks = writeTempFile(
+      tmpDir,
+      'export-networks.json',
+      JSON.stringify([{ name: 'optimism', chainId: 10, rpcUrl: 'https://optimism.example' }])
+    );
+    runCli([
+      'export',
+      '--format',
+      'hardhat-deploy',
+      '--manifest',
+      manifestFile,
+      '--networks',
+      exportNetworks,
+      '--output',
+      hardhatDir,
+    ]);
+    assert.strictEqual(fs.readFileSync(path.join(hardhatDir, 'optimism', '.chainId'), 'utf8'), '10');
+    const vaultDeployment = JSON.parse(fs.readFileSync(path.join(hardhatDir, 'optimism', 'Vault.json'), 'utf8'));
+    assert.strictEqual(vaultDeployment.linkedData.create4.variant, 'chain', 'hardhat export should record the variant');
+    expectCliFailure(['export', '--format', 'yaml', '--manifest', manifestFile], 'Unknown export format "yaml"');
+
+    const bridgeAbi = [
+      {
+        type: 'constructor',
+        inputs: [
+          { name: 'bridge', type: 'address' },
+          { name: 'decimals', type: 'uint8' },
+          {
+            name: 'config',
+            type: 'tuple',
+            components: [
+              { name: 'symbol', type: 'string' },
+              { name: 'peers', type: 'bytes32[]' },
+            ],
+          },
+        ],
+      },
+    ];
+    fs.mkdirSync(path.join(tmpDir, 'out'));
+    writeTempFile(
+      path.join(tmpDir, 'out'),
+      'Bridged.json',
+      JSON.stringify({ abi: bridgeAbi, bytecode: { object: '0x6080604052' } })
+    );
+    const argsSpec = {
+      chains: [
+        {
+          chainId: 1,
+          artifact: './out/Bridged.json',
+          constructorArgs: ['0x' + '44'.repeat(20), 18, ['ETH', ['0x' + '01'.repeat(32)]]],
+        },
+        {
+          chainId: 10,
+          artifact: './out/Bridged.json',
+          constructorArgs: ['0x' + '55'.repeat(20), 6, { symbol: 'OP', peers: [] }],
+        },
+      ],
+      fallback: {
+        bytecode: '0x6000',
+        abi: [{ type: 'constructor', inputs: [{ name: 'id', type: 'uint256' }] }],
+        constructorArgs: [7],
+      },
+    };
+    const argsSpecFile = writeTempFile(tmpDir, 'args-spec.json', JSON.stringify(argsSpec));
+    const argsPlan = JSON.parse(runCli(['build', '--input', argsSpecFile]));
+    const expectedMainnetArgs = encodeParameters(bridgeAbi[0].inputs, argsSpec.chains[0].constructorArgs);
+    assert.strictEqual(
+      argsPlan.leaves.find((leaf) => leaf.chainId === '1').initCode,
+      '0x6080604052' + expectedMainnetArgs.toString('hex'),
+      'constructor args should be ABI-encoded and appended to the artifact bytecode'
+    );
+    assert.strictEqual(
+      argsPlan.fallback.initCode,
+      '0x6000' + '00'.repeat(31) + '07',
+      'fallback objects should encode their constructor args'
+    );
+    const argsView = runCli(['view', '--input', argsSpecFile]);
+    assert.ok(argsView.includes(`bridge (address) = 0x${'44'.repeat(20)}`), 'view should decode address args');
+    assert.ok(argsView.includes('config ((string,bytes32[])) = ("OP", [])'), 'view should decode tuple args');
+    assert.ok(argsView.includes('id (uint256) = 7'), 'view should decode fallback args');
+    const badArgsSpec = writeTempFile(
+      tmpDir,
+      'bad-args-spec.json',
+      JSON.stringify({ ...argsSpec, chains: [{ chainId: 1, artifact: './out/Bridged.json', constructorArgs: [1] }] })
+    );
+    expectCliFailure(['build', '--input', badArgsSpec], 'chain 1 constructor takes 3 argument(s) but 1 were given');
+    const argsEditView = runCli(['edit', 'view', '--file', argsSpecFile]);
+    assert.ok(
+      argsEditView.includes('chainId=10 (optimism) artifact=./out/Bridged.json constructorArgs=3'),
+      'edit view should show artifact entries'
+    );
+
+    const mathHash = keccak256(Buffer.from('src/Math.sol:Math')).toString('hex').slice(0, 34);
+    const mathPlaceholder = `__$${mathHash}$__`;
+    writeTempFile(
+      path.join(tmpDir, 'out'),
+      'Vault.json',
+      JSON.stringify({
+        abi: [],
+        bytecode: {
+          object: `0x73${mathPlaceholder}5060`,
+          linkReferences: { 'src/Math.sol': { Math: [{ start: 1, length: 20 }] } },
+        },
+      })
+    );
+    const mathSpecFile = writeTempFile(
+      tmpDir,
+      'math-spec.json',
+      JSON.stringify({ chains: [{ chainId: 1, initCode: '0x6001' }], fallbackInitCode: '0x6002' })
+    );
+    const mathSpec = JSON.parse(fs.readFileSync(mathSpecFile, 'utf8'));
+    const mathAddress = computePlanDeployment(mathSpec, stubFactory).address;
+    const linkedSpecFile = writeTempFile(
+      tmpDir,
+      'linked-spec.json',
+      JSON.stringify({
+        chains: [
+          {
+            chainId: 1,
+            artifact: './out/Vault.json',
+            libraries: { Math: { spec: './math-spec.json', factory: stubFactory } },
+          },
+        ],
+        fallback: {
+          bytecode: `0x73${mathPlaceholder}5060`,
+          libraries: { 'src/Math.sol:Math': '0x' + '22'.repeat(20) },
+        },
+      })
+    );
+    const linkedPlan = JSON.parse(runCli(['build', '--input', linkedSpecFile]));
+    assert.strictEqual(
+      linkedPlan.leaves[0].initCode,
+      `0x73${mathAddress.slice(2)}5060`,
+      'library links to another spec should use its CREATE4 address'
+    );
+    assert.strictEqual(
+      linkedPlan.fallback.initCode,
+      `0x73${'22'.repeat(20)}5060`,
+      'hashed placeholders should be linked by fully qualified name'
+    );
+    const legacyPlaceholder = (name) => '0x73' + `__${name}`.padEnd(38, '_') + '__';
+    const legacyLinked = buildPlanFromSpec({
+      chains: [{ chainId: 1, bytecode: legacyPlaceholder('Math'), libraries: { Math: '0x' + '33'.repeat(20) } }],
+      fallbackInitCode: '0x6002',
+    });
+    assert.strictEqual(legacyLinked.leaves[0].initCode, '0x73' + '33'.repeat(20), 'legacy placeholders link by name');
+    const unlinkedSpec = writeTempFile(
+      tmpDir,
+      'unlinked-spec.json',
+      JSON.stringify({ chains: [{ chainId: 1, artifact: './out/Vault.json' }], fallbackInitCode: '0x6002' })
+    );
+    expectCliFailure(['build', '--input', unlinkedSpec], 'chain 1 bytecode needs library src/Math.sol:Math');
+    const linkedProject = buildProject({
+      factory: stubFactory,
+      contracts: {
+        Vault: {
+          spec: {
+            chains: [{ chainId: 1, initCode: '0x6003' }],
+            fallback: {
+              bytecode: `0x73${mathPlaceholder}5060`,
+              libraries: { 'src/Math.sol:Math': { contract: 'Math' } },
+            },
+          },
+        },
+        Math: { spec: mathSpecFile },
+      },
+    });
+    assert.strictEqual(
+      linkedProject.contracts[0].plan.fallback.initCode,
+      `0x73${mathAddress.slice(2)}5060`,
+      'project contracts should link other project contracts regardless of order'
+    );
+    assert.throws(
+      () =>
+        buildProject({
+          factory: stubFactory,
+          contracts: {
+            A: { spec: { chains: [], fallback: { bytecode: legacyPlaceholder('B'), libraries: { B: { contract: 'B' } } } } },
+            B: { spec: { chains: [], fallback: { bytecode: legacyPlaceholder('A'), libraries: { A: { contract: 'A' } } } } },
+          },
+        }),
+      /Library links form a cycle: A -> B -> A/
+    );
+
     const metaPlan = path.join(tmpDir, 'meta-plan.edit.json');
     runCli(['edit', 'create', '--file', metaPlan, '--force']);
     expectCliFailure(['edit', 'meta', '--file', metaPlan], 'meta command requires at least one change option');
@@ -307,4 +1933,7 @@ function main() {
   console.log('CREATE4-plan CLI smoke tests passed');
 }
 
-main();
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});